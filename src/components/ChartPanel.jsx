@@ -0,0 +1,212 @@
+import React, { useRef, useState } from 'react';
+import './ChartPanel.css';
+import ExportMenu from './ExportMenu';
+import { chartToPng, serializeChart } from '../utils/exportChart';
+import {
+  buildExportFileName,
+  downloadBlob,
+  withExportTime
+} from '../utils/exportFiles';
+import { clampPanelHeight } from '../utils/layout';
+
+const PNG_SCALES = [1, 2, 3, 4];
+// Height change per arrow key press on the resize handle
+const HEIGHT_STEP = 20;
+// Data type carrying the dragged panel's index between panels
+const DRAG_TYPE = 'application/x-chart-panel';
+
+/**
+ * Card holding one chart, with a menu to export the chart as it is drawn.
+ * The chart is found in the rendered markup, so any chart placed in a panel
+ * can be exported without changes to the chart itself.
+ *
+ * Given a panel from the layout, and the chart's name for screen readers,
+ * the card can also be dragged by its handle to another position, resized
+ * from its corner (wider snaps to both grid columns; taller applies to
+ * charts drawn at a fixed height) and removed.
+ */
+function ChartPanel({
+  className = '',
+  exportInfo,
+  panel,
+  index,
+  name,
+  onMove,
+  onResize,
+  onRemove,
+  children
+}) {
+  const containerRef = useRef();
+  const [pngScale, setPngScale] = useState(2);
+  // Size shown while the corner is dragged, committed on release
+  const [preview, setPreview] = useState(null);
+  const [dropTarget, setDropTarget] = useState(false);
+
+  const serialize = () => {
+    const container = containerRef.current;
+    const svgNode = container.querySelector('.chart-wrapper svg');
+    if (!svgNode) throw new Error('Nothing to export yet');
+    const title = container.querySelector('.chart-title')?.textContent || 'Chart';
+    const metadata = withExportTime(exportInfo.metadata);
+    return { title, metadata, chart: serializeChart(svgNode, title, metadata) };
+  };
+
+  const exportSvg = () => {
+    const { title, chart } = serialize();
+    downloadBlob(
+      new Blob([chart.markup], { type: 'image/svg+xml' }),
+      buildExportFileName(title, exportInfo.slug, 'svg')
+    );
+  };
+
+  const exportPng = () => {
+    const { title, metadata, chart } = serialize();
+    return chartToPng(chart, pngScale, title, metadata).then(blob =>
+      downloadBlob(blob, buildExportFileName(title, exportInfo.slug, 'png'))
+    );
+  };
+
+  const handleResizeStart = (e) => {
+    const container = containerRef.current;
+    const start = {
+      x: e.clientX,
+      y: e.clientY,
+      width: container.offsetWidth,
+      gridWidth: container.parentElement.clientWidth
+    };
+    const sizeAt = (event) => ({
+      // Past three quarters of the grid the panel takes both columns
+      span: start.width + event.clientX - start.x > start.gridWidth * 0.75 ? 2 : 1,
+      height: panel.height === null
+        ? null
+        : clampPanelHeight(panel.height + event.clientY - start.y)
+    });
+
+    const handleMove = (event) => setPreview(sizeAt(event));
+    const handleUp = (event) => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      setPreview(null);
+      onResize(sizeAt(event));
+    };
+
+    e.preventDefault();
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+  };
+
+  const handleResizeKey = (e) => {
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      onResize({ span: e.key === 'ArrowRight' ? 2 : 1, height: panel.height });
+    } else if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && panel.height !== null) {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? HEIGHT_STEP : -HEIGHT_STEP;
+      onResize({ span: panel.span, height: clampPanelHeight(panel.height + step) });
+    }
+  };
+
+  // Other panels can be dropped on this one to take its place
+  const dropHandlers = panel ? {
+    onDragOver: (e) => {
+      if (!e.dataTransfer.types.includes(DRAG_TYPE)) return;
+      e.preventDefault();
+      setDropTarget(true);
+    },
+    onDragLeave: () => setDropTarget(false),
+    onDrop: (e) => {
+      setDropTarget(false);
+      const from = e.dataTransfer.getData(DRAG_TYPE);
+      if (from !== '') onMove(+from, index);
+    }
+  } : {};
+
+  const layoutClass = [
+    dropTarget && 'chart-panel-drop-target',
+    preview && 'chart-panel-resizing'
+  ].filter(Boolean).join(' ');
+
+  return (
+    <div
+      className={`chart-container chart-panel ${className} ${layoutClass}`}
+      ref={containerRef}
+      {...dropHandlers}
+    >
+      <div className="chart-panel-actions">
+        {panel && (
+          <button
+            type="button"
+            className="chart-panel-button chart-panel-grip"
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.setData(DRAG_TYPE, String(index));
+              e.dataTransfer.effectAllowed = 'move';
+              e.dataTransfer.setDragImage(containerRef.current, 20, 20);
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
+                e.preventDefault();
+                onMove(index, index - 1);
+              } else if (e.key === 'ArrowDown' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                onMove(index, index + 1);
+              }
+            }}
+            title="Drag to move; arrow keys also move the panel"
+            aria-label={`Move ${name}`}
+          >
+            ⠿
+          </button>
+        )}
+        <ExportMenu
+          items={[
+            { id: 'svg', label: 'Download SVG', onSelect: exportSvg },
+            { id: 'png', label: 'Download PNG', onSelect: exportPng }
+          ]}
+        >
+          <label className="export-menu-setting">
+            PNG scale
+            <select
+              value={pngScale}
+              onChange={(e) => setPngScale(+e.target.value)}
+            >
+              {PNG_SCALES.map(scale => (
+                <option key={scale} value={scale}>{scale}×</option>
+              ))}
+            </select>
+          </label>
+        </ExportMenu>
+        {panel && (
+          <button
+            type="button"
+            className="chart-panel-button"
+            onClick={onRemove}
+            title="Remove panel"
+            aria-label={`Remove ${name}`}
+          >
+            ×
+          </button>
+        )}
+      </div>
+      {children}
+      {panel && (
+        <button
+          type="button"
+          className="chart-panel-resize"
+          onPointerDown={handleResizeStart}
+          onKeyDown={handleResizeKey}
+          title="Drag to resize; arrow keys also resize the panel"
+          aria-label={`Resize ${name}`}
+        />
+      )}
+      {preview && (
+        <span className="chart-panel-size">
+          {preview.span === 2 ? 'Full width' : 'Half width'}
+          {preview.height !== null && `, ${preview.height}px high`}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default ChartPanel;
@@ -1,23 +1,104 @@
-import React from 'react';
+import React, { useState } from 'react';
 import './Controls.css';
+import MultiSelect from './MultiSelect';
+import ExportMenu from './ExportMenu';
+import SeverityBandEditor from './SeverityBandEditor';
+import ViewPicker from './ViewPicker';
+import { clampRange, formatRange, lastYearOf } from '../utils/dateRange';
+import { SEVERITY_BANDS } from '../utils/severity';
+import { STATISTICS } from '../utils/statistics';
+import { FILTER_SETS } from '../utils/comparison';
+
+// Option text for the statistic selector
+const STATISTIC_OPTIONS = {
+  mean: 'Mean',
+  median: 'Median',
+  sum: 'Total (sum)',
+  p90: '90th percentile',
+  trimmed: 'Trimmed mean (10%)'
+};
 
 function Controls({
-  yearRange,
-  setYearRange,
-  yearExtent,
-  selectedType,
-  setSelectedType,
+  dateRange,
+  setDateRange,
+  dateExtent,
+  selectedTypes,
+  setSelectedTypes,
   types,
-  selectedCountry,
-  setSelectedCountry,
+  selectedCountries,
+  setSelectedCountries,
   countries,
-  onReset
+  countryGroups,
+  selectedBands,
+  setSelectedBands,
+  severityThresholds,
+  setSeverityThresholds,
+  severityWeighted,
+  setSeverityWeighted,
+  statistic,
+  setStatistic,
+  comparing = false,
+  onToggleComparison,
+  editingSet = 'A',
+  setEditingSet,
+  views,
+  setViews,
+  currentView,
+  onApplyView,
+  activeFilters = [],
+  onReset,
+  onExportData
 }) {
+  // The sliders move whole years; the timeline brush refines to months
+  const yearExtent = [dateExtent[0].getFullYear(), lastYearOf(dateExtent)];
+  const yearRange = [dateRange[0].getFullYear(), lastYearOf(dateRange)];
+  const [editingBands, setEditingBands] = useState(false);
+
   return (
     <div className="controls">
+      <div className="control-group">
+        <label htmlFor="saved-view">View</label>
+        <ViewPicker
+          store={views}
+          setStore={setViews}
+          currentState={currentView}
+          onApply={onApplyView}
+        />
+      </div>
+
+      <div className="control-group">
+        <label className="compare-toggle">
+          <input
+            type="checkbox"
+            checked={comparing}
+            onChange={(e) => onToggleComparison(e.target.checked)}
+          />
+          Compare two filter sets
+        </label>
+        {comparing && (
+          <div
+            className="compare-sets"
+            role="group"
+            aria-label="Filter set the controls apply to"
+          >
+            {FILTER_SETS.map(set => (
+              <button
+                key={set}
+                type="button"
+                className={`compare-set${editingSet === set ? ' active' : ''}`}
+                aria-pressed={editingSet === set}
+                onClick={() => setEditingSet(set)}
+              >
+                Edit set {set}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
       <div className="control-group">
         <label htmlFor="year-range">
-          Year Range: {yearRange[0]} - {yearRange[1]}
+          Date Range: {formatRange(dateRange)}
         </label>
         <div className="year-slider-container">
           <input
@@ -29,7 +110,10 @@ function Controls({
             onChange={(e) => {
               const newMin = parseInt(e.target.value);
               if (newMin <= yearRange[1]) {
-                setYearRange([newMin, yearRange[1]]);
+                setDateRange(clampRange(
+                  [new Date(newMin, 0, 1), dateRange[1]],
+                  dateExtent
+                ));
               }
             }}
             className="year-slider"
@@ -43,7 +127,10 @@ function Controls({
             onChange={(e) => {
               const newMax = parseInt(e.target.value);
               if (newMax >= yearRange[0]) {
-                setYearRange([yearRange[0], newMax]);
+                setDateRange(clampRange(
+                  [dateRange[0], new Date(newMax + 1, 0, 1)],
+                  dateExtent
+                ));
               }
             }}
             className="year-slider"
@@ -53,36 +140,105 @@ function Controls({
 
       <div className="control-group">
         <label htmlFor="disaster-type">Disaster Type</label>
-        <select
+        <MultiSelect
           id="disaster-type"
-          value={selectedType}
-          onChange={(e) => setSelectedType(e.target.value)}
-          className="control-select"
-        >
-          {types.map(type => (
-            <option key={type} value={type}>{type}</option>
-          ))}
-        </select>
+          options={types}
+          selected={selectedTypes}
+          onChange={setSelectedTypes}
+          noun="types"
+        />
       </div>
 
       <div className="control-group">
-        <label htmlFor="country">Country</label>
-        <select
+        <label htmlFor="country">Region / Country</label>
+        <MultiSelect
           id="country"
-          value={selectedCountry}
-          onChange={(e) => setSelectedCountry(e.target.value)}
+          options={countries}
+          groups={countryGroups}
+          selected={selectedCountries}
+          onChange={setSelectedCountries}
+          noun="countries"
+        />
+      </div>
+
+      <div className="control-group">
+        <label htmlFor="severity-band">Severity</label>
+        <MultiSelect
+          id="severity-band"
+          options={SEVERITY_BANDS}
+          selected={selectedBands}
+          onChange={setSelectedBands}
+          noun="bands"
+        />
+        <div className="severity-options">
+          <button
+            type="button"
+            className="severity-edit-toggle"
+            onClick={() => setEditingBands(!editingBands)}
+            aria-expanded={editingBands}
+          >
+            {editingBands ? 'Done' : 'Edit bands'}
+          </button>
+          <label className="severity-weight">
+            <input
+              type="checkbox"
+              checked={severityWeighted}
+              onChange={(e) => setSeverityWeighted(e.target.checked)}
+            />
+            Weight by severity
+          </label>
+        </div>
+        {editingBands && (
+          <SeverityBandEditor
+            thresholds={severityThresholds}
+            setThresholds={setSeverityThresholds}
+          />
+        )}
+      </div>
+
+      <div className="control-group">
+        <label htmlFor="statistic">Statistic</label>
+        <select
+          id="statistic"
+          value={statistic}
+          onChange={(e) => setStatistic(e.target.value)}
           className="control-select"
         >
-          {countries.map(country => (
-            <option key={country} value={country}>{country}</option>
+          {STATISTICS.map(value => (
+            <option key={value} value={value}>{STATISTIC_OPTIONS[value]}</option>
           ))}
         </select>
       </div>
 
       <div className="control-group">
-        <button onClick={onReset} className="reset-button">
-          Reset Filters
-        </button>
+        {activeFilters.length > 0 && (
+          <div className="filter-chips">
+            {activeFilters.map(filter => (
+              <span key={filter.id} className="filter-chip">
+                {filter.label}
+                <button
+                  onClick={filter.onRemove}
+                  className="filter-chip-remove"
+                  aria-label={`Remove ${filter.label}`}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+        <div className="control-actions">
+          <button onClick={onReset} className="reset-button">
+            Reset Filters
+          </button>
+          <ExportMenu
+            label="Export Data"
+            items={[
+              { id: 'csv', label: 'Filtered events as CSV', onSelect: () => onExportData('csv') },
+              { id: 'json', label: 'Filtered events as JSON', onSelect: () => onExportData('json') }
+            ]}
+          />
+        </div>
       </div>
     </div>
   );
@@ -1,60 +1,700 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useCallback } from 'react';
+import * as d3 from 'd3';
 import './Dashboard.css';
 import useDisasterData from '../hooks/useDisasterData';
+import useUrlState from '../hooks/useUrlState';
+import useFilteredData from '../hooks/useFilteredData';
+import useStoredState from '../hooks/useStoredState';
+import {
+  getDefaultState,
+  parseState,
+  serializeState
+} from '../utils/dashboardState';
+import { formatRange, getDateExtent, isSameRange } from '../utils/dateRange';
+import {
+  DEFAULT_SEVERITY_THRESHOLDS,
+  SEVERITY_BANDS,
+  describeBandRange
+} from '../utils/severity';
+import { STATISTIC_LABELS } from '../utils/statistics';
+import { describeFilterSet } from '../utils/comparison';
+import {
+  CHART_REGISTRY,
+  DEFAULT_LAYOUT,
+  aggregatesForLayout,
+  movePanel
+} from '../utils/layout';
+import {
+  EMPTY_VIEW_STORE,
+  VIEWS_STORAGE_KEY,
+  isViewStore
+} from '../utils/savedViews';
+import {
+  buildGeoHierarchy,
+  findGeoNode,
+  findGeoNodeFor,
+  findUnmatchedCountries,
+  levelBelow
+} from '../utils/countries';
+import {
+  buildExportFileName,
+  buildExportSlug,
+  downloadBlob,
+  eventsToCsv,
+  eventsToJson,
+  withExportTime
+} from '../utils/exportFiles';
+import {
+  describeSelection,
+  normalizeSelection,
+  selectOnly,
+  toggleValue
+} from '../utils/selection';
 import Controls from './Controls';
+import QueryBar from './QueryBar';
 import KpiCards from './KpiCards';
+import TimelineBrush from './TimelineBrush';
+import DatasetLoader from './DatasetLoader';
+import ChartPanel from './ChartPanel';
+import PanelPalette from './PanelPalette';
+import DataQualityPanel from './DataQualityPanel';
+import EventTable from './EventTable';
+import EventDrawer from './EventDrawer';
 import TimeTrendChart from './charts/TimeTrendChart';
 import TypeSeverityChart from './charts/TypeSeverityChart';
 import ResponseScatterChart from './charts/ResponseScatterChart';
 import CountryRankChart from './charts/CountryRankChart';
+import GeoMapChart from './charts/GeoMapChart';
+import AidEfficiencyChart from './charts/AidEfficiencyChart';
+import RecoveryChart from './charts/RecoveryChart';
+import SeverityHeatmapChart from './charts/SeverityHeatmapChart';
+import AnomalyPanel from './charts/AnomalyPanel';
 
 function Dashboard() {
-  const { data, loading, error } = useDisasterData();
+  const {
+    data,
+    quality,
+    source,
+    loading,
+    error,
+    commitDataset
+  } = useDisasterData();
   
   // Global filter state
-  const [yearRange, setYearRange] = useState([2018, 2024]);
-  const [selectedType, setSelectedType] = useState('All');
-  const [selectedCountry, setSelectedCountry] = useState('All');
+  // Month-aligned [start, end) date range
+  const [dateRange, setDateRange] = useState(() => getDateExtent([]));
+  // Multi-value selections: null means no filter, a Set lists the chosen values
+  const [selectedTypes, setSelectedTypes] = useState(null);
+  const [selectedCountries, setSelectedCountries] = useState(null);
+  const [selectedBands, setSelectedBands] = useState(null);
+  // Filter set B while comparing, { dateRange, selectedTypes,
+  // selectedCountries, selectedBands }, or null; and the set the filter
+  // controls and chart clicks currently apply to
+  const [comparison, setComparison] = useState(null);
+  const [editingSet, setEditingSet] = useState('A');
+  // Query-language filter, applied on top of the filter controls to both sets
+  const [filterQuery, setFilterQuery] = useState('');
+  // Boundaries between the severity bands, and whether aggregates are
+  // weighted by severity
+  const [severityThresholds, setSeverityThresholds] = useState(DEFAULT_SEVERITY_THRESHOLDS);
+  const [severityWeighted, setSeverityWeighted] = useState(false);
+  // Statistics used for per-group impact figures and for the headline
+  // figures, which default to totals
+  const [statistic, setStatistic] = useState('mean');
+  const [kpiStatistic, setKpiStatistic] = useState('sum');
   const [rankingMetric, setRankingMetric] = useState('response_time_hours');
+  const [rankCount, setRankCount] = useState(15);
+  const [rankDirection, setRankDirection] = useState('top');
+  const [rankMinEvents, setRankMinEvents] = useState(3);
+  const [rankInterval, setRankInterval] = useState('t');
+  // Level the ranking lists at the top, and the region and sub-region
+  // drilled into from there
+  const [rankLevel, setRankLevel] = useState('country');
+  const [rankPath, setRankPath] = useState([]);
+  // Time chart view, and how many years ahead its forecast reaches
+  const [trendMode, setTrendMode] = useState('stacked');
+  const [forecastYears, setForecastYears] = useState(1);
   const [scatterYAxis, setScatterYAxis] = useState('casualties');
+  const [mapSizeMetric, setMapSizeMetric] = useState('casualties');
+  const [hiddenTypes, setHiddenTypes] = useState(new Set());
+  // Rectangle brushed in the scatter plot: { xRange, yMetric, yRange } in raw units
+  const [scatterBrush, setScatterBrush] = useState(null);
+  const [aidGroupBy, setAidGroupBy] = useState('country');
+  const [aidImpact, setAidImpact] = useState('economic_loss_usd');
+  const [recoverySplit, setRecoverySplit] = useState('disaster_type');
+  const [typeChartMode, setTypeChartMode] = useState('multiples');
+  const [typeOrder, setTypeOrder] = useState('casualties');
+  // Chart panels in display order, with their sizes
+  const [layout, setLayout] = useState(DEFAULT_LAYOUT);
+  // Event shown in the detail drawer
+  const [selectedEvent, setSelectedEvent] = useState(null);
 
   // Extract unique values for dropdowns
   const uniqueTypes = useMemo(() => {
-    if (!data.length) return [];
-    return ['All', ...new Set(data.map(d => d.disaster_type))].sort();
+    return [...new Set(data.map(d => d.disaster_type))].sort();
   }, [data]);
 
   const uniqueCountries = useMemo(() => {
-    if (!data.length) return [];
-    const countries = [...new Set(data.map(d => d.country))].sort();
-    return ['All', ...countries];
+    return [...new Set(data.map(d => d.country))].sort();
   }, [data]);
 
-  const yearExtent = useMemo(() => {
-    if (!data.length) return [2018, 2024];
-    const years = data.map(d => d.year);
-    return [Math.min(...years), Math.max(...years)];
-  }, [data]);
+  const dateExtent = useMemo(() => getDateExtent(data), [data]);
+
+  // Region -> sub-region -> country tree for the filter and the ranking
+  const geoHierarchy = useMemo(
+    () => buildGeoHierarchy(uniqueCountries),
+    [uniqueCountries]
+  );
+
+  // Countries without population and GDP figures in the reference table
+  const unmatchedCountries = useMemo(
+    () => findUnmatchedCountries(uniqueCountries),
+    [uniqueCountries]
+  );
+
+  const applyState = (state) => {
+    setDateRange(state.dateRange);
+    setSelectedTypes(state.selectedTypes);
+    setSelectedCountries(state.selectedCountries);
+    setSelectedBands(state.selectedBands);
+    setComparison(state.comparison);
+    if (!state.comparison) setEditingSet('A');
+    setFilterQuery(state.filterQuery);
+    setSeverityThresholds(state.severityThresholds);
+    setSeverityWeighted(state.severityWeighted);
+    setStatistic(state.statistic);
+    setKpiStatistic(state.kpiStatistic);
+    setRankingMetric(state.rankingMetric);
+    setRankCount(state.rankCount);
+    setRankDirection(state.rankDirection);
+    setRankMinEvents(state.rankMinEvents);
+    setRankInterval(state.rankInterval);
+    setRankLevel(state.rankLevel);
+    setRankPath(state.rankPath);
+    setTrendMode(state.trendMode);
+    setForecastYears(state.forecastYears);
+    setScatterYAxis(state.scatterYAxis);
+    setMapSizeMetric(state.mapSizeMetric);
+    setHiddenTypes(state.hiddenTypes);
+    setScatterBrush(state.scatterBrush);
+    setAidGroupBy(state.aidGroupBy);
+    setAidImpact(state.aidImpact);
+    setRecoverySplit(state.recoverySplit);
+    setTypeChartMode(state.typeChartMode);
+    setTypeOrder(state.typeOrder);
+    setLayout(state.layout);
+  };
+
+  // Keep the dashboard state in the URL so it survives reloads and can be shared
+  const query = serializeState(
+    {
+      dateRange,
+      selectedTypes,
+      selectedCountries,
+      selectedBands,
+      comparison,
+      filterQuery,
+      severityThresholds,
+      severityWeighted,
+      statistic,
+      kpiStatistic,
+      rankingMetric,
+      rankCount,
+      rankDirection,
+      rankMinEvents,
+      rankInterval,
+      rankLevel,
+      rankPath,
+      trendMode,
+      forecastYears,
+      scatterYAxis,
+      mapSizeMetric,
+      hiddenTypes,
+      scatterBrush,
+      aidGroupBy,
+      aidImpact,
+      recoverySplit,
+      typeChartMode,
+      typeOrder,
+      layout
+    },
+    dateExtent
+  );
+
+  const restoreState = (search) => applyState(parseState(search, {
+    dateExtent,
+    types: uniqueTypes,
+    countries: uniqueCountries
+  }));
+
+  // Saved views hold serialized state; the default one opens when the page
+  // is loaded without any state in its URL
+  const [savedViews, setSavedViews] = useStoredState(
+    VIEWS_STORAGE_KEY,
+    EMPTY_VIEW_STORE,
+    isViewStore
+  );
+
+  useUrlState(
+    query,
+    (search, initial) => {
+      const defaultView = savedViews.views.find(view => view.id === savedViews.defaultId);
+      restoreState(initial && !search && defaultView ? defaultView.state : search);
+    },
+    data.length > 0
+  );
+
+  // Filter data based on current selections, off the main thread. The scatter
+  // plot gets the events before its own brush is applied so the brushed
+  // rectangle stays visible in context. The country ranking's intervals are
+  // computed alongside, since they need the individual events, as are the
+  // region totals it can be grouped by. Only the aggregates of the charts
+  // shown are computed; moving or resizing a panel doesn't change them
+  const aggregateList = aggregatesForLayout(layout).join(',');
+  const neededAggregates = useMemo(
+    () => aggregateList.split(','),
+    [aggregateList]
+  );
+
+  const filters = useMemo(() => ({
+    dateRange,
+    selectedTypes,
+    selectedCountries,
+    selectedBands,
+    filterQuery,
+    severityThresholds,
+    severityWeighted,
+    statistic,
+    kpiStatistic,
+    rankingMetric,
+    rankInterval,
+    rankLevel,
+    rankPath,
+    scatterBrush,
+    aggregates: neededAggregates
+  }), [
+    dateRange,
+    selectedTypes,
+    selectedCountries,
+    selectedBands,
+    filterQuery,
+    severityThresholds,
+    severityWeighted,
+    statistic,
+    kpiStatistic,
+    rankingMetric,
+    rankInterval,
+    rankLevel,
+    rankPath,
+    scatterBrush,
+    neededAggregates
+  ]);
+
+  const {
+    baseFilteredData,
+    filteredData,
+    aggregates,
+    error: filterError
+  } = useFilteredData(data, filters);
+
+  // Set B shares every option with set A but has its own filters. The
+  // scatter brush is drawn on set A's events, so it only applies to A
+  const comparisonFilters = useMemo(() => comparison && {
+    ...comparison,
+    filterQuery,
+    severityThresholds,
+    severityWeighted,
+    statistic,
+    kpiStatistic,
+    rankingMetric,
+    rankInterval,
+    rankLevel,
+    rankPath,
+    scatterBrush: null,
+    aggregates: neededAggregates
+  }, [
+    comparison,
+    filterQuery,
+    severityThresholds,
+    severityWeighted,
+    statistic,
+    kpiStatistic,
+    rankingMetric,
+    rankInterval,
+    rankLevel,
+    rankPath,
+    neededAggregates
+  ]);
+
+  const {
+    aggregates: comparisonAggregates,
+    error: comparisonFilterError
+  } = useFilteredData(data, comparisonFilters);
+
+  // Setters of either filter set, so the controls and chart clicks can
+  // work on whichever set is being edited
+  const filterSetters = useMemo(() => ({
+    setDateRange,
+    setSelectedTypes,
+    setSelectedCountries,
+    setSelectedBands
+  }), []);
+
+  const comparisonSetters = useMemo(() => {
+    const setField = (key) => (value) => setComparison(prev => prev && {
+      ...prev,
+      [key]: typeof value === 'function' ? value(prev[key]) : value
+    });
+    return {
+      setDateRange: setField('dateRange'),
+      setSelectedTypes: setField('selectedTypes'),
+      setSelectedCountries: setField('selectedCountries'),
+      setSelectedBands: setField('selectedBands')
+    };
+  }, []);
+
+  const filterSet = { dateRange, selectedTypes, selectedCountries, selectedBands };
+  const editingComparison = editingSet === 'B' && comparison !== null;
+  const active = editingComparison ? comparison : filterSet;
+  const activeSetters = editingComparison ? comparisonSetters : filterSetters;
+
+  // Set B starts as a copy of set A, ready to be edited
+  const handleToggleComparison = (enabled) => {
+    setComparison(enabled ? filterSet : null);
+    setEditingSet(enabled ? 'B' : 'A');
+  };
 
-  // Filter data based on current selections
-  const filteredData = useMemo(() => {
-    return data.filter(d => {
-      const matchesYear = d.year >= yearRange[0] && d.year <= yearRange[1];
-      const matchesType = selectedType === 'All' || d.disaster_type === selectedType;
-      const matchesCountry = selectedCountry === 'All' || d.country === selectedCountry;
-      return matchesYear && matchesType && matchesCountry;
+  // Flagged events come back as positions in the filtered events
+  const anomalies = useMemo(() => ({
+    ...aggregates.anomalies,
+    events: aggregates.anomalies.events.map(anomaly => ({
+      ...anomaly,
+      event: filteredData[anomaly.position]
+    }))
+  }), [aggregates.anomalies, filteredData]);
+
+  const anomaliesByEvent = useMemo(
+    () => new Map(anomalies.events.map(anomaly => [anomaly.event, anomaly])),
+    [anomalies]
+  );
+
+  // Zoom the date range to a single month
+  const handleMonthClick = useCallback((month) => {
+    setDateRange([month, d3.timeMonth.offset(month, 1)]);
+  }, []);
+
+  // A brush drawn on one y-axis metric means nothing on the other
+  const handleScatterYAxisChange = (metric) => {
+    setScatterYAxis(metric);
+    setScatterBrush(null);
+  };
+
+  // Drilled-into regions belong to the level they were listed at
+  const handleRankLevelChange = (level) => {
+    setRankLevel(level);
+    setRankPath([]);
+  };
+
+  // Filter the dashboard to every country of a region or sub-region
+  const handleFilterPlace = useCallback((path) => {
+    const node = findGeoNode(geoHierarchy, path);
+    if (node) {
+      activeSetters.setSelectedCountries(
+        normalizeSelection(new Set(node.countries), uniqueCountries)
+      );
+    }
+  }, [activeSetters, geoHierarchy, uniqueCountries]);
+
+  // Chart clicks replace the selection; shift/ctrl/cmd-clicks add to it
+  const handleTypeClick = useCallback((type, additive) => {
+    activeSetters.setSelectedTypes(prev =>
+      additive ? toggleValue(prev, type, uniqueTypes) : selectOnly(prev, type)
+    );
+  }, [activeSetters, uniqueTypes]);
+
+  const handleCountryClick = useCallback((country, additive) => {
+    activeSetters.setSelectedCountries(prev =>
+      additive
+        ? toggleValue(prev, country, uniqueCountries)
+        : selectOnly(prev, country)
+    );
+  }, [activeSetters, uniqueCountries]);
+
+  const handleBandClick = useCallback((band, additive) => {
+    activeSetters.setSelectedBands(prev =>
+      additive ? toggleValue(prev, band, SEVERITY_BANDS) : selectOnly(prev, band)
+    );
+  }, [activeSetters]);
+
+  const handleCloseEvent = useCallback(() => setSelectedEvent(null), []);
+
+  // Links in the event drawer replace the filters they name
+  const handleShowSimilar = useCallback(({ types, countries, bands, month }) => {
+    const toSelection = (values, options) =>
+      values && normalizeSelection(new Set(values), options);
+    if (types !== undefined) {
+      activeSetters.setSelectedTypes(toSelection(types, uniqueTypes));
+    }
+    if (countries !== undefined) {
+      activeSetters.setSelectedCountries(toSelection(countries, uniqueCountries));
+    }
+    if (bands !== undefined) {
+      activeSetters.setSelectedBands(toSelection(bands, SEVERITY_BANDS));
+    }
+    if (month !== undefined) {
+      activeSetters.setDateRange([month, d3.timeMonth.offset(month, 1)]);
+    }
+  }, [activeSetters, uniqueTypes, uniqueCountries]);
+
+  // Removable chips for selections made from the charts or dropdowns, for
+  // the filter set being edited
+  const activeFilters = [];
+  if (!isSameRange(active.dateRange, dateExtent)) {
+    activeFilters.push({
+      id: 'date',
+      label: `Dates: ${formatRange(active.dateRange)}`,
+      onRemove: () => activeSetters.setDateRange(dateExtent)
+    });
+  }
+  if (active.selectedTypes !== null) {
+    activeFilters.push({
+      id: 'type',
+      label: `Type: ${describeSelection(active.selectedTypes, uniqueTypes.length, 'types')}`,
+      onRemove: () => activeSetters.setSelectedTypes(null)
+    });
+  }
+  if (active.selectedCountries !== null) {
+    // Selections covering a whole region are named after it
+    const place = findGeoNodeFor(geoHierarchy, active.selectedCountries);
+    activeFilters.push({
+      id: 'country',
+      label: place
+        ? `Region: ${place.name}`
+        : `Country: ${describeSelection(active.selectedCountries, uniqueCountries.length, 'countries')}`,
+      onRemove: () => activeSetters.setSelectedCountries(null)
+    });
+  }
+  if (active.selectedBands !== null) {
+    activeFilters.push({
+      id: 'severity',
+      label: `Severity: ${describeSelection(active.selectedBands, SEVERITY_BANDS.length, 'bands')}`,
+      onRemove: () => activeSetters.setSelectedBands(null)
+    });
+  }
+  if (filterQuery) {
+    activeFilters.push({
+      id: 'query',
+      label: `Query: ${filterQuery}`,
+      onRemove: () => setFilterQuery('')
     });
-  }, [data, yearRange, selectedType, selectedCountry]);
+  }
+  if (severityWeighted) {
+    activeFilters.push({
+      id: 'weight',
+      label: 'Weighted by severity',
+      onRemove: () => setSeverityWeighted(false)
+    });
+  }
+  let brushLabel = null;
+  if (scatterBrush) {
+    const { xRange, yMetric, yRange } = scatterBrush;
+    const yLabel = yMetric === 'casualties'
+      ? `Casualties ${Math.round(yRange[0])}–${Math.round(yRange[1])}`
+      : `Loss $${(yRange[0] / 1000000).toFixed(1)}M–$${(yRange[1] / 1000000).toFixed(1)}M`;
+    brushLabel = `Response ${xRange[0].toFixed(0)}–${xRange[1].toFixed(0)}h, ${yLabel}`;
+    activeFilters.push({
+      id: 'brush',
+      label: brushLabel,
+      onRemove: () => setScatterBrush(null)
+    });
+  }
+
+  // Values offered as completions in the query bar
+  const queryValues = useMemo(() => ({
+    disaster_type: uniqueTypes,
+    country: uniqueCountries
+  }), [uniqueTypes, uniqueCountries]);
+
+  const filterSetCounts = {
+    types: uniqueTypes.length,
+    countries: uniqueCountries.length
+  };
+
+  // Filter state recorded in the names and headers of exported files
+  const listSelection = (selection, noun) => {
+    if (selection === null) return `All ${noun}`;
+    return selection.size ? [...selection].sort().join(', ') : `No ${noun}`;
+  };
+  const exportInfo = {
+    slug: buildExportSlug(filters),
+    metadata: {
+      Dataset: source,
+      Dates: formatRange(dateRange),
+      Types: listSelection(selectedTypes, 'types'),
+      Countries: listSelection(selectedCountries, 'countries'),
+      Severity: `${listSelection(selectedBands, 'bands')} (${SEVERITY_BANDS.map(band =>
+        `${band} ${describeBandRange(band, severityThresholds)}`
+      ).join(', ')})`,
+      Weighting: severityWeighted ? 'by severity_index' : 'none',
+      Statistic: STATISTIC_LABELS[statistic],
+      'Headline statistic': STATISTIC_LABELS[kpiStatistic],
+      Query: filterQuery || 'none',
+      'Scatter brush': brushLabel ?? 'none',
+      'Comparison (set B)': comparison
+        ? describeFilterSet(comparison, filterSetCounts)
+        : 'none',
+      Events: filteredData.length.toLocaleString(),
+      View: `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ''}`
+    }
+  };
+
+  const handleExportData = (format) => {
+    const metadata = withExportTime(exportInfo.metadata);
+    const content = format === 'csv'
+      ? eventsToCsv(filteredData, metadata)
+      : eventsToJson(filteredData, metadata);
+    downloadBlob(
+      new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' }),
+      buildExportFileName('disasters', exportInfo.slug, format)
+    );
+  };
 
-  // Reset all filters
+  // Chart shown in each kind of panel; those drawn at a fixed height take
+  // the panel's height
+  const chartElements = {
+    trend: (height) => (
+      <TimeTrendChart
+        counts={aggregates.byYearType}
+        monthly={aggregates.monthlyByType}
+        comparison={comparison && comparisonAggregates.monthlyByType}
+        mode={trendMode}
+        setMode={setTrendMode}
+        forecastYears={forecastYears}
+        setForecastYears={setForecastYears}
+        onSelectType={handleTypeClick}
+        hiddenTypes={hiddenTypes}
+        setHiddenTypes={setHiddenTypes}
+        height={height}
+      />
+    ),
+    types: (height) => (
+      <TypeSeverityChart
+        stats={aggregates.byType}
+        comparison={comparison && comparisonAggregates.byType}
+        statistic={statistic}
+        mode={typeChartMode}
+        setMode={setTypeChartMode}
+        order={typeOrder}
+        setOrder={setTypeOrder}
+        onSelectType={handleTypeClick}
+        height={height}
+      />
+    ),
+    scatter: (height) => (
+      <ResponseScatterChart
+        data={baseFilteredData}
+        yAxisMetric={scatterYAxis}
+        setYAxisMetric={handleScatterYAxisChange}
+        brushExtent={scatterBrush}
+        setBrushExtent={setScatterBrush}
+        anomalies={anomaliesByEvent}
+        onSelectEvent={setSelectedEvent}
+        height={height}
+      />
+    ),
+    ranking: () => (
+      <CountryRankChart
+        stats={aggregates.byPlace}
+        comparison={comparison && comparisonAggregates.byPlace}
+        statistic={statistic}
+        metric={rankingMetric}
+        setMetric={setRankingMetric}
+        count={rankCount}
+        setCount={setRankCount}
+        direction={rankDirection}
+        setDirection={setRankDirection}
+        minEvents={rankMinEvents}
+        setMinEvents={setRankMinEvents}
+        intervalType={rankInterval}
+        setIntervalType={setRankInterval}
+        rootLevel={rankLevel}
+        setRootLevel={handleRankLevelChange}
+        level={levelBelow(rankLevel, rankPath)}
+        path={rankPath}
+        setPath={setRankPath}
+        onFilterPlace={handleFilterPlace}
+        onSelectCountry={handleCountryClick}
+      />
+    ),
+    heatmap: () => (
+      <SeverityHeatmapChart
+        stats={aggregates.typeSeverity}
+        thresholds={severityThresholds}
+        weighted={severityWeighted}
+        onSelectType={handleTypeClick}
+        onSelectBand={handleBandClick}
+      />
+    ),
+    aid: (height) => (
+      <AidEfficiencyChart
+        stats={aggregates.aid}
+        groupBy={aidGroupBy}
+        setGroupBy={setAidGroupBy}
+        impactMetric={aidImpact}
+        setImpactMetric={setAidImpact}
+        onSelectCountry={handleCountryClick}
+        onSelectType={handleTypeClick}
+        height={height}
+      />
+    ),
+    recovery: (height) => (
+      <RecoveryChart
+        stats={aggregates.recovery}
+        split={recoverySplit}
+        setSplit={setRecoverySplit}
+        onSelectType={handleTypeClick}
+        onSelectCountry={handleCountryClick}
+        height={height}
+      />
+    ),
+    anomalies: () => (
+      <AnomalyPanel
+        anomalies={anomalies}
+        onSelectMonth={handleMonthClick}
+      />
+    ),
+    map: (height) => (
+      <GeoMapChart
+        data={filteredData}
+        sizeMetric={mapSizeMetric}
+        setSizeMetric={setMapSizeMetric}
+        height={height}
+      />
+    )
+  };
+
+  // Reset all filters; the layout has its own reset
   const handleReset = () => {
-    setYearRange(yearExtent);
-    setSelectedType('All');
-    setSelectedCountry('All');
-    setRankingMetric('response_time_hours');
-    setScatterYAxis('casualties');
+    applyState({ ...getDefaultState(dateExtent), layout });
   };
 
+  // Filters chosen for the previous dataset may not apply to the new one
+  const handleDatasetLoad = (mode, fileName) => {
+    return commitDataset(mode, fileName).then(nextData => {
+      applyState(getDefaultState(getDateExtent(nextData)));
+      setSelectedEvent(null);
+    });
+  };
+
+  const datasetLoader = (
+    <DatasetLoader
+      source={source}
+      eventCount={data.length}
+      onLoad={handleDatasetLoad}
+      defaultOpen={Boolean(error)}
+    />
+  );
+
   if (loading) {
     return (
       <div className="dashboard-loading">
@@ -66,55 +706,142 @@ function Dashboard() {
 
   if (error) {
     return (
-      <div className="dashboard-error">
-        <h2>Error Loading Data</h2>
-        <p>{error}</p>
+      <div className="dashboard">
+        <div className="dashboard-error">
+          <h2>Error Loading Data</h2>
+          <p>{error}</p>
+        </div>
+        {datasetLoader}
       </div>
     );
   }
 
   return (
     <div className="dashboard">
+      {datasetLoader}
+
+      <DataQualityPanel
+        eventCount={data.length}
+        quality={quality}
+        unmatchedCountries={unmatchedCountries}
+      />
+
       <Controls
-        yearRange={yearRange}
-        setYearRange={setYearRange}
-        yearExtent={yearExtent}
-        selectedType={selectedType}
-        setSelectedType={setSelectedType}
+        dateRange={active.dateRange}
+        setDateRange={activeSetters.setDateRange}
+        dateExtent={dateExtent}
+        selectedTypes={active.selectedTypes}
+        setSelectedTypes={activeSetters.setSelectedTypes}
         types={uniqueTypes}
-        selectedCountry={selectedCountry}
-        setSelectedCountry={setSelectedCountry}
+        selectedCountries={active.selectedCountries}
+        setSelectedCountries={activeSetters.setSelectedCountries}
         countries={uniqueCountries}
+        countryGroups={geoHierarchy}
+        selectedBands={active.selectedBands}
+        setSelectedBands={activeSetters.setSelectedBands}
+        comparing={comparison !== null}
+        onToggleComparison={handleToggleComparison}
+        editingSet={editingComparison ? 'B' : 'A'}
+        setEditingSet={setEditingSet}
+        severityThresholds={severityThresholds}
+        setSeverityThresholds={setSeverityThresholds}
+        severityWeighted={severityWeighted}
+        setSeverityWeighted={setSeverityWeighted}
+        statistic={statistic}
+        setStatistic={setStatistic}
+        views={savedViews}
+        setViews={setSavedViews}
+        currentView={query}
+        onApplyView={restoreState}
+        activeFilters={activeFilters}
         onReset={handleReset}
+        onExportData={handleExportData}
+      />
+
+      <QueryBar
+        query={filterQuery}
+        setQuery={setFilterQuery}
+        values={queryValues}
       />
       
-      <KpiCards data={filteredData} />
-      
-      <div className="charts-grid">
-        <div className="chart-container">
-          <TimeTrendChart data={filteredData} />
-        </div>
-        
-        <div className="chart-container">
-          <TypeSeverityChart data={filteredData} />
-        </div>
-        
-        <div className="chart-container">
-          <ResponseScatterChart 
-            data={filteredData}
-            yAxisMetric={scatterYAxis}
-            setYAxisMetric={setScatterYAxis}
-          />
+      <TimelineBrush
+        counts={(editingComparison ? comparisonAggregates : aggregates).monthly}
+        dateRange={active.dateRange}
+        setDateRange={activeSetters.setDateRange}
+        dateExtent={dateExtent}
+      />
+
+      {(filterError || comparisonFilterError) && (
+        <div className="dashboard-error dashboard-filter-error" role="alert">
+          <h2>Error Applying Filters</h2>
+          <p>{filterError || comparisonFilterError}</p>
+          <p>The charts still show the last filters that could be applied.</p>
         </div>
-        
-        <div className="chart-container">
-          <CountryRankChart 
-            data={filteredData}
-            metric={rankingMetric}
-            setMetric={setRankingMetric}
-          />
+      )}
+
+      <KpiCards
+        kpis={aggregates.kpis}
+        comparison={comparison && comparisonAggregates.kpis}
+        statistic={kpiStatistic}
+        setStatistic={setKpiStatistic}
+        weighted={severityWeighted}
+      />
+
+      {comparison && (
+        <div className="comparison-banner">
+          <span><strong>A:</strong> {describeFilterSet(filterSet, filterSetCounts)}</span>
+          <span><strong>B:</strong> {describeFilterSet(comparison, filterSetCounts)}</span>
+          <span className="comparison-note">
+            The time trend, type and ranking charts show both sets, B dashed or
+            lighter; the other charts show set A.
+          </span>
         </div>
+      )}
+      
+      <PanelPalette layout={layout} setLayout={setLayout} />
+
+      <div className="charts-grid">
+        {layout.map((panel, i) => (
+          <ChartPanel
+            key={panel.chart}
+            className={panel.span === 2 ? 'chart-container-wide' : ''}
+            exportInfo={exportInfo}
+            panel={panel}
+            index={i}
+            name={CHART_REGISTRY[panel.chart].title}
+            onMove={(from, to) => setLayout(prev => movePanel(prev, from, to))}
+            onResize={(size) => setLayout(prev => prev.map(p =>
+              p.chart === panel.chart ? { ...p, ...size } : p
+            ))}
+            onRemove={() => setLayout(prev => prev.filter(p => p.chart !== panel.chart))}
+          >
+            {chartElements[panel.chart](panel.height)}
+          </ChartPanel>
+        ))}
+        {layout.length === 0 && (
+          <p className="charts-empty">No charts shown; add one from the list above.</p>
+        )}
       </div>
+
+      <div className="chart-container event-table-panel">
+        <EventTable
+          events={filteredData}
+          anomalies={anomaliesByEvent}
+          selectedEvent={selectedEvent}
+          onSelectEvent={setSelectedEvent}
+        />
+      </div>
+
+      {selectedEvent && (
+        <EventDrawer
+          event={selectedEvent}
+          events={filteredData}
+          anomaly={anomaliesByEvent.get(selectedEvent)}
+          thresholds={severityThresholds}
+          onShowSimilar={handleShowSimilar}
+          onClose={handleCloseEvent}
+        />
+      )}
     </div>
   );
 }
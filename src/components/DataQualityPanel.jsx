@@ -0,0 +1,123 @@
+import React, { useMemo, useState } from 'react';
+import './DataQualityPanel.css';
+import { DATASET_COLUMNS, NUMERIC_COLUMNS } from '../utils/parseDisasters';
+
+// Dropped rows listed individually; the rest are only counted
+const MAX_DROPPED_ROWS = 100;
+
+function DataQualityPanel({ eventCount, quality, unmatchedCountries = [] }) {
+  const [open, setOpen] = useState(false);
+
+  const rows = useMemo(() => {
+    return DATASET_COLUMNS.map(column => ({
+      column,
+      missing: quality.columns[column].missing,
+      invalid: quality.columns[column].invalid,
+      // Outliers are counted by the data worker whenever the dataset changes
+      outliers: NUMERIC_COLUMNS.includes(column)
+        ? quality.outliers?.[column] ?? 0
+        : null
+    }));
+  }, [quality]);
+
+  const issueCount = rows.reduce((n, r) => n + r.missing + r.invalid, 0);
+
+  return (
+    <div className="data-quality">
+      <div className="data-quality-header">
+        <span className="data-quality-summary">
+          Data quality: {eventCount.toLocaleString()} of{' '}
+          {quality.totalRows.toLocaleString()} rows loaded,{' '}
+          {quality.dropped.length.toLocaleString()} dropped,{' '}
+          {issueCount.toLocaleString()} missing or unparseable values
+          {unmatchedCountries.length > 0 &&
+            `, ${unmatchedCountries.length.toLocaleString()} unmatched ${
+              unmatchedCountries.length === 1 ? 'country' : 'countries'
+            }`}
+        </span>
+        <button
+          type="button"
+          className="dataset-loader-toggle"
+          onClick={() => setOpen(!open)}
+        >
+          {open ? 'Hide details' : 'Show details'}
+        </button>
+      </div>
+
+      {open && (
+        <div className="data-quality-details">
+          <table className="data-quality-table">
+            <thead>
+              <tr>
+                <th>Column</th>
+                <th>Missing</th>
+                <th>Unparseable</th>
+                <th title="Values more than 3 IQRs beyond the quartiles">
+                  Outliers
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.column}>
+                  <td>{row.column}</td>
+                  <td className={row.missing ? 'has-issues' : ''}>
+                    {row.missing.toLocaleString()}
+                  </td>
+                  <td className={row.invalid ? 'has-issues' : ''}>
+                    {row.invalid.toLocaleString()}
+                  </td>
+                  <td>
+                    {row.outliers === null ? '—' : row.outliers.toLocaleString()}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="data-quality-dropped">
+            <h4>Dropped rows</h4>
+            {quality.dropped.length === 0 ? (
+              <p>No rows were dropped.</p>
+            ) : (
+              <ul>
+                {quality.dropped.slice(0, MAX_DROPPED_ROWS).map((drop, i) => (
+                  <li key={i}>
+                    {drop.source} row {drop.row}: {drop.reasons.join(', ')}
+                  </li>
+                ))}
+                {quality.dropped.length > MAX_DROPPED_ROWS && (
+                  <li className="data-quality-more">
+                    …and {(quality.dropped.length - MAX_DROPPED_ROWS).toLocaleString()} more
+                  </li>
+                )}
+              </ul>
+            )}
+          </div>
+
+          <div className="data-quality-dropped">
+            <h4>Countries not in the reference table</h4>
+            {unmatchedCountries.length === 0 ? (
+              <p>Every country matched, so per-capita figures cover all events.</p>
+            ) : (
+              <>
+                <p>
+                  These have no population or GDP figures and are left out of
+                  per-capita metrics. Add them, or an alias, to
+                  src/data/countries.js.
+                </p>
+                <ul>
+                  {unmatchedCountries.map(country => (
+                    <li key={country}>{country}</li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DataQualityPanel;
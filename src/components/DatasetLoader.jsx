@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from 'react';
+import './DatasetLoader.css';
+import { DATASET_COLUMNS, REQUIRED_COLUMNS } from '../utils/parseDisasters';
+import { guessColumnMapping } from '../utils/datasetFile';
+import { requestWorker } from '../workers/disasterDataClient';
+
+function DatasetLoader({ source, eventCount, onLoad, defaultOpen = false }) {
+  const [open, setOpen] = useState(defaultOpen);
+  const [dragging, setDragging] = useState(false);
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [readError, setReadError] = useState(null);
+  const [preview, setPreview] = useState(null);
+
+  const handleFile = async (selected) => {
+    if (!selected) return;
+    setReadError(null);
+    try {
+      // The worker keeps the rows; only the headers come back here
+      const { columns, format, rowCount } = await requestWorker('readFile', {
+        file: selected
+      });
+      setFile({ name: selected.name, columns, format, rowCount });
+      setMapping(guessColumnMapping(columns));
+    } catch (err) {
+      setFile(null);
+      setReadError(`Could not read ${selected.name}: ${err.message}`);
+    }
+  };
+
+  // Schema check against the current column mapping
+  useEffect(() => {
+    if (!file) {
+      setPreview(null);
+      return;
+    }
+    const missing = REQUIRED_COLUMNS.filter(column => !mapping[column]);
+    if (missing.length) {
+      setPreview({ missing, validCount: 0, droppedCount: file.rowCount });
+      return;
+    }
+
+    // The previous preview stays up until the worker answers; requests are
+    // handled in order, so a load always commits the latest mapping
+    let cancelled = false;
+    requestWorker('previewMapping', { mapping })
+      .then(({ validCount, droppedCount }) => {
+        if (!cancelled) setPreview({ missing, validCount, droppedCount });
+      })
+      .catch(err => {
+        if (!cancelled) setReadError(`Could not map ${file.name}: ${err.message}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [file, mapping]);
+
+  // The file stays up until it has loaded, so a failed load can be retried
+  // with another mapping
+  const handleLoad = async (mode) => {
+    setReadError(null);
+    try {
+      await onLoad(mode, file.name);
+      setFile(null);
+      setOpen(false);
+    } catch (err) {
+      setReadError(`Could not load ${file.name}: ${err.message}`);
+    }
+  };
+
+  const handleCancel = () => {
+    requestWorker('discardPending');
+    setFile(null);
+    setReadError(null);
+  };
+
+  return (
+    <div className="dataset-loader">
+      <div className="dataset-loader-header">
+        <span className="dataset-source">
+          Dataset: <strong>{source}</strong> ({eventCount.toLocaleString()} events)
+        </span>
+        <button
+          type="button"
+          className="dataset-loader-toggle"
+          onClick={() => setOpen(!open)}
+        >
+          {open ? 'Close' : 'Load your own data'}
+        </button>
+      </div>
+
+      {open && !file && (
+        <label
+          className={`dataset-dropzone ${dragging ? 'dragging' : ''}`}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDragging(true);
+          }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={(e) => {
+            e.preventDefault();
+            setDragging(false);
+            handleFile(e.dataTransfer.files[0]);
+          }}
+        >
+          <input
+            type="file"
+            accept=".csv,.tsv,.tab,.txt,.json"
+            onChange={(e) => handleFile(e.target.files[0])}
+          />
+          Drop a CSV, TSV or JSON file here, or click to choose one
+        </label>
+      )}
+
+      {readError && <p className="dataset-error">{readError}</p>}
+
+      {file && preview && (
+        <div className="dataset-mapping">
+          <p className="dataset-file">
+            {file.name} ({file.format}, {file.rowCount.toLocaleString()} rows)
+          </p>
+
+          <div className="dataset-mapping-grid">
+            {DATASET_COLUMNS.map(column => (
+              <label key={column} className="dataset-mapping-row">
+                <span>
+                  {column}
+                  {REQUIRED_COLUMNS.includes(column) && ' *'}
+                </span>
+                <select
+                  value={mapping[column]}
+                  onChange={(e) =>
+                    setMapping({ ...mapping, [column]: e.target.value })
+                  }
+                  className="control-select"
+                >
+                  <option value="">(not mapped)</option>
+                  {file.columns.map(header => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {preview.missing.length > 0 ? (
+            <p className="dataset-error">
+              Missing required columns: {preview.missing.join(', ')}
+            </p>
+          ) : (
+            <p className="dataset-summary">
+              {preview.validCount.toLocaleString()} rows will be loaded
+              {preview.droppedCount > 0 &&
+                `, ${preview.droppedCount.toLocaleString()} will be dropped (invalid date, country or disaster type)`}
+            </p>
+          )}
+
+          <div className="dataset-actions">
+            <button
+              type="button"
+              className="reset-button"
+              disabled={!preview.validCount}
+              onClick={() => handleLoad('replace')}
+            >
+              Replace Dataset
+            </button>
+            <button
+              type="button"
+              className="reset-button"
+              disabled={!preview.validCount || !eventCount}
+              onClick={() => handleLoad('append')}
+            >
+              Append to Dataset
+            </button>
+            <button
+              type="button"
+              className="dataset-loader-toggle"
+              onClick={handleCancel}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DatasetLoader;
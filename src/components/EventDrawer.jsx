@@ -0,0 +1,159 @@
+import React, { useEffect, useMemo } from 'react';
+import * as d3 from 'd3';
+import './EventDrawer.css';
+import { formatEventDate, rankEvent } from '../utils/eventTable';
+import { describeAnomalyReason } from '../utils/anomalies';
+import { describeBandRange, severityBand } from '../utils/severity';
+
+const formatMoney = (v) => `$${d3.format(',.0f')(v)}`;
+const formatFixed = d3.format(',.1f');
+const formatMonth = d3.timeFormat('%B %Y');
+const formatCoordinate = d3.format('.4f');
+
+// Every field of an event, in reading order
+const FIELDS = [
+  { key: 'date', label: 'Date', format: formatEventDate },
+  { key: 'disaster_type', label: 'Disaster type' },
+  { key: 'country', label: 'Country' },
+  { key: 'severity_index', label: 'Severity index', format: formatFixed },
+  { key: 'casualties', label: 'Casualties', format: d3.format(',') },
+  { key: 'economic_loss_usd', label: 'Economic loss', format: formatMoney },
+  { key: 'response_time_hours', label: 'Response time', format: (v) => `${formatFixed(v)} hours` },
+  { key: 'aid_amount_usd', label: 'Aid', format: formatMoney },
+  { key: 'response_efficiency_score', label: 'Response efficiency', format: formatFixed },
+  { key: 'recovery_days', label: 'Recovery', format: (v) => `${d3.format(',')(v)} days` },
+  { key: 'latitude', label: 'Latitude', format: formatCoordinate },
+  { key: 'longitude', label: 'Longitude', format: formatCoordinate },
+];
+
+const FIELD_LABELS = Object.fromEntries(FIELDS.map((f) => [f.key, f.label]));
+
+const ordinal = (n) => {
+  const suffix = n % 100 >= 11 && n % 100 <= 13
+    ? 'th'
+    : { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+  return `${n.toLocaleString()}${suffix}`;
+};
+
+/**
+ * Side panel with every field of one event, where it ranks among events of
+ * its type and country in the current selection, and shortcuts that filter
+ * the dashboard to similar events
+ */
+function EventDrawer({
+  event,
+  events,
+  anomaly,
+  thresholds,
+  onShowSimilar,
+  onClose,
+}) {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const ranks = useMemo(() => rankEvent(events, event), [events, event]);
+
+  const { disaster_type: type, country } = event;
+  const band = severityBand(event.severity_index, thresholds);
+  const month = d3.timeMonth.floor(event.date);
+
+  // Each link replaces the named filters and leaves the others as they are
+  const similar = [
+    { label: `All ${type} events`, filters: { types: [type], countries: null } },
+    { label: `All events in ${country}`, filters: { types: null, countries: [country] } },
+    { label: `${type} events in ${country}`, filters: { types: [type], countries: [country] } },
+    band && {
+      label: `${band} severity ${type} events`,
+      filters: { types: [type], countries: null, bands: [band] },
+    },
+    {
+      label: `All events in ${formatMonth(month)}`,
+      filters: { types: null, countries: null, month },
+    },
+  ].filter(Boolean);
+
+  return (
+    <aside className="event-drawer" role="dialog" aria-label="Event details">
+      <div className="event-drawer-header">
+        <h3>
+          {type} in {country}
+        </h3>
+        <button
+          type="button"
+          className="event-drawer-close"
+          onClick={onClose}
+          aria-label="Close event details"
+        >
+          ×
+        </button>
+      </div>
+
+      <dl className="event-drawer-fields">
+        {FIELDS.map(({ key, label, format }) => (
+          <React.Fragment key={key}>
+            <dt>{label}</dt>
+            <dd>
+              {event[key] === null ? '—' : format ? format(event[key]) : event[key]}
+              {key === 'severity_index' && band &&
+                ` (${band}, ${describeBandRange(band, thresholds)})`}
+            </dd>
+          </React.Fragment>
+        ))}
+      </dl>
+
+      {anomaly && (
+        <div className="event-drawer-anomaly">
+          {anomaly.reasons.map((reason) => (
+            <p key={reason.column}>⚠ {describeAnomalyReason(reason, event)}</p>
+          ))}
+        </div>
+      )}
+
+      <h4>Rank in the current selection</h4>
+      {ranks.length === 0 ? (
+        <p className="event-drawer-note">This event has no values to rank.</p>
+      ) : (
+        <table className="event-drawer-ranks">
+          <thead>
+            <tr>
+              <th>Highest</th>
+              <th>among {type}</th>
+              <th>in {country}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ranks.map((r) => (
+              <tr key={r.column}>
+                <td>{FIELD_LABELS[r.column]}</td>
+                <td>
+                  {ordinal(r.type.rank)} of {r.type.count.toLocaleString()}
+                </td>
+                <td>
+                  {ordinal(r.country.rank)} of {r.country.count.toLocaleString()}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h4>Show similar events</h4>
+      <ul className="event-drawer-similar">
+        {similar.map(({ label, filters }) => (
+          <li key={label}>
+            <button type="button" onClick={() => onShowSimilar(filters)}>
+              {label}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
+
+export default EventDrawer;
@@ -0,0 +1,227 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import './EventTable.css';
+import { formatEventDate, parseColumnFilter } from '../utils/eventTable';
+
+// Rows have a fixed height so only those in view need rendering
+const ROW_HEIGHT = 34;
+const VIEW_HEIGHT = 480;
+// Rows rendered beyond each edge of the view, so fast scrolling stays filled
+const OVERSCAN = 10;
+
+const formatMoney = (v) => `$${d3.format('.3s')(v).replace('G', 'B')}`;
+const formatFixed = d3.format(',.1f');
+
+// Missing values show as a dash and sort last
+const COLUMNS = [
+  { key: 'date', label: 'Date', type: 'date', format: formatEventDate },
+  { key: 'disaster_type', label: 'Type', type: 'text' },
+  { key: 'country', label: 'Country', type: 'text' },
+  { key: 'severity_index', label: 'Severity', type: 'number', format: formatFixed },
+  { key: 'casualties', label: 'Casualties', type: 'number', format: d3.format(',') },
+  { key: 'economic_loss_usd', label: 'Economic Loss', type: 'number', format: formatMoney },
+  { key: 'response_time_hours', label: 'Response (h)', type: 'number', format: formatFixed },
+  { key: 'aid_amount_usd', label: 'Aid', type: 'number', format: formatMoney },
+  { key: 'response_efficiency_score', label: 'Efficiency', type: 'number', format: formatFixed },
+  { key: 'recovery_days', label: 'Recovery (days)', type: 'number', format: d3.format(',') },
+];
+
+const PLACEHOLDERS = {
+  date: 'e.g. 2021-03',
+  text: 'contains…',
+  number: 'e.g. >100, 1M-5M',
+};
+
+const NO_ANOMALIES = new Map();
+
+/**
+ * Sortable, filterable table of the selected events. Only the rows in view
+ * are rendered, so it stays responsive with tens of thousands of events.
+ */
+function EventTable({
+  events,
+  anomalies = NO_ANOMALIES,
+  selectedEvent,
+  onSelectEvent,
+}) {
+  const listRef = useRef();
+  const [sort, setSort] = useState({ key: 'date', descending: true });
+  const [columnFilters, setColumnFilters] = useState({});
+  const [search, setSearch] = useState('');
+  const [scrollTop, setScrollTop] = useState(0);
+
+  // Filter text compiled per column; null marks text that cannot be parsed
+  const predicates = useMemo(
+    () =>
+      COLUMNS.map((column) => ({
+        key: column.key,
+        test: parseColumnFilter(column.type, columnFilters[column.key] || ''),
+      })),
+    [columnFilters]
+  );
+
+  const rows = useMemo(() => {
+    const active = predicates.filter((p) => p.test);
+    const needle = search.trim().toLowerCase();
+    const matches = (d) =>
+      (!needle ||
+        d.disaster_type.toLowerCase().includes(needle) ||
+        d.country.toLowerCase().includes(needle) ||
+        formatEventDate(d.date).startsWith(needle)) &&
+      active.every((p) => p.test(d[p.key]));
+
+    const compare = sort.descending ? d3.descending : d3.ascending;
+    const value = (d) => (sort.key === 'date' ? +d.date : d[sort.key]);
+    return events.filter(matches).sort((a, b) => {
+      const [va, vb] = [value(a), value(b)];
+      if (va === null || vb === null) return (va === null) - (vb === null);
+      return compare(va, vb);
+    });
+  }, [events, predicates, search, sort]);
+
+  // A new list starts from the top
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = 0;
+    setScrollTop(0);
+  }, [rows]);
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(
+    rows.length,
+    Math.ceil((scrollTop + VIEW_HEIGHT) / ROW_HEIGHT) + OVERSCAN
+  );
+  const visible = rows.slice(first, last);
+
+  const toggleSort = (key) => {
+    setSort((prev) =>
+      prev.key === key
+        ? { key, descending: !prev.descending }
+        : { key, descending: key !== 'disaster_type' && key !== 'country' }
+    );
+  };
+
+  const setColumnFilter = (key, text) => {
+    setColumnFilters((prev) => ({ ...prev, [key]: text }));
+  };
+
+  const filtered = search.trim() !== '' || predicates.some((p) => p.test !== undefined);
+
+  return (
+    <div className="chart-wrapper event-table">
+      <h3 className="chart-title">Events</h3>
+      <p className="chart-subtitle">
+        Every event in the current selection; click a row for all its details
+      </p>
+
+      <div className="controls-inline event-table-controls">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search type, country or date"
+          className="event-table-search"
+          aria-label="Search events"
+        />
+        <span className="event-table-count">
+          {rows.length === events.length
+            ? `${events.length.toLocaleString()} events`
+            : `${rows.length.toLocaleString()} of ${events.length.toLocaleString()} events`}
+        </span>
+        {filtered && (
+          <button
+            type="button"
+            className="event-table-clear"
+            onClick={() => {
+              setSearch('');
+              setColumnFilters({});
+            }}
+          >
+            Clear table filters
+          </button>
+        )}
+      </div>
+
+      <div
+        ref={listRef}
+        className="event-table-scroll"
+        style={{ maxHeight: VIEW_HEIGHT }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table>
+          <thead>
+            <tr>
+              {COLUMNS.map(({ key, label }) => (
+                <th
+                  key={key}
+                  aria-sort={
+                    sort.key === key
+                      ? sort.descending ? 'descending' : 'ascending'
+                      : 'none'
+                  }
+                >
+                  <button type="button" onClick={() => toggleSort(key)}>
+                    {label}
+                    {sort.key === key && (sort.descending ? ' ▼' : ' ▲')}
+                  </button>
+                </th>
+              ))}
+            </tr>
+            <tr className="event-table-filters">
+              {COLUMNS.map(({ key, label, type }, i) => (
+                <th key={key}>
+                  <input
+                    type="text"
+                    value={columnFilters[key] || ''}
+                    onChange={(e) => setColumnFilter(key, e.target.value)}
+                    placeholder={PLACEHOLDERS[type]}
+                    aria-label={`Filter ${label}`}
+                    aria-invalid={predicates[i].test === null}
+                  />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {first > 0 && (
+              <tr aria-hidden="true" style={{ height: first * ROW_HEIGHT }} />
+            )}
+            {visible.map((d, i) => (
+              <tr
+                key={first + i}
+                className={d === selectedEvent ? 'selected' : undefined}
+                style={{ height: ROW_HEIGHT }}
+                tabIndex={0}
+                onClick={() => onSelectEvent(d)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') onSelectEvent(d);
+                }}
+              >
+                {COLUMNS.map(({ key, format }) => (
+                  <td key={key}>
+                    {d[key] === null ? '—' : format ? format(d[key]) : d[key]}
+                    {key === 'date' && anomalies.has(d) && (
+                      <span className="event-table-anomaly" title="Flagged as unusual">
+                        {' '}⚠
+                      </span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {last < rows.length && (
+              <tr
+                aria-hidden="true"
+                style={{ height: (rows.length - last) * ROW_HEIGHT }}
+              />
+            )}
+          </tbody>
+        </table>
+        {rows.length === 0 && (
+          <p className="event-table-empty">No events match the table filters.</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default EventTable;
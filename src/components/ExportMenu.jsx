@@ -0,0 +1,69 @@
+import React, { useEffect, useRef, useState } from 'react';
+import './ExportMenu.css';
+
+function ExportMenu({ label = 'Export', items, children }) {
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState(null);
+  const containerRef = useRef();
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!open) return;
+
+    const handleMouseDown = (event) => {
+      if (!containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleMouseDown);
+    return () => document.removeEventListener('mousedown', handleMouseDown);
+  }, [open]);
+
+  // Exports may be asynchronous (PNG rendering); keep the menu open on failure
+  const handleSelect = (item) => {
+    setError(null);
+    Promise.resolve()
+      .then(item.onSelect)
+      .then(() => setOpen(false))
+      .catch(err => setError(err.message));
+  };
+
+  return (
+    <div
+      className="export-menu"
+      ref={containerRef}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') setOpen(false);
+      }}
+    >
+      <button
+        type="button"
+        className="export-menu-toggle"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+      >
+        {label}
+      </button>
+
+      {open && (
+        <div className="export-menu-panel">
+          {children}
+          {items.map(item => (
+            <button
+              key={item.id}
+              type="button"
+              className="export-menu-item"
+              onClick={() => handleSelect(item)}
+            >
+              {item.label}
+            </button>
+          ))}
+          {error && <p className="export-menu-error">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
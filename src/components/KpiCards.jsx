@@ -1,33 +1,19 @@
-import React, { useMemo } from 'react';
-import * as d3 from 'd3';
+import React from 'react';
 import './KpiCards.css';
+import { STATISTICS, STATISTIC_LABELS } from '../utils/statistics';
+import { statisticForColumn } from '../utils/aggregations';
+import { computeDelta } from '../utils/comparison';
 
-function KpiCards({ data }) {
-  const kpis = useMemo(() => {
-    if (!data || data.length === 0) {
-      return {
-        totalEvents: 0,
-        totalCasualties: 0,
-        totalEconomicLoss: 0,
-        avgResponseTime: 0
-      };
-    }
-
-    const totalEvents = data.length;
-    const totalCasualties = d3.sum(data, d => d.casualties);
-    const totalEconomicLoss = d3.sum(data, d => d.economic_loss_usd);
-    const avgResponseTime = d3.mean(data, d => d.response_time_hours);
-
-    return {
-      totalEvents,
-      totalCasualties,
-      totalEconomicLoss,
-      avgResponseTime
-    };
-  }, [data]);
-
+function KpiCards({
+  kpis,
+  comparison = null,
+  statistic = 'sum',
+  setStatistic,
+  weighted = false
+}) {
   // Format large numbers with K, M, B suffixes
   const formatNumber = (num) => {
+    if (num === undefined) return '—';
     if (num >= 1e9) {
       return `$${(num / 1e9).toFixed(2)}B`;
     } else if (num >= 1e6) {
@@ -39,40 +25,182 @@ function KpiCards({ data }) {
   };
 
   const formatCasualties = (num) => {
-    return num.toLocaleString();
+    if (num === undefined) return '—';
+    return num.toLocaleString(undefined, { maximumFractionDigits: 1 });
+  };
+
+  const formatCount = (num) => num.toLocaleString();
+
+  const formatHours = (num) => (num === undefined ? '—' : `${num.toFixed(1)}h`);
+
+  const formatRatio = (num) => (num === undefined ? '—' : num.toFixed(1));
+
+  const formatPerMillion = (num) => {
+    if (num === undefined) return '—';
+    return num.toLocaleString(undefined, { maximumSignificantDigits: 3 });
+  };
+
+  const formatShare = (num) => {
+    if (num === undefined) return '—';
+    return `${num.toLocaleString(undefined, { maximumSignificantDigits: 3 })}%`;
+  };
+
+  // In comparison mode, set B's value and its change from set A
+  const comparisonLine = (key, format) => {
+    if (!comparison) return null;
+    const delta = computeDelta(kpis[key], comparison[key]);
+    const sign = (v) => (v < 0 ? '−' : '+');
+    return (
+      <div className="kpi-comparison">
+        B: {format(comparison[key])}
+        {delta && (
+          <span className="kpi-delta">
+            {' '}{sign(delta.absolute)}{format(Math.abs(delta.absolute))}
+            {delta.percent !== null &&
+              ` (${sign(delta.percent)}${Math.abs(delta.percent).toFixed(1)}%)`}
+          </span>
+        )}
+      </div>
+    );
+  };
+
+  // "Total Casualties", or "Median Casualties per Event" and the like.
+  // Response times and scores have no meaningful total and show their mean
+  const statLabel = (column, name, perEvent = true, unit = null) => {
+    const columnStat = statisticForColumn(column, statistic);
+    const label = columnStat === 'sum'
+      ? `Total ${name}`
+      : `${STATISTIC_LABELS[columnStat]} ${name}${perEvent ? ' per Event' : ''}`;
+    return unit ? `${label} (${unit})` : label;
+  };
+
+  // Sample size note, shown only when some events lack the value
+  const sampleNote = (n) => {
+    if (n === kpis.totalEvents) return null;
+    return (
+      <div className="kpi-sample">
+        n = {n.toLocaleString()} of {kpis.totalEvents.toLocaleString()}
+      </div>
+    );
   };
 
+  // Relative impact always compares totals with the combined population or
+  // GDP of the affected countries in the reference table
+  const countryNote = (countries) => (
+    <div className="kpi-sample">
+      totals over {countries.toLocaleString()}{' '}
+      {countries === 1 ? 'country' : 'countries'}
+      {kpis.unmatchedEvents > 0 &&
+        `; ${kpis.unmatchedEvents.toLocaleString()} events unmatched`}
+    </div>
+  );
+
+  // Statistics are severity-weighted when weighting is on; counts are not
+  const weightNote = weighted && (
+    <div className="kpi-sample">severity-weighted</div>
+  );
+
   return (
-    <div className="kpi-cards">
-      <div className="kpi-card">
-        <div className="kpi-icon">📊</div>
-        <div className="kpi-content">
-          <div className="kpi-value">{kpis.totalEvents.toLocaleString()}</div>
-          <div className="kpi-label">Total Events</div>
-        </div>
+    <div className="kpi-section">
+      <div className="kpi-options">
+        <label htmlFor="kpi-statistic">Headline statistic</label>
+        <select
+          id="kpi-statistic"
+          value={statistic}
+          onChange={(e) => setStatistic(e.target.value)}
+          className="control-select"
+        >
+          {STATISTICS.map(value => (
+            <option key={value} value={value}>{STATISTIC_LABELS[value]}</option>
+          ))}
+        </select>
       </div>
 
-      <div className="kpi-card">
-        <div className="kpi-icon">👥</div>
-        <div className="kpi-content">
-          <div className="kpi-value">{formatCasualties(kpis.totalCasualties)}</div>
-          <div className="kpi-label">Total Casualties</div>
+      <div className="kpi-cards">
+        <div className="kpi-card">
+          <div className="kpi-icon">📊</div>
+          <div className="kpi-content">
+            <div className="kpi-value">{formatCount(kpis.totalEvents)}</div>
+            <div className="kpi-label">Total Events</div>
+            {comparisonLine('totalEvents', formatCount)}
+          </div>
         </div>
-      </div>
 
-      <div className="kpi-card">
-        <div className="kpi-icon">💰</div>
-        <div className="kpi-content">
-          <div className="kpi-value">{formatNumber(kpis.totalEconomicLoss)}</div>
-          <div className="kpi-label">Economic Loss (USD)</div>
+        <div className="kpi-card">
+          <div className="kpi-icon">👥</div>
+          <div className="kpi-content">
+            <div className="kpi-value">{formatCasualties(kpis.casualties)}</div>
+            <div className="kpi-label">{statLabel('casualties', 'Casualties')}</div>
+            {comparisonLine('casualties', formatCasualties)}
+            {sampleNote(kpis.casualtiesN)}
+            {weightNote}
+          </div>
+        </div>
+
+        <div className="kpi-card">
+          <div className="kpi-icon">💰</div>
+          <div className="kpi-content">
+            <div className="kpi-value">{formatNumber(kpis.economicLoss)}</div>
+            <div className="kpi-label">{statLabel('economic_loss_usd', 'Economic Loss', true, 'USD')}</div>
+            {comparisonLine('economicLoss', formatNumber)}
+            {sampleNote(kpis.economicLossN)}
+            {weightNote}
+          </div>
+        </div>
+
+        <div className="kpi-card">
+          <div className="kpi-icon">⏱️</div>
+          <div className="kpi-content">
+            <div className="kpi-value">{formatHours(kpis.responseTime)}</div>
+            <div className="kpi-label">{statLabel('response_time_hours', 'Response Time', false)}</div>
+            {comparisonLine('responseTime', formatHours)}
+            {sampleNote(kpis.responseTimeN)}
+            {weightNote}
+          </div>
+        </div>
+
+        <div className="kpi-card">
+          <div className="kpi-icon">🤝</div>
+          <div className="kpi-content">
+            <div className="kpi-value">{formatNumber(kpis.aid)}</div>
+            <div className="kpi-label">{statLabel('aid_amount_usd', 'Aid', true, 'USD')}</div>
+            {comparisonLine('aid', formatNumber)}
+            {sampleNote(kpis.aidN)}
+            {weightNote}
+          </div>
+        </div>
+
+        <div className="kpi-card">
+          <div className="kpi-icon">⚙️</div>
+          <div className="kpi-content">
+            <div className="kpi-value">{formatRatio(kpis.efficiency)}</div>
+            <div className="kpi-label">{statLabel('response_efficiency_score', 'Response Efficiency', false)}</div>
+            {comparisonLine('efficiency', formatRatio)}
+            {sampleNote(kpis.efficiencyN)}
+            {weightNote}
+          </div>
+        </div>
+
+        <div className="kpi-card">
+          <div className="kpi-icon">🧍</div>
+          <div className="kpi-content">
+            <div className="kpi-value">{formatPerMillion(kpis.casualtiesPerMillion)}</div>
+            <div className="kpi-label">Casualties per Million People</div>
+            {comparisonLine('casualtiesPerMillion', formatPerMillion)}
+            {countryNote(kpis.populationCountries)}
+            {weightNote}
+          </div>
         </div>
-      </div>
 
-      <div className="kpi-card">
-        <div className="kpi-icon">⏱️</div>
-        <div className="kpi-content">
-          <div className="kpi-value">{kpis.avgResponseTime.toFixed(1)}h</div>
-          <div className="kpi-label">Avg Response Time</div>
+        <div className="kpi-card">
+          <div className="kpi-icon">📉</div>
+          <div className="kpi-content">
+            <div className="kpi-value">{formatShare(kpis.lossShareOfGdp)}</div>
+            <div className="kpi-label">Economic Loss, % of GDP</div>
+            {comparisonLine('lossShareOfGdp', formatShare)}
+            {countryNote(kpis.gdpCountries)}
+            {weightNote}
+          </div>
         </div>
       </div>
     </div>
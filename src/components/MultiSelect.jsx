@@ -0,0 +1,152 @@
+import React, { useEffect, useRef, useState } from 'react';
+import './MultiSelect.css';
+import {
+  describeSelection,
+  invertSelection,
+  toggleValue,
+  toggleValues
+} from '../utils/selection';
+
+// Nodes of a grouped option tree matching the search, keeping every option
+// under a group whose own name matches
+function filterTree(nodes, query, matched = false) {
+  return nodes.flatMap(node => {
+    const selfMatch = matched || node.name.toLowerCase().includes(query);
+    if (!node.children.length) return selfMatch ? [node] : [];
+    const children = filterTree(node.children, query, selfMatch);
+    return children.length ? [{ ...node, children }] : [];
+  });
+}
+
+// With `groups`, a country tree from buildGeoHierarchy, the options are
+// listed under group checkboxes that tick or clear all of their countries
+function MultiSelect({ id, options, selected, onChange, noun, groups = null }) {
+  const [open, setOpen] = useState(false);
+  const [search, setSearch] = useState('');
+  const containerRef = useRef();
+
+  // Close when clicking anywhere outside the dropdown
+  useEffect(() => {
+    if (!open) return;
+
+    const handleMouseDown = (event) => {
+      if (!containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleMouseDown);
+    return () => document.removeEventListener('mousedown', handleMouseDown);
+  }, [open]);
+
+  const query = search.trim().toLowerCase();
+  const visibleOptions = options.filter(option =>
+    option.toLowerCase().includes(query)
+  );
+  const visibleGroups = groups && filterTree(groups, query);
+  const noMatches = visibleGroups
+    ? visibleGroups.length === 0
+    : visibleOptions.length === 0;
+
+  const isSelected = (option) => selected === null || selected.has(option);
+
+  const renderOption = (option) => (
+    <li key={option}>
+      <label className="multi-select-option">
+        <input
+          type="checkbox"
+          checked={isSelected(option)}
+          onChange={() => onChange(toggleValue(selected, option, options))}
+        />
+        {option}
+      </label>
+    </li>
+  );
+
+  // Groups are ticked when all of their options are, and shown as
+  // indeterminate when only some are
+  const renderNode = (node) => {
+    if (!node.children.length) return renderOption(node.name);
+    const selectedCount = node.countries.filter(isSelected).length;
+    return (
+      <li key={`${node.level}:${node.name}`}>
+        <label className="multi-select-option multi-select-group">
+          <input
+            type="checkbox"
+            checked={selectedCount === node.countries.length}
+            ref={(el) => {
+              if (el) {
+                el.indeterminate =
+                  selectedCount > 0 && selectedCount < node.countries.length;
+              }
+            }}
+            onChange={() => onChange(toggleValues(selected, node.countries, options))}
+          />
+          {node.name}
+        </label>
+        <ul className="multi-select-children">
+          {node.children.map(renderNode)}
+        </ul>
+      </li>
+    );
+  };
+
+  return (
+    <div
+      className="multi-select"
+      ref={containerRef}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') setOpen(false);
+      }}
+    >
+      <button
+        id={id}
+        type="button"
+        className="control-select multi-select-toggle"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+      >
+        {describeSelection(selected, options.length, noun)}
+      </button>
+
+      {open && (
+        <div className="multi-select-panel">
+          <input
+            type="search"
+            className="multi-select-search"
+            placeholder={`Search ${noun}...`}
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            autoFocus
+          />
+
+          <div className="multi-select-actions">
+            <button type="button" onClick={() => onChange(null)}>
+              All
+            </button>
+            <button type="button" onClick={() => onChange(new Set())}>
+              None
+            </button>
+            <button
+              type="button"
+              onClick={() => onChange(invertSelection(selected, options))}
+            >
+              Invert
+            </button>
+          </div>
+
+          <ul className="multi-select-options">
+            {visibleGroups
+              ? visibleGroups.map(renderNode)
+              : visibleOptions.map(renderOption)}
+            {noMatches && (
+              <li className="multi-select-empty">No matches</li>
+            )}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MultiSelect;
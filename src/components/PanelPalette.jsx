@@ -0,0 +1,52 @@
+import React from 'react';
+import './PanelPalette.css';
+import {
+  CHART_IDS,
+  CHART_REGISTRY,
+  DEFAULT_LAYOUT,
+  defaultPanel,
+  serializeLayout
+} from '../utils/layout';
+
+/**
+ * Adds charts that are not on the dashboard as new panels at the end of the
+ * layout, and restores the default layout
+ */
+function PanelPalette({ layout, setLayout }) {
+  const shown = new Set(layout.map(panel => panel.chart));
+  const available = CHART_IDS.filter(chart => !shown.has(chart));
+  const isDefault = serializeLayout(layout) === serializeLayout(DEFAULT_LAYOUT);
+
+  return (
+    <div className="panel-palette">
+      <select
+        value=""
+        onChange={(e) => setLayout([...layout, defaultPanel(e.target.value)])}
+        disabled={available.length === 0}
+        className="control-select"
+        aria-label="Add a chart"
+      >
+        <option value="" disabled>
+          {available.length ? 'Add a chart…' : 'All charts are shown'}
+        </option>
+        {available.map(chart => (
+          <option key={chart} value={chart}>{CHART_REGISTRY[chart].title}</option>
+        ))}
+      </select>
+      {!isDefault && (
+        <button
+          type="button"
+          className="panel-palette-reset"
+          onClick={() => setLayout(DEFAULT_LAYOUT)}
+        >
+          Reset layout
+        </button>
+      )}
+      <span className="panel-palette-hint">
+        Drag a panel by ⠿ to move it, or by its lower right corner to resize it
+      </span>
+    </div>
+  );
+}
+
+export default PanelPalette;
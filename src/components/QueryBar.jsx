@@ -0,0 +1,259 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import './QueryBar.css';
+import useStoredState from '../hooks/useStoredState';
+import { parseQuery, suggestQuery } from '../utils/query';
+
+const SAVED_QUERIES_KEY = 'disaster-dashboard:saved-queries';
+
+const isSavedQueryList = (value) =>
+  Array.isArray(value) &&
+  value.every((q) => typeof q.name === 'string' && typeof q.query === 'string');
+
+/**
+ * Text box for filter expressions such as "casualties > 100 and country =
+ * Chile", with completions, inline syntax errors and named saved queries.
+ * Edits only take effect when applied with Enter or the Apply button.
+ */
+function QueryBar({ query, setQuery, values }) {
+  const inputRef = useRef();
+  // Caret position to restore after a completion is inserted
+  const caretRef = useRef(null);
+  const [draft, setDraft] = useState(query);
+  const [suggestions, setSuggestions] = useState(null);
+  const [highlighted, setHighlighted] = useState(0);
+  const [naming, setNaming] = useState(false);
+  const [name, setName] = useState('');
+  const [saved, setSaved] = useStoredState(SAVED_QUERIES_KEY, [], isSavedQueryList);
+
+  // The applied query also changes from the URL, chips and resets
+  useEffect(() => {
+    setDraft(query);
+  }, [query]);
+
+  useEffect(() => {
+    if (caretRef.current !== null && inputRef.current) {
+      inputRef.current.setSelectionRange(caretRef.current, caretRef.current);
+      caretRef.current = null;
+    }
+  }, [draft]);
+
+  const { error } = useMemo(() => parseQuery(draft), [draft]);
+  const pending = draft.trim() !== query && !error;
+
+  const updateSuggestions = (text, cursor) => {
+    const next = suggestQuery(text, cursor, values);
+    setSuggestions(next.options.length ? next : null);
+    setHighlighted(0);
+  };
+
+  const apply = (text = draft) => {
+    if (parseQuery(text).error) return;
+    setQuery(text.trim());
+    setSuggestions(null);
+  };
+
+  // Replace the word being typed with the completion, then offer what follows
+  const accept = (option) => {
+    const cursor = inputRef.current.selectionStart;
+    const rest = draft.slice(cursor).replace(/^\S*\s*/, '');
+    const head = `${draft.slice(0, suggestions.from)}${option.insert} `;
+    const text = head + rest;
+    caretRef.current = head.length;
+    setDraft(text);
+    updateSuggestions(text, head.length);
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions) {
+      const count = suggestions.options.length;
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        setHighlighted((i) => (i + (e.key === 'ArrowDown' ? 1 : count - 1)) % count);
+        return;
+      }
+      if (e.key === 'Tab') {
+        e.preventDefault();
+        accept(suggestions.options[highlighted]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        setSuggestions(null);
+        return;
+      }
+    }
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      apply();
+    }
+  };
+
+  const saveQuery = () => {
+    const trimmed = name.trim();
+    if (!trimmed || !draft.trim() || error) return;
+    setSaved((prev) => [
+      ...prev.filter((q) => q.name !== trimmed),
+      { name: trimmed, query: draft.trim() },
+    ]);
+    setNaming(false);
+    setName('');
+  };
+
+  const loadQuery = (entry) => {
+    setDraft(entry.query);
+    apply(entry.query);
+  };
+
+  return (
+    <div className="query-bar">
+      <div className="query-row">
+        <label htmlFor="query-input" className="query-label">Query</label>
+        <div className="query-input-wrapper">
+          <input
+            id="query-input"
+            ref={inputRef}
+            type="text"
+            value={draft}
+            onChange={(e) => {
+              setDraft(e.target.value);
+              updateSuggestions(e.target.value, e.target.selectionStart);
+            }}
+            onKeyDown={handleKeyDown}
+            onClick={(e) => updateSuggestions(draft, e.target.selectionStart)}
+            onBlur={() => setSuggestions(null)}
+            placeholder="e.g. casualties > 100 and disaster_type in (Flood, Storm)"
+            className={`query-input${error ? ' invalid' : ''}`}
+            spellCheck={false}
+            autoComplete="off"
+            role="combobox"
+            aria-expanded={Boolean(suggestions)}
+            aria-controls="query-suggestions"
+            aria-invalid={Boolean(error)}
+            aria-describedby={error ? 'query-error' : undefined}
+          />
+          {suggestions && (
+            <ul id="query-suggestions" className="query-suggestions" role="listbox">
+              {suggestions.options.map((option, i) => (
+                <li
+                  key={option.label}
+                  role="option"
+                  aria-selected={i === highlighted}
+                  className={i === highlighted ? 'highlighted' : undefined}
+                  // Keep focus in the input so the caret position survives
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    accept(option);
+                  }}
+                >
+                  {option.label}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <button
+          type="button"
+          className="query-button"
+          onClick={() => apply()}
+          disabled={Boolean(error) || !pending}
+        >
+          Apply
+        </button>
+        {(draft || query) && (
+          <button
+            type="button"
+            className="query-button secondary"
+            onClick={() => {
+              setDraft('');
+              apply('');
+            }}
+          >
+            Clear
+          </button>
+        )}
+        {!naming && (
+          <button
+            type="button"
+            className="query-button secondary"
+            onClick={() => setNaming(true)}
+            disabled={!draft.trim() || Boolean(error)}
+          >
+            Save…
+          </button>
+        )}
+        {naming && (
+          <form
+            className="query-save"
+            onSubmit={(e) => {
+              e.preventDefault();
+              saveQuery();
+            }}
+          >
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Name"
+              aria-label="Name of the saved query"
+              autoFocus
+            />
+            <button type="submit" className="query-button" disabled={!name.trim()}>
+              Save
+            </button>
+            <button
+              type="button"
+              className="query-button secondary"
+              onClick={() => setNaming(false)}
+            >
+              Cancel
+            </button>
+          </form>
+        )}
+      </div>
+
+      {error ? (
+        <p id="query-error" className="query-error" role="alert">
+          {error.message} (column {error.position + 1}):{' '}
+          <code>
+            {draft.slice(0, error.position)}
+            <mark>{draft.slice(error.position, error.position + 1) || ' '}</mark>
+            {draft.slice(error.position + 1)}
+          </code>
+        </p>
+      ) : (
+        pending && (
+          <p className="query-hint">
+            Press Enter to apply the edited query; Tab accepts a completion.
+          </p>
+        )
+      )}
+
+      {saved.length > 0 && (
+        <div className="query-saved">
+          <span className="query-saved-label">Saved:</span>
+          {saved.map((q) => (
+            <span key={q.name} className="query-saved-item">
+              <button
+                type="button"
+                className="query-saved-load"
+                onClick={() => loadQuery(q)}
+                title={q.query}
+              >
+                {q.name}
+              </button>
+              <button
+                type="button"
+                className="query-saved-remove"
+                onClick={() => setSaved((prev) => prev.filter((p) => p.name !== q.name))}
+                aria-label={`Delete saved query ${q.name}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default QueryBar;
@@ -0,0 +1,71 @@
+import React, { useEffect, useState } from 'react';
+import './SeverityBandEditor.css';
+import {
+  DEFAULT_SEVERITY_THRESHOLDS,
+  SEVERITY_BANDS,
+  describeBandRange,
+  isValidThresholds
+} from '../utils/severity';
+
+function SeverityBandEditor({ thresholds, setThresholds }) {
+  // Edits are kept as text until they form a valid set of thresholds
+  const [draft, setDraft] = useState(thresholds.map(String));
+
+  useEffect(() => {
+    setDraft(thresholds.map(String));
+  }, [thresholds]);
+
+  const parsed = draft.map(value => (value.trim() === '' ? NaN : +value));
+  const valid = isValidThresholds(parsed);
+  const changed = parsed.join() !== thresholds.join();
+
+  return (
+    <div className="severity-band-editor">
+      <div className="severity-thresholds">
+        {draft.map((value, i) => (
+          <label key={SEVERITY_BANDS[i + 1]} className="severity-threshold">
+            {SEVERITY_BANDS[i + 1]} from
+            <input
+              type="number"
+              step="any"
+              value={value}
+              onChange={(e) =>
+                setDraft(draft.map((v, j) => (j === i ? e.target.value : v)))
+              }
+            />
+          </label>
+        ))}
+      </div>
+
+      {valid ? (
+        <p className="severity-band-preview">
+          {SEVERITY_BANDS.map(band =>
+            `${band} ${describeBandRange(band, parsed)}`
+          ).join(' · ')}
+        </p>
+      ) : (
+        <p className="severity-band-error">
+          Thresholds must be numbers in ascending order
+        </p>
+      )}
+
+      <div className="severity-band-actions">
+        <button
+          type="button"
+          disabled={!valid || !changed}
+          onClick={() => setThresholds(parsed)}
+        >
+          Apply
+        </button>
+        <button
+          type="button"
+          onClick={() => setThresholds(DEFAULT_SEVERITY_THRESHOLDS)}
+        >
+          Defaults
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SeverityBandEditor;
@@ -0,0 +1,150 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import './TimelineBrush.css';
+import useContainerWidth from '../hooks/useContainerWidth';
+import { SNAP_INTERVALS, clampRange, formatRange } from '../utils/dateRange';
+
+function TimelineBrush({ counts, dateRange, setDateRange, dateExtent }) {
+  const svgRef = useRef();
+  const tooltipRef = useRef();
+  const containerWidth = useContainerWidth(svgRef, 600);
+  const dimensions = useMemo(
+    () => ({ width: containerWidth, height: 90 }),
+    [containerWidth]
+  );
+  const [snap, setSnap] = useState('month');
+
+  useEffect(() => {
+    // Clear previous content
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    const margin = { top: 8, right: 20, bottom: 22, left: 40 };
+    const width = dimensions.width - margin.left - margin.right;
+    const height = dimensions.height - margin.top - margin.bottom;
+
+    // Monthly event counts, keyed by month start timestamp
+    const months = d3.timeMonth.range(dateExtent[0], dateExtent[1]);
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', dimensions.width)
+      .attr('height', dimensions.height);
+
+    const g = svg
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    // Scales
+    const xScale = d3.scaleTime().domain(dateExtent).range([0, width]);
+
+    const yScale = d3
+      .scaleLinear()
+      .domain([0, d3.max(months, (m) => counts.get(+m) || 0) || 1])
+      .nice()
+      .range([height, 0]);
+
+    // Monthly bars
+    g.selectAll('.timeline-bar')
+      .data(months)
+      .join('rect')
+      .attr('class', 'timeline-bar')
+      .attr('x', (m) => xScale(m) + 0.5)
+      .attr('y', (m) => yScale(counts.get(+m) || 0))
+      .attr('width', (m) =>
+        Math.max(0, xScale(d3.timeMonth.offset(m, 1)) - xScale(m) - 1)
+      )
+      .attr('height', (m) => height - yScale(counts.get(+m) || 0));
+
+    // Axes
+    g.append('g')
+      .attr('class', 'x-axis')
+      .attr('transform', `translate(0,${height})`)
+      .call(d3.axisBottom(xScale).ticks(Math.max(2, width / 80)));
+
+    g.append('g')
+      .attr('class', 'y-axis')
+      .call(d3.axisLeft(yScale).ticks(2));
+
+    // Brush snapping to month or quarter boundaries
+    const interval = SNAP_INTERVALS[snap];
+
+    const brush = d3
+      .brushX()
+      .extent([
+        [0, 0],
+        [width, height],
+      ])
+      .on('brush', (event) => {
+        // Preview the snapped range while dragging
+        if (!event.selection || !event.sourceEvent) return;
+        const [x0, x1] = event.selection.map(xScale.invert);
+        d3.select(tooltipRef.current)
+          .text(formatRange([interval.round(x0), interval.round(x1)]))
+          .style('display', 'block')
+          .style('left', `${event.sourceEvent.clientX + 10}px`)
+          .style('top', `${event.sourceEvent.clientY - 28}px`);
+      })
+      .on('end', function (event) {
+        d3.select(tooltipRef.current).style('display', 'none');
+
+        // Ignore programmatic moves when restoring the brush after a redraw
+        if (!event.sourceEvent) return;
+
+        // Clicking without dragging selects the full range again
+        if (!event.selection) {
+          setDateRange(dateExtent);
+          return;
+        }
+
+        const [x0, x1] = event.selection.map(xScale.invert);
+        let start = interval.round(x0);
+        let end = interval.round(x1);
+        if (end <= start) {
+          end = interval.offset(start, 1);
+        }
+        const snapped = clampRange([start, end], dateExtent);
+        d3.select(this).call(brush.move, snapped.map(xScale));
+        setDateRange(snapped);
+      });
+
+    g.append('g')
+      .attr('class', 'brush')
+      .call(brush)
+      .call(brush.move, dateRange.map(xScale));
+  }, [counts, dimensions, dateRange, setDateRange, dateExtent, snap]);
+
+  return (
+    <div className="timeline-brush">
+      <div className="timeline-header">
+        <span className="timeline-title">
+          Events per month: <strong>{formatRange(dateRange)}</strong>
+        </span>
+        <div className="radio-group">
+          <label className="radio-label">
+            <input
+              type="radio"
+              value="month"
+              checked={snap === 'month'}
+              onChange={(e) => setSnap(e.target.value)}
+            />
+            Snap to month
+          </label>
+          <label className="radio-label">
+            <input
+              type="radio"
+              value="quarter"
+              checked={snap === 'quarter'}
+              onChange={(e) => setSnap(e.target.value)}
+            />
+            Snap to quarter
+          </label>
+        </div>
+      </div>
+
+      <svg ref={svgRef}></svg>
+      <div ref={tooltipRef} className="tooltip"></div>
+    </div>
+  );
+}
+
+export default TimelineBrush;
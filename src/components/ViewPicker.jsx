@@ -0,0 +1,204 @@
+import React, { useRef, useState } from 'react';
+import './ViewPicker.css';
+import ExportMenu from './ExportMenu';
+import { downloadBlob } from '../utils/exportFiles';
+import {
+  addView,
+  exportViews,
+  importViews,
+  removeView,
+  updateView,
+} from '../utils/savedViews';
+
+/**
+ * Switches between saved views and manages them. The view shown as current
+ * is the one last picked or saved; it is marked modified once the dashboard
+ * state moves away from what was saved.
+ */
+function ViewPicker({ store, setStore, currentState, onApply }) {
+  const fileInputRef = useRef();
+  const [selectedId, setSelectedId] = useState(null);
+  // 'save' or 'rename' while the name form is open
+  const [naming, setNaming] = useState(null);
+  const [name, setName] = useState('');
+  const [message, setMessage] = useState(null);
+
+  // Fall back to a view matching the state, e.g. the default applied on load
+  const view =
+    store.views.find((v) => v.id === selectedId) ||
+    store.views.find((v) => v.state === currentState);
+  const modified = Boolean(view) && view.state !== currentState;
+
+  const selectView = (id) => {
+    const next = store.views.find((v) => v.id === id);
+    if (!next) return;
+    setSelectedId(id);
+    setMessage(null);
+    onApply(next.state);
+  };
+
+  const openNaming = (mode) => {
+    setNaming(mode);
+    setName(mode === 'rename' ? view.name : '');
+    setMessage(null);
+  };
+
+  const submitName = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (naming === 'rename') {
+      setStore(updateView(store, view.id, { name: trimmed }));
+    } else {
+      const { store: next, view: added } = addView(store, trimmed, currentState);
+      setStore(next);
+      setSelectedId(added.id);
+    }
+    setNaming(null);
+  };
+
+  const duplicateView = () => {
+    const { store: next, view: added } = addView(store, view.name, view.state);
+    setStore(next);
+    setSelectedId(added.id);
+  };
+
+  const deleteView = () => {
+    if (!window.confirm(`Delete the view "${view.name}"?`)) return;
+    setStore(removeView(store, view.id));
+    setSelectedId(null);
+  };
+
+  const handleImport = async (file) => {
+    if (!file) return;
+    try {
+      const { store: next, count } = importViews(store, await file.text());
+      setStore(next);
+      setMessage(`Imported ${count} ${count === 1 ? 'view' : 'views'} from ${file.name}`);
+    } catch (err) {
+      setMessage(`Could not import ${file.name}: ${err.message}`);
+    }
+  };
+
+  const isDefault = Boolean(view) && store.defaultId === view.id;
+  const menuItems = [
+    ...(view
+      ? [
+          { id: 'rename', label: 'Rename…', onSelect: () => openNaming('rename') },
+          { id: 'duplicate', label: 'Duplicate', onSelect: duplicateView },
+          {
+            id: 'default',
+            label: isDefault ? 'Stop opening by default' : 'Open by default',
+            onSelect: () =>
+              setStore({ ...store, defaultId: isDefault ? null : view.id }),
+          },
+          { id: 'delete', label: 'Delete', onSelect: deleteView },
+        ]
+      : []),
+    {
+      id: 'import',
+      label: 'Import views…',
+      onSelect: () => fileInputRef.current.click(),
+    },
+    ...(store.views.length
+      ? [
+          {
+            id: 'export',
+            label: 'Export views as JSON',
+            onSelect: () =>
+              downloadBlob(
+                new Blob([exportViews(store)], { type: 'application/json' }),
+                'dashboard-views.json'
+              ),
+          },
+        ]
+      : []),
+  ];
+
+  return (
+    <div className="view-picker">
+      <div className="view-picker-row">
+        <select
+          id="saved-view"
+          value={view ? view.id : ''}
+          onChange={(e) => selectView(e.target.value)}
+          className="control-select"
+        >
+          <option value="" disabled>
+            {store.views.length ? 'Unsaved view' : 'No saved views'}
+          </option>
+          {store.views.map((v) => (
+            <option key={v.id} value={v.id}>
+              {v.name}
+              {v.id === store.defaultId ? ' (default)' : ''}
+            </option>
+          ))}
+        </select>
+        {modified && <span className="view-modified">modified</span>}
+      </div>
+
+      {naming ? (
+        <form
+          className="view-picker-row"
+          onSubmit={(e) => {
+            e.preventDefault();
+            submitName();
+          }}
+        >
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="View name"
+            aria-label="View name"
+            className="view-name"
+            autoFocus
+          />
+          <button type="submit" className="view-button" disabled={!name.trim()}>
+            {naming === 'rename' ? 'Rename' : 'Save'}
+          </button>
+          <button
+            type="button"
+            className="view-button secondary"
+            onClick={() => setNaming(null)}
+          >
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <div className="view-picker-row">
+          <button
+            type="button"
+            className="view-button"
+            onClick={() => openNaming('save')}
+          >
+            Save as…
+          </button>
+          {modified && (
+            <button
+              type="button"
+              className="view-button secondary"
+              onClick={() => setStore(updateView(store, view.id, { state: currentState }))}
+            >
+              Update “{view.name}”
+            </button>
+          )}
+          <ExportMenu label="Manage" items={menuItems} />
+        </div>
+      )}
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        className="view-import-input"
+        onChange={(e) => {
+          handleImport(e.target.files[0]);
+          e.target.value = '';
+        }}
+      />
+      {message && <p className="view-message">{message}</p>}
+    </div>
+  );
+}
+
+export default ViewPicker;
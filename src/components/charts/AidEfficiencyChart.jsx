@@ -0,0 +1,417 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import * as d3 from 'd3';
+import useContainerWidth from '../../hooks/useContainerWidth';
+import { isAdditiveClick } from '../../utils/selection';
+import './AidEfficiencyChart.css';
+
+// d3's SI prefixes use G for billions
+const formatUsd = (value) => d3.format('$.3~s')(value).replace('G', 'B');
+
+const IMPACT_LABELS = {
+  economic_loss_usd: 'Economic Loss (USD)',
+  casualties: 'Casualties',
+};
+
+// Aid per unit of impact: a share of the loss, or dollars per casualty
+const formatCoverage = (ratio, impactMetric) => {
+  if (ratio === null) return 'n/a';
+  return impactMetric === 'economic_loss_usd'
+    ? d3.format('.1%')(ratio)
+    : `${formatUsd(ratio)} per casualty`;
+};
+
+function AidEfficiencyChart({
+  stats,
+  groupBy,
+  setGroupBy,
+  impactMetric,
+  setImpactMetric,
+  onSelectCountry,
+  onSelectType,
+  height = 420,
+}) {
+  const svgRef = useRef();
+  const tooltipRef = useRef();
+  const containerWidth = useContainerWidth(svgRef, 900);
+  const dimensions = useMemo(
+    () => ({ width: containerWidth, height }),
+    [containerWidth, height]
+  );
+
+  const groups = groupBy === 'country' ? stats.byCountry : stats.byType;
+  const underserved = stats.underserved[impactMetric];
+
+  useEffect(() => {
+    // Clear previous content
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    if (!groups.length) return;
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', dimensions.width)
+      .attr('height', dimensions.height);
+
+    const tooltip = d3.select(tooltipRef.current);
+    const showTooltip = (event, html) => {
+      tooltip
+        .html(html)
+        .style('display', 'block')
+        .style('left', `${event.clientX + 10}px`)
+        .style('top', `${event.clientY - 28}px`);
+    };
+    const hideTooltip = () => tooltip.style('display', 'none');
+
+    // Left panel: aid against impact per group; right panel: efficiency scores
+    const margin = { top: 20, right: 20, bottom: 60, left: 80 };
+    const gap = 60;
+    const panelWidth =
+      (dimensions.width - margin.left - margin.right - gap - margin.left) / 2;
+    const height = dimensions.height - margin.top - margin.bottom;
+
+    // --- Aid vs. impact ----------------------------------------------------
+
+    const g = svg
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    // Log scales need positive totals on both axes
+    const plotted = groups
+      .map((d) => ({ ...d, ...d.paired[impactMetric] }))
+      .filter((d) => d.aid > 0 && d.impact > 0);
+
+    if (plotted.length) {
+      const padExtent = ([min, max]) => [min / 1.5, max * 1.5];
+      const xScale = d3
+        .scaleLog()
+        .domain(padExtent(d3.extent(plotted, (d) => d.impact)))
+        .nice()
+        .range([0, panelWidth]);
+      const yScale = d3
+        .scaleLog()
+        .domain(padExtent(d3.extent(plotted, (d) => d.aid)))
+        .nice()
+        .range([height, 0]);
+      const sizeScale = d3
+        .scaleSqrt()
+        .domain([0, d3.max(plotted, (d) => d.count) || 1])
+        .range([3, 16]);
+
+      // Overall coverage across all groups; groups above the line got more
+      // aid per unit of impact than the dashboard as a whole
+      const overallRatio =
+        d3.sum(plotted, (d) => d.aid) / d3.sum(plotted, (d) => d.impact);
+      const colorScale = d3
+        .scaleDiverging()
+        .domain([-2, 0, 2])
+        .interpolator(d3.interpolateRdYlGn)
+        .clamp(true);
+      const relativeCoverage = (d) => Math.log10(d.ratio / overallRatio);
+
+      g.append('g')
+        .attr('class', 'x-axis')
+        .attr('transform', `translate(0,${height})`)
+        .call(
+          d3
+            .axisBottom(xScale)
+            .ticks(5, impactMetric === 'casualties' ? '~s' : '$~s')
+        );
+      g.append('g')
+        .attr('class', 'y-axis')
+        .call(d3.axisLeft(yScale).ticks(5, '$~s'));
+
+      const [x0, x1] = xScale.domain();
+      const line = [x0, x1].map((x) => [xScale(x), yScale(x * overallRatio)]);
+      g.append('line')
+        .attr('class', 'coverage-line')
+        .attr('x1', line[0][0])
+        .attr('y1', line[0][1])
+        .attr('x2', line[1][0])
+        .attr('y2', line[1][1]);
+      g.append('text')
+        .attr('class', 'coverage-label')
+        .attr('x', panelWidth - 4)
+        .attr('y', 12)
+        .attr('text-anchor', 'end')
+        .text(`Dashed: overall ${formatCoverage(overallRatio, impactMetric)}`);
+
+      // Clip the reference line to the plot area
+      svg
+        .append('defs')
+        .append('clipPath')
+        .attr('id', 'aid-plot-clip')
+        .append('rect')
+        .attr('width', panelWidth)
+        .attr('height', height);
+      g.select('.coverage-line').attr('clip-path', 'url(#aid-plot-clip)');
+
+      const onSelect = groupBy === 'country' ? onSelectCountry : onSelectType;
+
+      g.selectAll('.aid-dot')
+        .data(plotted.sort((a, b) => b.count - a.count))
+        .join('circle')
+        .attr('class', 'aid-dot')
+        .attr('cx', (d) => xScale(d.impact))
+        .attr('cy', (d) => yScale(d.aid))
+        .attr('r', (d) => sizeScale(d.count))
+        .attr('fill', (d) => colorScale(relativeCoverage(d)))
+        .on('mouseover', function (event, d) {
+          d3.select(this).attr('stroke-width', 2);
+          showTooltip(
+            event,
+            `
+            <strong>${d.group}</strong><br/>
+            Events: ${d.count}<br/>
+            Aid: ${formatUsd(d.aid)}<br/>
+            ${IMPACT_LABELS[impactMetric]}: ${
+              impactMetric === 'casualties'
+                ? d.impact.toLocaleString()
+                : formatUsd(d.impact)
+            }<br/>
+            Coverage: ${formatCoverage(d.ratio, impactMetric)}
+            ${d.n < d.count ? `<br/>(n = ${d.n} events with both values)` : ''}
+          `
+          );
+        })
+        .on('mouseout', function () {
+          d3.select(this).attr('stroke-width', 1);
+          hideTooltip();
+        })
+        .on('click', (event, d) => {
+          hideTooltip();
+          onSelect(d.group, isAdditiveClick(event));
+        });
+
+      g.append('text')
+        .attr('class', 'axis-label')
+        .attr('x', panelWidth / 2)
+        .attr('y', height + 45)
+        .attr('text-anchor', 'middle')
+        .text(`${IMPACT_LABELS[impactMetric]}, log scale`);
+
+      g.append('text')
+        .attr('class', 'axis-label')
+        .attr('transform', 'rotate(-90)')
+        .attr('x', -height / 2)
+        .attr('y', -60)
+        .attr('text-anchor', 'middle')
+        .text('Aid Received (USD), log scale');
+    } else {
+      g.append('text')
+        .attr('class', 'chart-empty')
+        .attr('x', panelWidth / 2)
+        .attr('y', height / 2)
+        .attr('text-anchor', 'middle')
+        .text('No events report both aid and impact');
+    }
+
+    // --- Efficiency distribution -------------------------------------------
+
+    const { bins, mean } = stats.efficiency;
+    if (!bins.length) return;
+
+    const h = svg
+      .append('g')
+      .attr(
+        'transform',
+        `translate(${margin.left * 2 + panelWidth + gap},${margin.top})`
+      );
+
+    const binScale = d3
+      .scaleLinear()
+      .domain([bins[0].x0, bins[bins.length - 1].x1])
+      .range([0, panelWidth]);
+    const countScale = d3
+      .scaleLinear()
+      .domain([0, d3.max(bins, (d) => d.count)])
+      .nice()
+      .range([height, 0]);
+
+    const binGroups = h
+      .selectAll('.efficiency-bin')
+      .data(bins)
+      .join('g')
+      .attr('class', 'efficiency-bin')
+      .on('mouseover', (event, d) => {
+        showTooltip(
+          event,
+          `
+          <strong>Efficiency ${d.x0}–${d.x1}</strong><br/>
+          Events: ${d.count}<br/>
+          Little aid for impact: ${d.underserved[impactMetric]}
+        `
+        );
+      })
+      .on('mouseout', hideTooltip);
+
+    const barWidth = (d) => Math.max(0, binScale(d.x1) - binScale(d.x0) - 1);
+
+    binGroups
+      .append('rect')
+      .attr('class', 'efficiency-bar')
+      .attr('x', (d) => binScale(d.x0))
+      .attr('y', (d) => countScale(d.count))
+      .attr('width', barWidth)
+      .attr('height', (d) => height - countScale(d.count));
+
+    // Underserved events sit at the bottom of each bar
+    binGroups
+      .append('rect')
+      .attr('class', 'underserved-bar')
+      .attr('x', (d) => binScale(d.x0))
+      .attr('y', (d) => countScale(d.underserved[impactMetric]))
+      .attr('width', barWidth)
+      .attr('height', (d) => height - countScale(d.underserved[impactMetric]));
+
+    if (mean !== undefined) {
+      h.append('line')
+        .attr('class', 'mean-line')
+        .attr('x1', binScale(mean))
+        .attr('x2', binScale(mean))
+        .attr('y1', 0)
+        .attr('y2', height);
+      h.append('text')
+        .attr('class', 'coverage-label')
+        .attr('x', binScale(mean) + 4)
+        .attr('y', 12)
+        .text(`Mean ${mean.toFixed(1)}`);
+    }
+
+    h.append('g')
+      .attr('class', 'x-axis')
+      .attr('transform', `translate(0,${height})`)
+      .call(d3.axisBottom(binScale).ticks(6));
+    h.append('g').attr('class', 'y-axis').call(d3.axisLeft(countScale).ticks(6));
+
+    h.append('text')
+      .attr('class', 'axis-label')
+      .attr('x', panelWidth / 2)
+      .attr('y', height + 45)
+      .attr('text-anchor', 'middle')
+      .text('Response Efficiency Score');
+
+    h.append('text')
+      .attr('class', 'axis-label')
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -height / 2)
+      .attr('y', -50)
+      .attr('text-anchor', 'middle')
+      .text('Events');
+  }, [
+    groups,
+    stats.efficiency,
+    dimensions,
+    impactMetric,
+    groupBy,
+    onSelectCountry,
+    onSelectType,
+  ]);
+
+  const groupNoun = groupBy === 'country' ? 'country' : 'disaster type';
+
+  return (
+    <div className="chart-wrapper">
+      <h3 className="chart-title">Aid &amp; Efficiency</h3>
+      <p className="chart-subtitle">
+        Aid received against impact per {groupNoun}, coloured by coverage
+        relative to the overall ratio (click to filter), and the distribution
+        of response efficiency scores.
+        {underserved.count > 0 &&
+          ` Red: ${underserved.count.toLocaleString()} of ${underserved.n.toLocaleString()} events in the lowest 10% of aid relative to ${
+            impactMetric === 'casualties' ? 'casualties' : 'economic loss'
+          }.`}
+      </p>
+
+      <div className="controls-inline">
+        <label>Group by:</label>
+        <div className="radio-group">
+          <label className="radio-label">
+            <input
+              type="radio"
+              value="country"
+              checked={groupBy === 'country'}
+              onChange={(e) => setGroupBy(e.target.value)}
+            />
+            Country
+          </label>
+          <label className="radio-label">
+            <input
+              type="radio"
+              value="disaster_type"
+              checked={groupBy === 'disaster_type'}
+              onChange={(e) => setGroupBy(e.target.value)}
+            />
+            Disaster Type
+          </label>
+        </div>
+
+        <label>Impact:</label>
+        <div className="radio-group">
+          <label className="radio-label">
+            <input
+              type="radio"
+              value="economic_loss_usd"
+              checked={impactMetric === 'economic_loss_usd'}
+              onChange={(e) => setImpactMetric(e.target.value)}
+            />
+            Economic Loss
+          </label>
+          <label className="radio-label">
+            <input
+              type="radio"
+              value="casualties"
+              checked={impactMetric === 'casualties'}
+              onChange={(e) => setImpactMetric(e.target.value)}
+            />
+            Casualties
+          </label>
+        </div>
+      </div>
+
+      <svg ref={svgRef}></svg>
+
+      {underserved.examples.length > 0 && (
+        <div className="underserved-list">
+          <h4>Least aid relative to impact</h4>
+          <table>
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Country</th>
+                <th>Type</th>
+                <th>{IMPACT_LABELS[impactMetric]}</th>
+                <th>Aid</th>
+                <th>Coverage</th>
+              </tr>
+            </thead>
+            <tbody>
+              {underserved.examples.map((d, i) => (
+                <tr key={i}>
+                  <td>{d.date.toLocaleDateString()}</td>
+                  <td>{d.country}</td>
+                  <td>{d.disaster_type}</td>
+                  <td>
+                    {impactMetric === 'casualties'
+                      ? d.casualties.toLocaleString()
+                      : formatUsd(d.economic_loss_usd)}
+                  </td>
+                  <td>{formatUsd(d.aid_amount_usd)}</td>
+                  <td>
+                    {formatCoverage(
+                      d.aid_amount_usd / d[impactMetric],
+                      impactMetric
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div ref={tooltipRef} className="tooltip"></div>
+    </div>
+  );
+}
+
+export default AidEfficiencyChart;
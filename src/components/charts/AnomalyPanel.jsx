@@ -0,0 +1,244 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import useContainerWidth from '../../hooks/useContainerWidth';
+import { ANOMALY_Z, describeAnomalyReason } from '../../utils/anomalies';
+import './AnomalyPanel.css';
+
+// Flagged events listed at once; the rest are reached by sorting
+const LIST_LIMIT = 200;
+
+const formatMonth = d3.timeFormat('%b %Y');
+const formatCount = d3.format(',.1f');
+const formatScore = d3.format('.1f');
+const formatLoss = (v) => `$${d3.format('.3s')(v).replace('G', 'B')}`;
+
+// Sortable columns of the event list; missing values sort last
+const COLUMNS = [
+  { key: 'date', label: 'Date', value: (a) => +a.event.date },
+  { key: 'type', label: 'Type', value: (a) => a.event.disaster_type },
+  { key: 'country', label: 'Country', value: (a) => a.event.country },
+  { key: 'casualties', label: 'Casualties', value: (a) => a.event.casualties },
+  { key: 'loss', label: 'Economic Loss', value: (a) => a.event.economic_loss_usd },
+  { key: 'response', label: 'Response', value: (a) => a.event.response_time_hours },
+  { key: 'score', label: 'Score', value: (a) => a.score },
+];
+
+function AnomalyPanel({ anomalies, onSelectMonth }) {
+  const svgRef = useRef();
+  const tooltipRef = useRef();
+  const width = useContainerWidth(svgRef, 600);
+  const [sort, setSort] = useState({ key: 'score', descending: true });
+
+  const { events, months } = anomalies;
+  const flaggedMonths = months.filter((m) => m.flagged);
+
+  const sorted = useMemo(() => {
+    const { value } = COLUMNS.find((c) => c.key === sort.key);
+    const compare = sort.descending ? d3.descending : d3.ascending;
+    return events
+      .slice()
+      .sort((a, b) => {
+        const [va, vb] = [value(a), value(b)];
+        if (va === null || vb === null) return (va === null) - (vb === null);
+        return compare(va, vb);
+      })
+      .slice(0, LIST_LIMIT);
+  }, [events, sort]);
+
+  useEffect(() => {
+    // Clear previous content
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    if (months.length === 0) return;
+
+    const margin = { top: 10, right: 20, bottom: 30, left: 50 };
+    const innerWidth = width - margin.left - margin.right;
+    const height = 160;
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height + margin.top + margin.bottom);
+
+    const g = svg
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const xScale = d3
+      .scaleBand()
+      .domain(months.map((m) => m.month))
+      .range([0, innerWidth])
+      .padding(0.15);
+
+    const yScale = d3
+      .scaleLinear()
+      .domain([0, d3.max(months, (m) => Math.max(m.count, m.expected))])
+      .nice()
+      .range([height, 0]);
+
+    // Monthly counts, with the months far from the baseline highlighted
+    g.selectAll('.anomaly-month')
+      .data(months)
+      .join('rect')
+      .attr('class', (m) => `anomaly-month${m.flagged ? ' flagged' : ''}`)
+      .attr('x', (m) => xScale(m.month))
+      .attr('y', (m) => yScale(m.count))
+      .attr('width', xScale.bandwidth())
+      .attr('height', (m) => height - yScale(m.count))
+      .on('mouseover', (event, m) => {
+        d3.select(tooltipRef.current)
+          .html(
+            `<strong>${formatMonth(m.month)}</strong><br/>
+            Events: ${m.count}<br/>
+            Expected: ${formatCount(Math.max(0, m.expected))}<br/>
+            Robust z: ${formatScore(m.z)}`
+          )
+          .style('display', 'block')
+          .style('left', `${event.clientX + 10}px`)
+          .style('top', `${event.clientY - 28}px`);
+      })
+      .on('mouseout', () => {
+        d3.select(tooltipRef.current).style('display', 'none');
+      })
+      .on('click', (event, m) => {
+        d3.select(tooltipRef.current).style('display', 'none');
+        onSelectMonth(new Date(m.month));
+      });
+
+    // Seasonal baseline
+    g.append('path')
+      .datum(months)
+      .attr('class', 'anomaly-baseline')
+      .attr(
+        'd',
+        d3
+          .line()
+          .x((m) => xScale(m.month) + xScale.bandwidth() / 2)
+          .y((m) => yScale(Math.max(0, m.expected)))
+      );
+
+    // Axes
+    const yearStarts = months
+      .map((m) => m.month)
+      .filter((month) => new Date(month).getMonth() === 0);
+    const xAxis = d3
+      .axisBottom(xScale)
+      .tickValues(yearStarts.length > 1 ? yearStarts : [months[0].month])
+      .tickFormat((month) => new Date(month).getFullYear());
+    const yAxis = d3.axisLeft(yScale).ticks(4);
+
+    g.append('g')
+      .attr('class', 'x-axis')
+      .attr('transform', `translate(0,${height})`)
+      .call(xAxis);
+
+    g.append('g').attr('class', 'y-axis').call(yAxis);
+  }, [months, width, onSelectMonth]);
+
+  const toggleSort = (key) => {
+    setSort((prev) =>
+      prev.key === key
+        ? { key, descending: !prev.descending }
+        : { key, descending: key === 'score' }
+    );
+  };
+
+  return (
+    <div className="chart-wrapper">
+      <h3 className="chart-title">Anomalies</h3>
+      <p className="chart-subtitle">
+        Events with casualties, economic loss or response time far from the
+        median for their disaster type and country (robust z-score beyond{' '}
+        {ANOMALY_Z}), and months whose event count departs from the seasonal
+        baseline
+      </p>
+
+      <h4 className="anomaly-heading">
+        Unusual months
+        {months.length > 0 && ` (${flaggedMonths.length} flagged)`}
+      </h4>
+      {months.length === 0 && (
+        <p className="anomaly-empty">
+          Select at least a year of data to compare months with a seasonal
+          baseline.
+        </p>
+      )}
+      <svg ref={svgRef}></svg>
+      {months.length > 0 && (
+        <p className="anomaly-note">
+          Bars are monthly event counts and the line their expected value;
+          flagged months are in red. Click a month to zoom the dashboard to it.
+        </p>
+      )}
+
+      <h4 className="anomaly-heading">
+        Unusual events ({events.length.toLocaleString()} flagged)
+      </h4>
+      {events.length === 0 ? (
+        <p className="anomaly-empty">No events stand out in the current selection.</p>
+      ) : (
+        <div className="anomaly-list">
+          <table className="anomaly-table">
+            <thead>
+              <tr>
+                {COLUMNS.map(({ key, label }) => (
+                  <th
+                    key={key}
+                    aria-sort={
+                      sort.key === key
+                        ? sort.descending ? 'descending' : 'ascending'
+                        : 'none'
+                    }
+                  >
+                    <button type="button" onClick={() => toggleSort(key)}>
+                      {label}
+                      {sort.key === key && (sort.descending ? ' ▼' : ' ▲')}
+                    </button>
+                  </th>
+                ))}
+                <th>Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map(({ position, event, score, reasons }) => (
+                <tr key={position}>
+                  <td>{event.date.toLocaleDateString()}</td>
+                  <td>{event.disaster_type}</td>
+                  <td>{event.country}</td>
+                  <td>{event.casualties ?? '—'}</td>
+                  <td>
+                    {event.economic_loss_usd === null
+                      ? '—'
+                      : formatLoss(event.economic_loss_usd)}
+                  </td>
+                  <td>
+                    {event.response_time_hours === null
+                      ? '—'
+                      : `${event.response_time_hours.toFixed(1)}h`}
+                  </td>
+                  <td>{formatScore(score)}</td>
+                  <td className="anomaly-reasons">
+                    {reasons.map((reason) => (
+                      <div key={reason.column}>
+                        {describeAnomalyReason(reason, event)}
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {events.length > LIST_LIMIT && (
+            <p className="anomaly-note">
+              Showing {LIST_LIMIT} of {events.length.toLocaleString()} flagged
+              events; sort by a column to see others.
+            </p>
+          )}
+        </div>
+      )}
+      <div ref={tooltipRef} className="tooltip"></div>
+    </div>
+  );
+}
+
+export default AnomalyPanel;
@@ -1,74 +1,211 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef } from 'react';
 import * as d3 from 'd3';
+import useContainerWidth from '../../hooks/useContainerWidth';
+import { isAdditiveClick } from '../../utils/selection';
+import { MAX_RANK_COUNT, RANKING_COLUMNS } from '../../utils/dashboardState';
+import { statisticForColumn } from '../../utils/aggregations';
+import { GEO_LEVELS } from '../../utils/countries';
+import { FILTER_SETS, computeDelta } from '../../utils/comparison';
+import {
+  CONFIDENCE,
+  SMALL_SAMPLE,
+  STATISTIC_LABELS,
+  resolveIntervalMethod
+} from '../../utils/statistics';
 import './CountryRankChart.css';
 
-function CountryRankChart({ data, metric, setMetric }) {
+const ROW_HEIGHT = 28;
+// Rows hold a pair of bars in comparison mode
+const COMPARISON_ROW_HEIGHT = 44;
+
+const INTERVAL_LABELS = {
+  none: 'None',
+  t: 't interval',
+  bootstrap: 'Bootstrap',
+};
+
+// Singular and plural names of the places at each level
+const LEVEL_NOUNS = {
+  region: ['continent', 'continents'],
+  subregion: ['sub-region', 'sub-regions'],
+  country: ['country', 'countries'],
+};
+
+const LEVEL_LABELS = {
+  region: 'Continent',
+  subregion: 'Sub-region',
+  country: 'Country',
+};
+
+const formatFixed = d3.format(',.1f');
+const formatSignificant = d3.format(',.3~r');
+// Population and GDP, e.g. 54.0M
+const formatPeople = d3.format('.3s');
+
+// Value and sample size fields each ranking metric reads, and the scale of
+// the plotted value. Relative impact divides a place's total by the
+// population or GDP of its countries, as the KPI cards do, so it ignores
+// the chosen statistic; places without a reference figure have no value.
+const RANKINGS = {
+  response_time_hours: {
+    key: 'responseTime',
+    nKey: 'responseTimeN',
+    name: 'Response Time',
+    unit: ' (hours)',
+    scale: 1,
+    format: formatFixed,
+  },
+  casualties: {
+    key: 'casualties',
+    nKey: 'casualtiesN',
+    name: 'Casualties',
+    unit: '',
+    scale: 1,
+    format: formatFixed,
+  },
+  economic_loss_usd: {
+    key: 'economicLoss',
+    nKey: 'economicLossN',
+    name: 'Economic Loss',
+    unit: ' ($M)',
+    scale: 1 / 1000000,
+    format: formatFixed,
+  },
+  casualties_per_million: {
+    key: 'casualtiesPerMillion',
+    nKey: 'casualtiesN',
+    name: 'Casualties',
+    unit: ' per Million People',
+    scale: 1,
+    relative: true,
+    format: formatSignificant,
+  },
+  loss_share_of_gdp: {
+    key: 'lossShareOfGdp',
+    nKey: 'economicLossN',
+    name: 'Economic Loss',
+    unit: ' (% of GDP)',
+    scale: 1,
+    relative: true,
+    format: formatSignificant,
+  },
+};
+
+// Places with no values for the metric cannot be ranked, nor can those
+// missing from the reference table for relative metrics. Those with too
+// few events are left out so a single event cannot top the ranking.
+function rankPlaces(stats, ranking, minEvents) {
+  const measured = stats.filter((d) => d[ranking.nKey] > 0);
+  const rankable = measured
+    .filter((d) => d[ranking.key] !== undefined)
+    .map((d) => ({
+      ...d,
+      value: d[ranking.key] * ranking.scale,
+      interval: d.interval && d.interval.map((v) => v * ranking.scale),
+    }));
+  const eligible = rankable.filter((d) => d[ranking.nKey] >= minEvents);
+  return {
+    eligible,
+    excluded: rankable.length - eligible.length,
+    unreferenced: measured.length - rankable.length,
+  };
+}
+
+function CountryRankChart({
+  stats,
+  comparison = null,
+  statistic,
+  metric,
+  setMetric,
+  count,
+  setCount,
+  direction,
+  setDirection,
+  minEvents,
+  setMinEvents,
+  intervalType,
+  setIntervalType,
+  rootLevel,
+  setRootLevel,
+  level,
+  path,
+  setPath,
+  onFilterPlace,
+  onSelectCountry,
+}) {
   const svgRef = useRef();
   const tooltipRef = useRef();
-  const [dimensions, setDimensions] = useState({ width: 600, height: 500 });
-
-  useEffect(() => {
-    const updateDimensions = () => {
-      if (svgRef.current) {
-        const width = svgRef.current.parentElement.clientWidth;
-        setDimensions({ width, height: 500 });
-      }
-    };
+  const width = useContainerWidth(svgRef, 600);
 
-    updateDimensions();
-    window.addEventListener('resize', updateDimensions);
-    return () => window.removeEventListener('resize', updateDimensions);
-  }, []);
+  const ranking = RANKINGS[metric];
+  // Relative impact is always a total; response times are ranked by their
+  // mean when totals are chosen
+  const rankStatistic = ranking.relative
+    ? 'sum'
+    : statisticForColumn(RANKING_COLUMNS[metric], statistic);
+  const intervalMethod = resolveIntervalMethod(intervalType, rankStatistic);
+  const [noun, nounPlural] = LEVEL_NOUNS[level];
+  const placeCount = (n) => `${n} ${n === 1 ? noun : nounPlural}`;
 
-  useEffect(() => {
-    if (!data || data.length === 0) return;
+  const { eligible, excluded, unreferenced } = useMemo(
+    () => rankPlaces(stats, ranking, minEvents),
+    [stats, ranking, minEvents]
+  );
 
-    const margin = { top: 20, right: 20, bottom: 60, left: 150 };
-    const width = dimensions.width - margin.left - margin.right;
-    const height = dimensions.height - margin.top - margin.bottom;
+  // Set B's values for the places set A ranks, by name
+  const comparisonValues = useMemo(
+    () =>
+      comparison &&
+      new Map(
+        rankPlaces(comparison, ranking, minEvents).eligible.map((d) => [
+          d.name,
+          d,
+        ])
+      ),
+    [comparison, ranking, minEvents]
+  );
 
+  useEffect(() => {
     // Clear previous content
     d3.select(svgRef.current).selectAll('*').remove();
 
-    // Aggregate data by country
-    const aggregated = d3.rollup(
-      data,
-      (v) => ({
-        avgResponseTime: d3.mean(v, (d) => d.response_time_hours),
-        avgCasualties: d3.mean(v, (d) => d.casualties),
-        avgEconomicLoss: d3.mean(v, (d) => d.economic_loss_usd) / 1000000, // In millions
-        count: v.length,
-      }),
-      (d) => d.country
-    );
-
-    // Convert to array
-    let chartData = Array.from(aggregated, ([country, values]) => ({
-      country,
-      avgResponseTime: values.avgResponseTime,
-      avgCasualties: values.avgCasualties,
-      avgEconomicLoss: values.avgEconomicLoss,
-      count: values.count,
-    }));
+    if (eligible.length === 0) return;
 
-    // Sort by selected metric
-    const metricKey =
-      metric === 'response_time_hours'
-        ? 'avgResponseTime'
-        : metric === 'casualties'
-        ? 'avgCasualties'
-        : 'avgEconomicLoss';
+    // Per-place statistics come pre-aggregated and scaled to the metric
+    const chartData = eligible
+      .slice()
+      .sort((a, b) =>
+        direction === 'top' ? b.value - a.value : a.value - b.value
+      )
+      .slice(0, count);
 
-    chartData.sort((a, b) => b[metricKey] - a[metricKey]);
+    // One bar per place and set; set B's follows set A's when it has enough
+    // events there to be ranked
+    const sets = comparisonValues ? FILTER_SETS : ['A'];
+    const bars = chartData.flatMap((d) => {
+      const pair = [{ ...d, set: 'A' }];
+      const other = comparisonValues && comparisonValues.get(d.name);
+      if (other) {
+        pair.push({ ...other, set: 'B', delta: computeDelta(d.value, other.value) });
+      }
+      return pair;
+    });
 
-    // Limit to top 15 countries for readability
-    chartData = chartData.slice(0, 15);
+    // The chart grows to fit the number of places shown
+    const margin = { top: 20, right: 20, bottom: 60, left: 150 };
+    const innerWidth = width - margin.left - margin.right;
+    const height =
+      chartData.length * (comparisonValues ? COMPARISON_ROW_HEIGHT : ROW_HEIGHT);
+    const statLabel = STATISTIC_LABELS[statistic];
+    const responseLabel =
+      STATISTIC_LABELS[statisticForColumn('response_time_hours', statistic)];
+    const formatValue = ranking.format;
 
     // Create SVG
     const svg = d3
       .select(svgRef.current)
-      .attr('width', dimensions.width)
-      .attr('height', dimensions.height);
+      .attr('width', width)
+      .attr('height', height + margin.top + margin.bottom);
 
     const g = svg
       .append('g')
@@ -77,53 +214,106 @@ function CountryRankChart({ data, metric, setMetric }) {
     // Scales
     const yScale = d3
       .scaleBand()
-      .domain(chartData.map((d) => d.country))
+      .domain(chartData.map((d) => d.name))
       .range([0, height])
       .padding(0.2);
 
+    const setScale = d3
+      .scaleBand()
+      .domain(sets)
+      .range([0, yScale.bandwidth()])
+      .padding(sets.length > 1 ? 0.08 : 0);
+    const barY = (d) => yScale(d.name) + setScale(d.set);
+
+    // Error bars may reach past the largest value
+    const upper = (d) => Math.max(d.value, d.interval ? d.interval[1] : 0);
     const xScale = d3
       .scaleLinear()
-      .domain([0, d3.max(chartData, (d) => d[metricKey])])
+      .domain([0, d3.max(bars, upper)])
       .nice()
-      .range([0, width]);
+      .range([0, innerWidth]);
 
     // Color scale based on values
+    const maxValue = d3.max(bars, (d) => d.value);
     const colorScale = d3
       .scaleSequential()
-      .domain([0, d3.max(chartData, (d) => d[metricKey])])
+      .domain([0, maxValue])
       .interpolator(d3.interpolateRdYlGn)
       .unknown('#ccc');
 
     // Reverse for response time (lower is better)
     const getColor =
       metric === 'response_time_hours'
-        ? (value) =>
-            d3.interpolateRdYlGn(
-              1 - value / d3.max(chartData, (d) => d[metricKey])
-            )
+        ? (value) => d3.interpolateRdYlGn(1 - value / maxValue)
         : (value) => colorScale(value);
 
-    // Draw bars
+    // Draw bars; set B's are the lighter of each pair
     g.selectAll('.bar')
-      .data(chartData)
+      .data(bars)
       .join('rect')
-      .attr('class', 'bar')
+      .attr('class', (d) => (d.set === 'B' ? 'bar bar-comparison' : 'bar'))
       .attr('x', 0)
-      .attr('y', (d) => yScale(d.country))
-      .attr('width', (d) => xScale(d[metricKey]))
-      .attr('height', yScale.bandwidth())
-      .attr('fill', (d) => getColor(d[metricKey]))
+      .attr('y', barY)
+      .attr('width', (d) => xScale(d.value))
+      .attr('height', setScale.bandwidth())
+      .attr('fill', (d) => getColor(d.value))
+      .attr('stroke', (d) => getColor(d.value))
       .on('mouseover', function (event, d) {
         d3.select(this).attr('opacity', 0.7);
+
+        // Statistics skip missing values; show how many events each one uses
+        const stat = (value, n, format) =>
+          value === undefined
+            ? 'n/a'
+            : `${format(value)}${n < d.count ? ` (n = ${n})` : ''}`;
+
+        // Change from set A, for set B's bars
+        const deltaLine = d.delta
+          ? `Change from A: ${d.delta.absolute < 0 ? '−' : '+'}${formatValue(
+              Math.abs(d.delta.absolute)
+            )}${
+              d.delta.percent === null
+                ? ''
+                : ` (${d3.format('+.1f')(d.delta.percent)}%)`
+            }<br/>`
+          : '';
+
         const tooltip = d3.select(tooltipRef.current);
         tooltip
           .html(
             `
-            <strong>${d.country}</strong><br/>
+            <strong>${d.name}${
+              comparisonValues ? ` (set ${d.set})` : ''
+            }</strong><br/>
+            ${deltaLine}
+            ${d.level === 'country' ? '' : `Countries: ${d.countries}<br/>`}
             Events: ${d.count}<br/>
-            Avg Response Time: ${d.avgResponseTime.toFixed(1)}h<br/>
-            Avg Casualties: ${d.avgCasualties.toFixed(1)}<br/>
-            Avg Economic Loss: $${d.avgEconomicLoss.toFixed(2)}M
+            ${
+              d.interval
+                ? `${CONFIDENCE * 100}% CI: ${formatValue(
+                    d.interval[0]
+                  )}–${formatValue(d.interval[1])}<br/>`
+                : ''
+            }
+            ${responseLabel} Response Time: ${stat(
+              d.responseTime,
+              d.responseTimeN,
+              (v) => `${v.toFixed(1)}h`
+            )}<br/>
+            ${statLabel} Casualties: ${stat(d.casualties, d.casualtiesN, (v) =>
+              v.toFixed(1)
+            )}<br/>
+            ${statLabel} Economic Loss: ${stat(
+              d.economicLoss,
+              d.economicLossN,
+              (v) => `$${(v / 1000000).toFixed(2)}M`
+            )}
+            ${
+              d.population
+                ? `<br/>Population: ${formatPeople(d.population)}`
+                : ''
+            }
+            ${d.gdp ? `<br/>GDP: $${formatPeople(d.gdp).replace('G', 'B')}` : ''}
           `
           )
           .style('display', 'block')
@@ -133,19 +323,58 @@ function CountryRankChart({ data, metric, setMetric }) {
       .on('mouseout', function () {
         d3.select(this).attr('opacity', 1);
         d3.select(tooltipRef.current).style('display', 'none');
+      })
+      // Countries filter the dashboard; regions are drilled into
+      .on('click', (event, d) => {
+        d3.select(tooltipRef.current).style('display', 'none');
+        if (d.level === 'country') {
+          onSelectCountry(d.name, isAdditiveClick(event));
+        } else {
+          setPath(d.path);
+        }
       });
 
+    // Error bars, clipped at zero like the axis
+    const errorBars = g
+      .selectAll('.error-bar')
+      .data(bars.filter((d) => d.interval))
+      .join('g')
+      .attr('class', 'error-bar')
+      .attr(
+        'transform',
+        (d) => `translate(0,${barY(d) + setScale.bandwidth() / 2})`
+      );
+    const capHeight = setScale.bandwidth() / 3;
+    errorBars
+      .append('line')
+      .attr('x1', (d) => xScale(Math.max(0, d.interval[0])))
+      .attr('x2', (d) => xScale(d.interval[1]));
+    errorBars
+      .selectAll('.error-cap')
+      .data((d) => [Math.max(0, d.interval[0]), d.interval[1]])
+      .join('line')
+      .attr('class', 'error-cap')
+      .attr('x1', (v) => xScale(v))
+      .attr('x2', (v) => xScale(v))
+      .attr('y1', -capHeight)
+      .attr('y2', capHeight);
+
     // Add value labels
     g.selectAll('.value-label')
-      .data(chartData)
+      .data(bars)
       .join('text')
       .attr('class', 'value-label')
-      .attr('x', (d) => xScale(d[metricKey]) + 5)
-      .attr('y', (d) => yScale(d.country) + yScale.bandwidth() / 2)
+      .attr('x', (d) => xScale(upper(d)) + 5)
+      .attr('y', (d) => barY(d) + setScale.bandwidth() / 2)
       .attr('dy', '0.35em')
       .attr('font-size', '0.75rem')
       .attr('fill', '#333')
-      .text((d) => d[metricKey].toFixed(1));
+      // Small groups show their n, since one event can swing the statistic
+      .text((d) =>
+        d[ranking.nKey] < SMALL_SAMPLE
+          ? `${formatValue(d.value)} (n=${d[ranking.nKey]})`
+          : formatValue(d.value)
+      );
 
     // Axes
     const xAxis = d3.axisBottom(xScale).ticks(6);
@@ -159,27 +388,107 @@ function CountryRankChart({ data, metric, setMetric }) {
     g.append('g').attr('class', 'y-axis').call(yAxis);
 
     // Axis label
-    const metricLabel =
-      metric === 'response_time_hours'
-        ? 'Avg Response Time (hours)'
-        : metric === 'casualties'
-        ? 'Avg Casualties per Event'
-        : 'Avg Economic Loss per Event ($M)';
+    const metricLabel = ranking.relative
+      ? `${ranking.name}${ranking.unit}`
+      : `${STATISTIC_LABELS[rankStatistic]} ${ranking.name}${ranking.unit}`;
 
     g.append('text')
       .attr('class', 'axis-label')
-      .attr('x', width / 2)
+      .attr('x', innerWidth / 2)
       .attr('y', height + 45)
       .attr('text-anchor', 'middle')
       .text(metricLabel);
-  }, [data, dimensions, metric]);
+  }, [
+    eligible,
+    comparisonValues,
+    ranking,
+    statistic,
+    rankStatistic,
+    width,
+    metric,
+    count,
+    direction,
+    setPath,
+    onSelectCountry,
+  ]);
+
+  // Whole numbers within the allowed range; anything else is ignored
+  const handleNumber = (setter, max) => (e) => {
+    const value = parseInt(e.target.value, 10);
+    if (value >= 1 && value <= max) setter(value);
+  };
 
   return (
     <div className="chart-wrapper">
-      <h3 className="chart-title">Country Performance Ranking</h3>
-      <p className="chart-subtitle">Top 15 countries by selected metric</p>
+      <h3 className="chart-title">
+        {level === 'country' ? 'Country' : 'Regional'} Performance Ranking
+      </h3>
+      <p className="chart-subtitle">
+        {direction === 'top' ? 'Top' : 'Bottom'} {placeCount(count)} by{' '}
+        {ranking.relative
+          ? 'total impact relative to population or GDP'
+          : `${STATISTIC_LABELS[rankStatistic].toLowerCase()} of the selected metric`}
+        {intervalMethod !== 'none' &&
+          `, with ${CONFIDENCE * 100}% ${
+            intervalMethod === 't' ? 't' : 'bootstrap'
+          } confidence intervals`}
+        {level === 'country'
+          ? ' (click a bar to filter, shift-click to add)'
+          : ' (click a bar to drill down)'}
+        {excluded > 0 &&
+          `; ${placeCount(excluded)} with fewer than ${minEvents} events not ranked`}
+        {unreferenced > 0 &&
+          `; ${placeCount(unreferenced)} without reference data not ranked`}
+        {comparison &&
+          `. Ranked by set A; set B is the lighter bar below, where it has at least ${minEvents} events`}
+      </p>
+
+      {(rootLevel !== 'country' || path.length > 0) && (
+        <nav className="rank-breadcrumb" aria-label="Region drill-down">
+          <button
+            type="button"
+            onClick={() => setPath([])}
+            disabled={path.length === 0}
+          >
+            All {LEVEL_NOUNS[rootLevel][1]}
+          </button>
+          {path.map((name, i) => (
+            <React.Fragment key={i}>
+              <span className="rank-breadcrumb-separator">›</span>
+              <button
+                type="button"
+                onClick={() => setPath(path.slice(0, i + 1))}
+                disabled={i === path.length - 1}
+              >
+                {name}
+              </button>
+            </React.Fragment>
+          ))}
+          {path.length > 0 && (
+            <button
+              type="button"
+              className="rank-filter-place"
+              onClick={() => onFilterPlace(path)}
+            >
+              Filter to {path[path.length - 1]}
+            </button>
+          )}
+        </nav>
+      )}
+
+      <div className="controls-inline rank-controls">
+        <label htmlFor="ranking-level">Group by:</label>
+        <select
+          id="ranking-level"
+          value={rootLevel}
+          onChange={(e) => setRootLevel(e.target.value)}
+          className="metric-select"
+        >
+          {GEO_LEVELS.map((value) => (
+            <option key={value} value={value}>{LEVEL_LABELS[value]}</option>
+          ))}
+        </select>
 
-      <div className="controls-inline">
         <label htmlFor="ranking-metric">Rank by:</label>
         <select
           id="ranking-metric"
@@ -187,11 +496,62 @@ function CountryRankChart({ data, metric, setMetric }) {
           onChange={(e) => setMetric(e.target.value)}
           className="metric-select"
         >
-          <option value="response_time_hours">Avg Response Time</option>
-          <option value="casualties">Avg Casualties per Event</option>
-          <option value="economic_loss_usd">Avg Economic Loss per Event</option>
+          {Object.entries(RANKINGS).map(([value, { name, unit }]) => (
+            <option key={value} value={value}>{`${name}${unit}`}</option>
+          ))}
+        </select>
+
+        <div className="radio-group">
+          {['top', 'bottom'].map((value) => (
+            <label key={value} className="radio-label">
+              <input
+                type="radio"
+                value={value}
+                checked={direction === value}
+                onChange={(e) => setDirection(e.target.value)}
+              />
+              {value === 'top' ? 'Top' : 'Bottom'}
+            </label>
+          ))}
+        </div>
+        <input
+          type="number"
+          min="1"
+          max={MAX_RANK_COUNT}
+          value={count}
+          onChange={handleNumber(setCount, MAX_RANK_COUNT)}
+          className="rank-number"
+          aria-label={`${nounPlural} shown`}
+        />
+
+        <label htmlFor="ranking-min-events">Min. events:</label>
+        <input
+          id="ranking-min-events"
+          type="number"
+          min="1"
+          value={minEvents}
+          onChange={handleNumber(setMinEvents, Infinity)}
+          className="rank-number"
+        />
+
+        <label htmlFor="ranking-interval">Error bars:</label>
+        <select
+          id="ranking-interval"
+          value={intervalType}
+          onChange={(e) => setIntervalType(e.target.value)}
+          className="metric-select"
+        >
+          {Object.entries(INTERVAL_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
         </select>
       </div>
+      {intervalType !== intervalMethod && (
+        <p className="rank-note">
+          t intervals apply to means; bootstrap intervals are shown for the{' '}
+          {STATISTIC_LABELS[rankStatistic].toLowerCase()}.
+        </p>
+      )}
 
       <svg ref={svgRef}></svg>
       <div ref={tooltipRef} className="tooltip"></div>
@@ -0,0 +1,204 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import * as d3 from 'd3';
+import useContainerWidth from '../../hooks/useContainerWidth';
+import { feature } from 'topojson-client';
+import worldTopology from 'world-atlas/countries-110m.json';
+import './GeoMapChart.css';
+
+// Country outlines are bundled with the app so the map works offline
+const countries = feature(worldTopology, worldTopology.objects.countries);
+
+function GeoMapChart({ data, sizeMetric, setSizeMetric, height = 400 }) {
+  const svgRef = useRef();
+  const tooltipRef = useRef();
+  const zoomRef = useRef(null);
+  const transformRef = useRef(d3.zoomIdentity);
+  const containerWidth = useContainerWidth(svgRef, 600);
+  const dimensions = useMemo(
+    () => ({ width: containerWidth, height }),
+    [containerWidth, height]
+  );
+
+  useEffect(() => {
+    // Clear previous content
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    if (!data || data.length === 0) return;
+
+    const { width, height } = dimensions;
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height);
+
+    // Projection fitted to the whole globe
+    const projection = d3
+      .geoNaturalEarth1()
+      .fitSize([width, height], { type: 'Sphere' });
+    const path = d3.geoPath(projection);
+
+    const g = svg.append('g').attr('class', 'map-layer');
+
+    g.append('path')
+      .attr('class', 'sphere')
+      .attr('d', path({ type: 'Sphere' }));
+
+    g.append('g')
+      .selectAll('.country')
+      .data(countries.features)
+      .join('path')
+      .attr('class', 'country')
+      .attr('d', path);
+
+    // Events missing the size metric are drawn at the minimum size
+    const sizeValue =
+      sizeMetric === 'casualties'
+        ? (d) => d.casualties ?? 0
+        : (d) => d.economic_loss_usd ?? 0;
+
+    const sizeScale = d3
+      .scaleSqrt()
+      .domain([0, d3.max(data, sizeValue)])
+      .range([2, 14]);
+
+    const types = Array.from(new Set(data.map((d) => d.disaster_type))).sort();
+    const colorScale = d3.scaleOrdinal(d3.schemeCategory10).domain(types);
+
+    // Draw larger events first so smaller ones stay visible on top
+    const events = data
+      .filter((d) => d.latitude !== null && d.longitude !== null)
+      .sort((a, b) => sizeValue(b) - sizeValue(a));
+
+    const dots = g
+      .append('g')
+      .selectAll('.event-dot')
+      .data(events)
+      .join('circle')
+      .attr('class', 'event-dot')
+      .attr('cx', (d) => projection([d.longitude, d.latitude])[0])
+      .attr('cy', (d) => projection([d.longitude, d.latitude])[1])
+      .attr('fill', (d) => colorScale(d.disaster_type))
+      .attr('opacity', 0.6)
+      .attr('stroke', '#fff')
+      .on('mouseover', function (event, d) {
+        d3.select(this).attr('opacity', 1);
+
+        const tooltip = d3.select(tooltipRef.current);
+        tooltip
+          .html(
+            `
+            <strong>${d.disaster_type}</strong><br/>
+            ${d.country}<br/>
+            ${d.date.toLocaleDateString()}<br/>
+            Casualties: ${d.casualties ?? 'n/a'}<br/>
+            Economic Loss: ${
+              d.economic_loss_usd === null
+                ? 'n/a'
+                : `$${(d.economic_loss_usd / 1000000).toFixed(2)}M`
+            }
+          `
+          )
+          .style('display', 'block')
+          .style('left', `${event.clientX + 10}px`)
+          .style('top', `${event.clientY - 28}px`);
+      })
+      .on('mouseout', function () {
+        d3.select(this).attr('opacity', 0.6);
+        d3.select(tooltipRef.current).style('display', 'none');
+      });
+
+    // Keep dots the same on-screen size while zooming
+    const applyTransform = (transform) => {
+      g.attr('transform', transform);
+      g.selectAll('.country, .sphere').attr('stroke-width', 0.5 / transform.k);
+      dots
+        .attr('r', (d) => sizeScale(sizeValue(d)) / Math.sqrt(transform.k))
+        .attr('stroke-width', 0.5 / transform.k);
+    };
+
+    const zoom = d3
+      .zoom()
+      .scaleExtent([1, 12])
+      .translateExtent([
+        [0, 0],
+        [width, height],
+      ])
+      .on('zoom', (event) => {
+        transformRef.current = event.transform;
+        applyTransform(event.transform);
+      });
+
+    zoomRef.current = zoom;
+    svg.call(zoom).call(zoom.transform, transformRef.current);
+  }, [data, dimensions, sizeMetric]);
+
+  const resetZoom = () => {
+    if (!zoomRef.current) return;
+    d3.select(svgRef.current)
+      .transition()
+      .duration(500)
+      .call(zoomRef.current.transform, d3.zoomIdentity);
+  };
+
+  const types = Array.from(new Set(data.map((d) => d.disaster_type))).sort();
+  const colorScale = d3.scaleOrdinal(d3.schemeCategory10).domain(types);
+  const unlocatedCount = data.filter(
+    (d) => d.latitude === null || d.longitude === null
+  ).length;
+
+  return (
+    <div className="chart-wrapper">
+      <h3 className="chart-title">Geographic Distribution</h3>
+      <p className="chart-subtitle">
+        Event locations sized by impact (scroll to zoom, drag to pan)
+        {unlocatedCount > 0 &&
+          `; ${unlocatedCount.toLocaleString()} events without coordinates not shown`}
+      </p>
+
+      <div className="controls-inline">
+        <label>Size by:</label>
+        <div className="radio-group">
+          <label className="radio-label">
+            <input
+              type="radio"
+              value="casualties"
+              checked={sizeMetric === 'casualties'}
+              onChange={(e) => setSizeMetric(e.target.value)}
+            />
+            Casualties
+          </label>
+          <label className="radio-label">
+            <input
+              type="radio"
+              value="economic_loss_usd"
+              checked={sizeMetric === 'economic_loss_usd'}
+              onChange={(e) => setSizeMetric(e.target.value)}
+            />
+            Economic Loss (USD)
+          </label>
+        </div>
+        <button onClick={resetZoom} className="map-reset-zoom">
+          Reset Zoom
+        </button>
+      </div>
+
+      <div className="legend">
+        {types.map((type) => (
+          <div key={type} className="legend-item">
+            <div
+              className="legend-color"
+              style={{ backgroundColor: colorScale(type) }}
+            ></div>
+            <span className="legend-label">{type}</span>
+          </div>
+        ))}
+      </div>
+
+      <svg ref={svgRef} className="geo-map"></svg>
+      <div ref={tooltipRef} className="tooltip"></div>
+    </div>
+  );
+}
+
+export default GeoMapChart;
@@ -0,0 +1,311 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import * as d3 from 'd3';
+import useContainerWidth from '../../hooks/useContainerWidth';
+import { isAdditiveClick } from '../../utils/selection';
+import './RecoveryChart.css';
+
+const SPLIT_LABELS = {
+  disaster_type: 'Disaster Type',
+  country: 'Country',
+  response: 'Response Time',
+};
+
+function RecoveryChart({
+  stats,
+  split,
+  setSplit,
+  onSelectType,
+  onSelectCountry,
+  height = 420,
+}) {
+  const svgRef = useRef();
+  const tooltipRef = useRef();
+  const containerWidth = useContainerWidth(svgRef, 900);
+  const dimensions = useMemo(
+    () => ({ width: containerWidth, height }),
+    [containerWidth, height]
+  );
+
+  const curves = stats.curves[split];
+
+  useEffect(() => {
+    // Clear previous content
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    if (!stats.byType.length) return;
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', dimensions.width)
+      .attr('height', dimensions.height);
+
+    const tooltip = d3.select(tooltipRef.current);
+    const showTooltip = (event, html) => {
+      tooltip
+        .html(html)
+        .style('display', 'block')
+        .style('left', `${event.clientX + 10}px`)
+        .style('top', `${event.clientY - 28}px`);
+    };
+    const hideTooltip = () => tooltip.style('display', 'none');
+
+    // Left panel: box plots per type; right panel: survival curves
+    const margin = { top: 20, right: 20, bottom: 60, left: 70 };
+    const gap = 50;
+    const panelWidth =
+      (dimensions.width - margin.left * 2 - margin.right - gap) / 2;
+    const height = dimensions.height - margin.top - margin.bottom;
+
+    // Both panels share the recovery-days scale: vertical on the left,
+    // horizontal on the right
+    const maxDays = d3.max(stats.byType, (d) =>
+      d3.max([d.whiskerHigh, ...d.outliers])
+    );
+
+    // --- Box plots ---------------------------------------------------------
+
+    const g = svg
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const xBand = d3
+      .scaleBand()
+      .domain(stats.byType.map((d) => d.type))
+      .range([0, panelWidth])
+      .padding(0.35);
+    const yDays = d3
+      .scaleLinear()
+      .domain([0, maxDays])
+      .nice()
+      .range([height, 0]);
+
+    const boxes = g
+      .selectAll('.recovery-box')
+      .data(stats.byType)
+      .join('g')
+      .attr('class', 'recovery-box')
+      .attr('transform', (d) => `translate(${xBand(d.type)},0)`)
+      .on('mouseover', (event, d) => {
+        showTooltip(
+          event,
+          `
+          <strong>${d.type}</strong><br/>
+          Events: ${d.n}<br/>
+          Median: ${d.median.toFixed(0)} days<br/>
+          Middle half: ${d.q1.toFixed(0)}–${d.q3.toFixed(0)} days<br/>
+          Outliers: ${d.outliers.length}
+        `
+        );
+      })
+      .on('mouseout', hideTooltip)
+      .on('click', (event, d) => {
+        hideTooltip();
+        onSelectType(d.type, isAdditiveClick(event));
+      });
+
+    const boxWidth = xBand.bandwidth();
+
+    boxes
+      .append('line')
+      .attr('class', 'whisker')
+      .attr('x1', boxWidth / 2)
+      .attr('x2', boxWidth / 2)
+      .attr('y1', (d) => yDays(d.whiskerLow))
+      .attr('y2', (d) => yDays(d.whiskerHigh));
+
+    boxes
+      .append('rect')
+      .attr('class', 'box')
+      .attr('width', boxWidth)
+      .attr('y', (d) => yDays(d.q3))
+      .attr('height', (d) => Math.max(1, yDays(d.q1) - yDays(d.q3)));
+
+    boxes
+      .append('line')
+      .attr('class', 'median')
+      .attr('x2', boxWidth)
+      .attr('y1', (d) => yDays(d.median))
+      .attr('y2', (d) => yDays(d.median));
+
+    boxes
+      .selectAll('.box-outlier')
+      .data((d) => d.outliers)
+      .join('circle')
+      .attr('class', 'box-outlier')
+      .attr('cx', boxWidth / 2)
+      .attr('cy', (v) => yDays(v))
+      .attr('r', 2.5);
+
+    g.append('g')
+      .attr('class', 'x-axis')
+      .attr('transform', `translate(0,${height})`)
+      .call(d3.axisBottom(xBand))
+      .selectAll('text')
+      .attr('transform', 'rotate(-30)')
+      .style('text-anchor', 'end');
+
+    g.append('g').attr('class', 'y-axis').call(d3.axisLeft(yDays).ticks(6));
+
+    g.append('text')
+      .attr('class', 'axis-label')
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -height / 2)
+      .attr('y', -50)
+      .attr('text-anchor', 'middle')
+      .text('Recovery Time (days)');
+
+    // --- Survival curves ---------------------------------------------------
+
+    const h = svg
+      .append('g')
+      .attr(
+        'transform',
+        `translate(${margin.left * 2 + panelWidth + gap},${margin.top})`
+      );
+
+    const xDays = d3
+      .scaleLinear()
+      .domain([0, maxDays])
+      .nice()
+      .range([0, panelWidth]);
+    const yShare = d3.scaleLinear().domain([0, 1]).range([height, 0]);
+
+    // Response bands run from fast (green) to slow (red)
+    const colorScale =
+      split === 'response'
+        ? d3
+            .scaleOrdinal()
+            .domain(curves.map((c) => c.key))
+            .range(
+              d3.quantize(
+                (t) => d3.interpolateRdYlGn(1 - t),
+                Math.max(curves.length, 2)
+              )
+            )
+        : d3.scaleOrdinal(d3.schemeCategory10).domain(curves.map((c) => c.key));
+
+    const line = d3
+      .line()
+      .curve(d3.curveStepAfter)
+      .x((step) => xDays(step[0]))
+      .y((step) => yShare(step[1]));
+
+    const onSelect =
+      split === 'disaster_type'
+        ? onSelectType
+        : split === 'country'
+        ? onSelectCountry
+        : null;
+
+    h.selectAll('.survival-line')
+      .data(curves)
+      .join('path')
+      .attr('class', 'survival-line')
+      .classed('clickable', Boolean(onSelect))
+      // Extend each curve to the axis end once every event has recovered
+      .attr('d', (c) => line([...c.steps, [xDays.domain()[1], 0]]))
+      .attr('stroke', (c) => colorScale(c.key))
+      .on('mouseover', function (event, c) {
+        d3.select(this).attr('stroke-width', 4);
+        showTooltip(
+          event,
+          `
+          <strong>${c.key}</strong><br/>
+          Events: ${c.n}<br/>
+          Median recovery: ${c.median.toFixed(0)} days
+        `
+        );
+      })
+      .on('mouseout', function () {
+        d3.select(this).attr('stroke-width', 2);
+        hideTooltip();
+      })
+      .on('click', (event, c) => {
+        if (!onSelect) return;
+        hideTooltip();
+        onSelect(c.key, isAdditiveClick(event));
+      });
+
+    h.append('g')
+      .attr('class', 'x-axis')
+      .attr('transform', `translate(0,${height})`)
+      .call(d3.axisBottom(xDays).ticks(6));
+    h.append('g')
+      .attr('class', 'y-axis')
+      .call(d3.axisLeft(yShare).ticks(5, '%'));
+
+    h.append('text')
+      .attr('class', 'axis-label')
+      .attr('x', panelWidth / 2)
+      .attr('y', height + 45)
+      .attr('text-anchor', 'middle')
+      .text('Days since event');
+
+    h.append('text')
+      .attr('class', 'axis-label')
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -height / 2)
+      .attr('y', -50)
+      .attr('text-anchor', 'middle')
+      .text('Still recovering');
+
+    // Legend
+    const legend = h
+      .append('g')
+      .attr('class', 'legend-recovery')
+      .attr('transform', `translate(${panelWidth - 150},0)`);
+
+    curves.forEach((c, i) => {
+      const row = legend.append('g').attr('transform', `translate(0,${i * 18})`);
+      row
+        .append('line')
+        .attr('x2', 16)
+        .attr('y1', 5)
+        .attr('y2', 5)
+        .attr('stroke', colorScale(c.key))
+        .attr('stroke-width', 3);
+      row
+        .append('text')
+        .attr('x', 22)
+        .attr('y', 9)
+        .attr('class', 'legend-text')
+        .text(c.key);
+    });
+  }, [stats.byType, curves, split, dimensions, onSelectType, onSelectCountry]);
+
+  const { rho, n } = stats.correlation;
+
+  return (
+    <div className="chart-wrapper">
+      <h3 className="chart-title">Recovery Duration</h3>
+      <p className="chart-subtitle">
+        Recovery days per disaster type (click a box to filter), and the share
+        of events still recovering after N days.
+        {rho !== null &&
+          ` Response time vs. recovery: Spearman ρ = ${rho.toFixed(2)} (n = ${n.toLocaleString()}); positive means slower responses go with longer recoveries.`}
+      </p>
+
+      <div className="controls-inline">
+        <label>Curves by:</label>
+        <div className="radio-group">
+          {Object.entries(SPLIT_LABELS).map(([value, label]) => (
+            <label key={value} className="radio-label">
+              <input
+                type="radio"
+                value={value}
+                checked={split === value}
+                onChange={(e) => setSplit(e.target.value)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <svg ref={svgRef}></svg>
+      <div ref={tooltipRef} className="tooltip"></div>
+    </div>
+  );
+}
+
+export default RecoveryChart;
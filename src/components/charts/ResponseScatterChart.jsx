@@ -1,47 +1,77 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import * as d3 from 'd3';
+import useContainerWidth from '../../hooks/useContainerWidth';
+import { hexbin as d3Hexbin } from 'd3-hexbin';
+import { describeAnomalyReason } from '../../utils/anomalies';
 import './ResponseScatterChart.css';
 
-function ResponseScatterChart({ data, yAxisMetric, setYAxisMetric }) {
+// Below this many plotted events points rarely overlap enough to need binning
+const DENSITY_MIN_POINTS = 3000;
+const HEX_RADIUS = 8;
+const ANOMALY_COLOR = '#e63946';
+const NO_ANOMALIES = new Map();
+
+function ResponseScatterChart({
+  data,
+  yAxisMetric,
+  setYAxisMetric,
+  brushExtent,
+  setBrushExtent,
+  anomalies = NO_ANOMALIES,
+  onSelectEvent,
+  height = 400,
+}) {
   const svgRef = useRef();
+  const canvasRef = useRef();
   const tooltipRef = useRef();
-  const [dimensions, setDimensions] = useState({ width: 600, height: 400 });
-
-  useEffect(() => {
-    const updateDimensions = () => {
-      if (svgRef.current) {
-        const width = svgRef.current.parentElement.clientWidth;
-        setDimensions({ width, height: 400 });
-      }
-    };
+  const containerWidth = useContainerWidth(svgRef, 600);
+  const dimensions = useMemo(
+    () => ({ width: containerWidth, height }),
+    [containerWidth, height]
+  );
+  const [displayMode, setDisplayMode] = useState('points');
+
+  // Events missing either coordinate cannot be placed on the plot
+  const plotData = useMemo(
+    () =>
+      data.filter(
+        (d) => d.response_time_hours !== null && d[yAxisMetric] !== null
+      ),
+    [data, yAxisMetric]
+  );
+  const missingCount = data.length - plotData.length;
+  const plottedAnomalies = useMemo(
+    () => plotData.filter((d) => anomalies.has(d)).length,
+    [plotData, anomalies]
+  );
 
-    updateDimensions();
-    window.addEventListener('resize', updateDimensions);
-    return () => window.removeEventListener('resize', updateDimensions);
-  }, []);
+  const densityAvailable = plotData.length >= DENSITY_MIN_POINTS;
+  const showDensity = densityAvailable && displayMode === 'density';
 
   useEffect(() => {
-    if (!data || data.length === 0) return;
-
-    // PERFORMANCE OPTIMIZATION: Sample data for scatterplot
-    // For large datasets, show a representative sample to maintain performance
-    const MAX_POINTS = 2000;
-    let sampledData = data;
-
-    if (data.length > MAX_POINTS) {
-      // Systematic sampling: take every nth point to ensure representativeness
-      const step = Math.floor(data.length / MAX_POINTS);
-      sampledData = data
-        .filter((_, index) => index % step === 0)
-        .slice(0, MAX_POINTS);
-    }
-
     const margin = { top: 20, right: 120, bottom: 60, left: 80 };
     const width = dimensions.width - margin.left - margin.right;
     const height = dimensions.height - margin.top - margin.bottom;
 
-    // Clear previous content
+    // Clear previous content; resizing the canvas also clears it
     d3.select(svgRef.current).selectAll('*').remove();
+    d3.select(tooltipRef.current).style('display', 'none');
+    const canvas = canvasRef.current;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = plotData.length ? width * ratio : 0;
+    canvas.height = plotData.length ? height * ratio : 0;
+
+    if (!plotData.length) return;
+
+    // Points are painted on a canvas under the SVG, which keeps the axes,
+    // legend and brush
+    d3.select(canvas)
+      .style('left', `${margin.left}px`)
+      .style('top', `${margin.top}px`)
+      .style('width', `${width}px`)
+      .style('height', `${height}px`);
+    const context = canvas.getContext('2d');
+    context.scale(ratio, ratio);
 
     // Create SVG
     const svg = d3
@@ -56,7 +86,7 @@ function ResponseScatterChart({ data, yAxisMetric, setYAxisMetric }) {
     // Scales
     const xScale = d3
       .scaleLinear()
-      .domain([0, d3.max(data, (d) => d.response_time_hours)])
+      .domain([0, d3.max(plotData, (d) => d.response_time_hours)])
       .nice()
       .range([0, width]);
 
@@ -65,58 +95,262 @@ function ResponseScatterChart({ data, yAxisMetric, setYAxisMetric }) {
         ? (d) => d.casualties
         : (d) => d.economic_loss_usd / 1000000; // Convert to millions
 
+    // Brush extents are stored in raw units, the axis may be in millions
+    const yUnit = yAxisMetric === 'casualties' ? 1 : 1000000;
+
     const yScale = d3
       .scaleLinear()
-      .domain([0, d3.max(data, yValue)])
+      .domain([0, d3.max(plotData, yValue)])
       .nice()
       .range([height, 0]);
 
-    const types = Array.from(new Set(data.map((d) => d.disaster_type)));
+    const types = Array.from(new Set(plotData.map((d) => d.disaster_type)));
     const colorScale = d3.scaleOrdinal(d3.schemeCategory10).domain(types);
 
+    // Without any known loss every point gets the smallest size
     const sizeScale = d3
       .scaleSqrt()
-      .domain([0, d3.max(data, (d) => d.economic_loss_usd)])
+      .domain([0, d3.max(plotData, (d) => d.economic_loss_usd) || 1])
       .range([3, 12]);
 
-    // Draw circles
-    g.selectAll('.dot')
-      .data(sampledData)
-      .join('circle')
-      .attr('class', 'dot')
-      .attr('cx', (d) => xScale(d.response_time_hours))
-      .attr('cy', (d) => yScale(yValue(d)))
-      .attr('r', (d) => sizeScale(d.economic_loss_usd))
-      .attr('fill', (d) => colorScale(d.disaster_type))
-      .attr('opacity', 0.6)
-      .attr('stroke', '#fff')
-      .attr('stroke-width', 1)
-      .on('mouseover', function (event, d) {
-        d3.select(this).attr('opacity', 1).attr('stroke-width', 2);
-
-        const tooltip = d3.select(tooltipRef.current);
-        const yDisplay =
-          yAxisMetric === 'casualties'
-            ? `Casualties: ${d.casualties}`
-            : `Economic Loss: $${(d.economic_loss_usd / 1000000).toFixed(2)}M`;
-
-        tooltip
-          .html(
-            `
+    // Brush layer sits below the hover marker and receives the pointer events
+    const brush = d3
+      .brush()
+      .extent([
+        [0, 0],
+        [width, height],
+      ])
+      .on('end', (event) => {
+        // Ignore programmatic moves when restoring the brush after a redraw
+        if (!event.sourceEvent) return;
+
+        if (!event.selection) {
+          setBrushExtent(null);
+          return;
+        }
+
+        const [[x0, y0], [x1, y1]] = event.selection;
+        setBrushExtent({
+          xRange: [xScale.invert(x0), xScale.invert(x1)],
+          yMetric: yAxisMetric,
+          yRange: [yScale.invert(y1) * yUnit, yScale.invert(y0) * yUnit],
+        });
+      });
+
+    const brushGroup = g.append('g').attr('class', 'brush').call(brush);
+
+    const activeBrush =
+      brushExtent && brushExtent.yMetric === yAxisMetric ? brushExtent : null;
+
+    if (activeBrush) {
+      brushGroup.call(brush.move, [
+        [
+          xScale(activeBrush.xRange[0]),
+          yScale(activeBrush.yRange[1] / yUnit),
+        ],
+        [
+          xScale(activeBrush.xRange[1]),
+          yScale(activeBrush.yRange[0] / yUnit),
+        ],
+      ]);
+    }
+
+    // Dim points outside the brushed rectangle
+    const inBrush = (d) =>
+      !activeBrush ||
+      (d.response_time_hours >= activeBrush.xRange[0] &&
+        d.response_time_hours <= activeBrush.xRange[1] &&
+        d[yAxisMetric] >= activeBrush.yRange[0] &&
+        d[yAxisMetric] <= activeBrush.yRange[1]);
+    const dotOpacity = (d) => (inBrush(d) ? 0.6 : 0.15);
+
+    // Every event is drawn, larger ones first so small ones stay visible
+    const points = plotData
+      .map((d) => ({
+        d,
+        x: xScale(d.response_time_hours),
+        y: yScale(yValue(d)),
+        r: sizeScale(d.economic_loss_usd ?? 0),
+      }))
+      .sort((a, b) => b.r - a.r);
+
+    const hexbin = d3Hexbin()
+      .x((p) => p.x)
+      .y((p) => p.y)
+      .radius(HEX_RADIUS)
+      .extent([
+        [0, 0],
+        [width, height],
+      ]);
+
+    // Items the pointer can hover: single points, or hexagons in density mode
+    let targets;
+
+    if (showDensity) {
+      // Each hexagon takes the colour of its most common disaster type and
+      // gets more opaque with the number of events it holds. With a brush
+      // only the events inside it count, and hexagons without any are dimmed
+      // like the points outside it
+      const bins = hexbin(points);
+      const opacityScale = d3
+        .scaleLog()
+        .domain([1, d3.max(bins, (bin) => bin.length)])
+        .range([0.2, 0.9]);
+      const hexagon = new Path2D(hexbin.hexagon());
+
+      bins.forEach((bin) => {
+        bin.selected = bin.filter((p) => inBrush(p.d));
+        bin.byType = d3
+          .rollups(
+            bin.selected.length ? bin.selected : bin,
+            (v) => v.length,
+            (p) => p.d.disaster_type
+          )
+          .sort((a, b) => b[1] - a[1]);
+
+        context.save();
+        context.translate(bin.x, bin.y);
+        context.globalAlpha = bin.selected.length
+          ? opacityScale(bin.selected.length)
+          : 0.1;
+        context.fillStyle = colorScale(bin.byType[0][0]);
+        context.fill(hexagon);
+        context.restore();
+      });
+      targets = bins.map((bin) => ({ x: bin.x, y: bin.y, r: HEX_RADIUS, bin }));
+    } else {
+      context.strokeStyle = '#fff';
+      context.lineWidth = 1;
+      points.forEach((p) => {
+        context.globalAlpha = dotOpacity(p.d);
+        context.fillStyle = colorScale(p.d.disaster_type);
+        context.beginPath();
+        context.arc(p.x, p.y, p.r, 0, 2 * Math.PI);
+        context.fill();
+        context.stroke();
+      });
+      targets = points;
+    }
+
+    // Anomalies are drawn last with a ring, so neither other points nor
+    // density hexagons can hide them
+    const flaggedPoints = points.filter((p) => anomalies.has(p.d));
+    context.globalAlpha = 1;
+    context.lineWidth = 2;
+    context.strokeStyle = ANOMALY_COLOR;
+    flaggedPoints.forEach((p) => {
+      context.fillStyle = colorScale(p.d.disaster_type);
+      context.beginPath();
+      context.arc(p.x, p.y, p.r + 1, 0, 2 * Math.PI);
+      context.fill();
+      context.stroke();
+    });
+    if (showDensity) targets = targets.concat(flaggedPoints);
+
+    // Hit-testing: the quadtree finds the nearest item to the pointer
+    const quadtree = d3
+      .quadtree()
+      .x((p) => p.x)
+      .y((p) => p.y)
+      .addAll(targets);
+    const searchRadius = d3.max(targets, (p) => p.r) + 2;
+
+    const hoverMarker = g
+      .append('g')
+      .attr('class', 'hover-marker')
+      .style('display', 'none');
+
+    const hideHover = () => {
+      hoverMarker.style('display', 'none');
+      d3.select(tooltipRef.current).style('display', 'none');
+    };
+
+    brushGroup
+      .on('mousemove.tooltip', (event) => {
+        // No tooltips while a brush is being drawn
+        if (event.buttons) {
+          hideHover();
+          return;
+        }
+
+        const [mx, my] = d3.pointer(event, g.node());
+        const found = quadtree.find(mx, my, searchRadius);
+        if (!found || Math.hypot(found.x - mx, found.y - my) > found.r + 2) {
+          hideHover();
+          return;
+        }
+
+        hoverMarker.selectAll('*').remove();
+        let html;
+        if (found.bin) {
+          hoverMarker
+            .append('path')
+            .attr('d', hexbin.hexagon())
+            .attr('transform', `translate(${found.x},${found.y})`);
+          html = `
+            <strong>${found.bin.length.toLocaleString()} events</strong><br/>
+            ${
+              activeBrush
+                ? `${found.bin.selected.length.toLocaleString()} in the selection<br/>`
+                : ''
+            }
+            ${found.bin.byType
+              .map(([type, count]) => `${type}: ${count.toLocaleString()}`)
+              .join('<br/>')}
+          `;
+        } else {
+          const d = found.d;
+          hoverMarker
+            .append('circle')
+            .attr('cx', found.x)
+            .attr('cy', found.y)
+            .attr('r', found.r)
+            .attr('fill', colorScale(d.disaster_type));
+
+          const yDisplay =
+            yAxisMetric === 'casualties'
+              ? `Casualties: ${d.casualties}`
+              : `Economic Loss: $${(d.economic_loss_usd / 1000000).toFixed(2)}M`;
+          const anomaly = anomalies.get(d);
+          html = `
             <strong>${d.disaster_type}</strong><br/>
             ${d.country}<br/>
             ${d.date.toLocaleDateString()}<br/>
             Response Time: ${d.response_time_hours.toFixed(1)}h<br/>
             ${yDisplay}
-          `
-          )
+            ${
+              anomaly
+                ? anomaly.reasons
+                    .map(
+                      (reason) =>
+                        `<br/><span class="tooltip-anomaly">⚠ ${describeAnomalyReason(reason, d)}</span>`
+                    )
+                    .join('')
+                : ''
+            }
+          `;
+        }
+        hoverMarker.style('display', null);
+
+        d3.select(tooltipRef.current)
+          .html(html)
           .style('display', 'block')
           .style('left', `${event.clientX + 10}px`)
           .style('top', `${event.clientY - 28}px`);
       })
-      .on('mouseout', function () {
-        d3.select(this).attr('opacity', 0.6).attr('stroke-width', 1);
-        d3.select(tooltipRef.current).style('display', 'none');
+      .on('mouseleave.tooltip', hideHover)
+      // A click without a drag opens the event under the pointer
+      .on('click.detail', (event) => {
+        const [mx, my] = d3.pointer(event, g.node());
+        const found = quadtree.find(mx, my, searchRadius);
+        if (
+          found &&
+          !found.bin &&
+          Math.hypot(found.x - mx, found.y - my) <= found.r + 2
+        ) {
+          hideHover();
+          onSelectEvent(found.d);
+        }
       });
 
     // Axes
@@ -172,18 +406,27 @@ function ResponseScatterChart({ data, yAxisMetric, setYAxisMetric }) {
         .attr('class', 'legend-text')
         .text(type);
     });
-  }, [data, dimensions, yAxisMetric]);
+  }, [
+    plotData,
+    dimensions,
+    yAxisMetric,
+    brushExtent,
+    setBrushExtent,
+    showDensity,
+    anomalies,
+    onSelectEvent,
+  ]);
 
   return (
     <div className="chart-wrapper">
       <h3 className="chart-title">Response Time vs. Impact</h3>
       <p className="chart-subtitle">
-        Correlation between response speed and disaster impact
-        {data.length > 2000 &&
-          ` (showing ${Math.min(
-            2000,
-            data.length
-          ).toLocaleString()} of ${data.length.toLocaleString()} points for performance)`}
+        Correlation between response speed and disaster impact, drag to
+        filter the dashboard or click a point for its details
+        {missingCount > 0 &&
+          `; ${missingCount.toLocaleString()} events with missing values not shown`}
+        {plottedAnomalies > 0 &&
+          `; ${plottedAnomalies.toLocaleString()} anomalies ringed in red`}
       </p>
 
       <div className="controls-inline">
@@ -208,9 +451,38 @@ function ResponseScatterChart({ data, yAxisMetric, setYAxisMetric }) {
             Economic Loss (USD)
           </label>
         </div>
+
+        {densityAvailable && (
+          <>
+            <label>Display:</label>
+            <div className="radio-group">
+              <label className="radio-label">
+                <input
+                  type="radio"
+                  value="points"
+                  checked={!showDensity}
+                  onChange={(e) => setDisplayMode(e.target.value)}
+                />
+                Points
+              </label>
+              <label className="radio-label">
+                <input
+                  type="radio"
+                  value="density"
+                  checked={showDensity}
+                  onChange={(e) => setDisplayMode(e.target.value)}
+                />
+                Density
+              </label>
+            </div>
+          </>
+        )}
       </div>
 
-      <svg ref={svgRef}></svg>
+      <div className="scatter-stage">
+        <canvas ref={canvasRef} className="scatter-canvas"></canvas>
+        <svg ref={svgRef}></svg>
+      </div>
       <div ref={tooltipRef} className="tooltip"></div>
     </div>
   );
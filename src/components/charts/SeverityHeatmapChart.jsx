@@ -0,0 +1,161 @@
+import React, { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+import useContainerWidth from '../../hooks/useContainerWidth';
+import { isAdditiveClick } from '../../utils/selection';
+import { describeBandRange } from '../../utils/severity';
+import './SeverityHeatmapChart.css';
+
+// Cells wider than this make the bands hard to compare across a row
+const MAX_CELL_WIDTH = 140;
+const ROW_HEIGHT = 36;
+
+function SeverityHeatmapChart({
+  stats,
+  thresholds,
+  weighted,
+  onSelectType,
+  onSelectBand,
+}) {
+  const svgRef = useRef();
+  const tooltipRef = useRef();
+  const width = useContainerWidth(svgRef, 900);
+
+  useEffect(() => {
+    // Clear previous content
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    if (!stats.types.length) return;
+
+    const margin = { top: 50, right: 20, bottom: 20, left: 140 };
+    const cellWidth = Math.min(
+      MAX_CELL_WIDTH,
+      (width - margin.left - margin.right) / stats.bands.length
+    );
+    const gridWidth = cellWidth * stats.bands.length;
+    const height = stats.types.length * ROW_HEIGHT;
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height + margin.top + margin.bottom);
+
+    // Center the grid in the wide panel
+    const offset = Math.max(margin.left, (width + margin.left - gridWidth) / 2);
+    const g = svg
+      .append('g')
+      .attr('transform', `translate(${offset},${margin.top})`);
+
+    const xScale = d3
+      .scaleBand()
+      .domain(stats.bands)
+      .range([0, gridWidth])
+      .padding(0.05);
+    const yScale = d3
+      .scaleBand()
+      .domain(stats.types)
+      .range([0, height])
+      .padding(0.05);
+    const colorScale = d3
+      .scaleSequential(d3.interpolateOrRd)
+      .domain([0, d3.max(stats.cells, (d) => d.value) || 1]);
+
+    // Row totals for the share shown in the tooltip
+    const typeTotals = d3.rollup(
+      stats.cells,
+      (v) => d3.sum(v, (d) => d.value),
+      (d) => d.type
+    );
+    const formatValue = weighted ? d3.format(',.1f') : d3.format(',');
+
+    const tooltip = d3.select(tooltipRef.current);
+
+    g.selectAll('.heatmap-cell')
+      .data(stats.cells)
+      .join('rect')
+      .attr('class', 'heatmap-cell')
+      .attr('x', (d) => xScale(d.band))
+      .attr('y', (d) => yScale(d.type))
+      .attr('width', xScale.bandwidth())
+      .attr('height', yScale.bandwidth())
+      .attr('fill', (d) => colorScale(d.value))
+      .on('mouseover', function (event, d) {
+        d3.select(this).attr('stroke', '#333').attr('stroke-width', 2);
+        const total = typeTotals.get(d.type);
+        tooltip
+          .html(
+            `
+            <strong>${d.type}, ${d.band}</strong><br/>
+            Severity ${describeBandRange(d.band, thresholds)}<br/>
+            Events: ${d.count.toLocaleString()}<br/>
+            ${weighted ? `Severity-weighted: ${formatValue(d.value)}<br/>` : ''}
+            Share of ${d.type}: ${total ? d3.format('.0%')(d.value / total) : 'n/a'}
+          `
+          )
+          .style('display', 'block')
+          .style('left', `${event.clientX + 10}px`)
+          .style('top', `${event.clientY - 28}px`);
+      })
+      .on('mouseout', function () {
+        d3.select(this).attr('stroke', null);
+        tooltip.style('display', 'none');
+      })
+      .on('click', (event, d) => {
+        tooltip.style('display', 'none');
+        const additive = isAdditiveClick(event);
+        onSelectType(d.type, additive);
+        onSelectBand(d.band, additive);
+      });
+
+    // Dark cells get light labels
+    g.selectAll('.heatmap-value')
+      .data(stats.cells)
+      .join('text')
+      .attr('class', 'heatmap-value')
+      .attr('x', (d) => xScale(d.band) + xScale.bandwidth() / 2)
+      .attr('y', (d) => yScale(d.type) + yScale.bandwidth() / 2)
+      .attr('dy', '0.35em')
+      .attr('text-anchor', 'middle')
+      .attr('fill', (d) =>
+        d3.hsl(colorScale(d.value)).l < 0.5 ? 'white' : '#333'
+      )
+      .text((d) => formatValue(d.value));
+
+    // Row and column labels filter on their own
+    g.append('g')
+      .attr('class', 'y-axis heatmap-axis')
+      .call(d3.axisLeft(yScale).tickSize(0))
+      .call((axis) => axis.select('.domain').remove())
+      .selectAll('.tick')
+      .on('click', (event, type) => onSelectType(type, isAdditiveClick(event)));
+
+    const columns = g
+      .append('g')
+      .attr('class', 'x-axis heatmap-axis')
+      .call(d3.axisTop(xScale).tickSize(0))
+      .call((axis) => axis.select('.domain').remove());
+    columns
+      .selectAll('.tick')
+      .on('click', (event, band) => onSelectBand(band, isAdditiveClick(event)))
+      .append('text')
+      .attr('class', 'heatmap-band-range')
+      .attr('y', -22)
+      .text((band) => describeBandRange(band, thresholds));
+  }, [stats, thresholds, weighted, width, onSelectType, onSelectBand]);
+
+  return (
+    <div className="chart-wrapper">
+      <h3 className="chart-title">Disaster Type × Severity Band</h3>
+      <p className="chart-subtitle">
+        {weighted ? 'Severity-weighted event counts' : 'Event counts'} per
+        severity band (click a cell, row or column to filter)
+        {stats.unbanded > 0 &&
+          `; ${stats.unbanded.toLocaleString()} events without a severity index not shown`}
+      </p>
+
+      <svg ref={svgRef}></svg>
+      <div ref={tooltipRef} className="tooltip"></div>
+    </div>
+  );
+}
+
+export default SeverityHeatmapChart;
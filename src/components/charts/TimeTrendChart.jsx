@@ -1,70 +1,166 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef } from 'react';
 import * as d3 from 'd3';
+import useContainerWidth from '../../hooks/useContainerWidth';
+import { isAdditiveClick } from '../../utils/selection';
+import { FORECAST_YEARS } from '../../utils/dashboardState';
+import { CONFIDENCE, fitSeasonalTrend } from '../../utils/statistics';
+import { FILTER_SETS } from '../../utils/comparison';
 import './TimeTrendChart.css';
 
-function TimeTrendChart({ data }) {
+const MODE_LABELS = {
+  stacked: 'Stacked Counts',
+  trends: 'Trends',
+  forecast: 'Forecast',
+};
+
+const formatMonth = d3.timeFormat('%b %Y');
+const formatYear = d3.timeFormat('%Y');
+const formatCount = d3.format(',.1f');
+const formatChange = d3.format('+.1f');
+
+// Calendar years touched by a run of months, with the index of each year's
+// January (negative or past the end for partial years) and whether all
+// twelve months are inside the run
+function calendarYears(months) {
+  if (!months.length) return [];
+  const first = new Date(months[0]);
+  const firstYear = first.getFullYear();
+  return d3
+    .groups(months, (month) => new Date(month).getFullYear())
+    .map(([year, inYear]) => ({
+      year,
+      january: (year - firstYear) * 12 - first.getMonth(),
+      complete: inYear.length === 12,
+    }));
+}
+
+function TimeTrendChart({
+  counts,
+  monthly,
+  comparison = null,
+  mode,
+  setMode,
+  forecastYears,
+  setForecastYears,
+  onSelectType,
+  hiddenTypes,
+  setHiddenTypes,
+  height = 400,
+}) {
   const svgRef = useRef();
   const tooltipRef = useRef();
-  const [dimensions, setDimensions] = useState({ width: 600, height: 400 });
-  const [hiddenTypes, setHiddenTypes] = useState(new Set());
+  const containerWidth = useContainerWidth(svgRef, 600);
+  const dimensions = useMemo(
+    () => ({ width: containerWidth, height }),
+    [containerWidth, height]
+  );
 
-  useEffect(() => {
-    // Responsive sizing
-    const updateDimensions = () => {
-      if (svgRef.current) {
-        const width = svgRef.current.parentElement.clientWidth;
-        setDimensions({ width, height: 400 });
-      }
-    };
+  // Trend per disaster type, fitted to its monthly counts so partial years
+  // count for what they cover. Year-over-year change compares the last two
+  // complete years.
+  const trends = useMemo(() => {
+    const { months, types, series } = monthly;
+    const years = calendarYears(months);
+    const complete = years.filter((y) => y.complete);
+    const firstMonth = months.length ? new Date(months[0]).getMonth() : 0;
 
-    updateDimensions();
-    window.addEventListener('resize', updateDimensions);
-    return () => window.removeEventListener('resize', updateDimensions);
-  }, []);
+    return types.map((type) => {
+      const values = series[type];
+      const fit = fitSeasonalTrend(values, firstMonth);
+      const yearly = complete.map(({ year, january }) => ({
+        year,
+        count: d3.sum(values.slice(january, january + 12)),
+      }));
+      const [previous, last] = yearly.slice(-2);
+      // Fitted totals for whole calendar years; the month-of-year effects
+      // add up to the same amount every year, so these lie on a line
+      const fitted = fit
+        ? years.map(({ year, january }) => ({
+            year,
+            count: d3.sum(d3.range(12), (k) => fit.predict(january + k).value),
+          }))
+        : [];
+      return {
+        type,
+        fit,
+        yearly,
+        fitted,
+        change:
+          last && previous.count > 0
+            ? ((last.count - previous.count) / previous.count) * 100
+            : null,
+        changeYears: last ? [previous.year, last.year] : null,
+      };
+    });
+  }, [monthly]);
 
-  useEffect(() => {
-    if (!data || data.length === 0) return;
+  // Forecast of the visible types' combined monthly counts
+  const forecast = useMemo(() => {
+    const { months, types, series } = monthly;
+    const visible = types.filter((t) => !hiddenTypes.has(t));
+    if (!months.length || !visible.length) return null;
 
-    const margin = { top: 20, right: 120, bottom: 60, left: 60 };
-    const width = dimensions.width - margin.left - margin.right;
-    const height = dimensions.height - margin.top - margin.bottom;
+    const actual = months.map((month, i) => ({
+      month,
+      count: d3.sum(visible, (t) => series[t][i]),
+    }));
+    const fit = fitSeasonalTrend(
+      actual.map((d) => d.count),
+      new Date(months[0]).getMonth()
+    );
+    if (!fit) return { actual, fit: null, projected: [] };
+
+    // The projection starts from the last observed month so the lines join
+    const last = actual.length - 1;
+    const projected = d3.range(last, last + forecastYears * 12 + 1).map((i) => {
+      const { value, low, high } = fit.predict(i);
+      return {
+        month: +d3.timeMonth.offset(new Date(months[0]), i),
+        value: i === last ? actual[last].count : value,
+        // Counts cannot be negative
+        low: i === last ? actual[last].count : Math.max(0, low),
+        high: i === last ? actual[last].count : high,
+      };
+    });
+    return { actual, fit, projected };
+  }, [monthly, hiddenTypes, forecastYears]);
 
+  // Monthly totals of the visible types for both filter sets, lined up by
+  // month of their date ranges so ranges of different years overlay
+  const overlay = useMemo(() => {
+    if (!comparison) return null;
+    const totals = (set, { months, types, series }) => ({
+      set,
+      points: months.map((month, i) => ({
+        i,
+        month,
+        count: d3.sum(
+          types.filter((t) => !hiddenTypes.has(t)),
+          (t) => series[t][i]
+        ),
+      })),
+    });
+    const sets = [totals('A', monthly), totals('B', comparison)];
+    const starts = sets.map(({ points }) => points.length && points[0].month);
+    return { sets, sameStart: starts[0] === starts[1] };
+  }, [monthly, comparison, hiddenTypes]);
+
+  useEffect(() => {
     // Clear previous content
     d3.select(svgRef.current).selectAll('*').remove();
 
-    // Aggregate data by year and disaster type
-    const nested = d3.rollup(
-      data,
-      (v) => v.length,
-      (d) => d.year,
-      (d) => d.disaster_type
-    );
+    if (!counts || counts.rows.length === 0) return;
 
-    // Get all years and types
-    const years = Array.from(new Set(data.map((d) => d.year))).sort();
-    const types = Array.from(new Set(data.map((d) => d.disaster_type))).sort();
-
-    // Create data structure for stacking
-    const stackData = years.map((year) => {
-      const obj = { year };
-      types.forEach((type) => {
-        obj[type] = nested.get(year)?.get(type) || 0;
-      });
-      return obj;
-    });
+    const margin = { top: 20, right: 120, bottom: 60, left: 60 };
+    const width = dimensions.width - margin.left - margin.right;
+    const height = dimensions.height - margin.top - margin.bottom;
+
+    // Counts by year and disaster type come pre-aggregated for stacking
+    const { years, types, rows: stackData } = counts;
 
     // Filter out hidden types
     const visibleTypes = types.filter((t) => !hiddenTypes.has(t));
 
-    // Stack the data
-    const stack = d3
-      .stack()
-      .keys(visibleTypes)
-      .order(d3.stackOrderNone)
-      .offset(d3.stackOffsetNone);
-
-    const series = stack(stackData);
-
     // Create SVG
     const svg = d3
       .select(svgRef.current)
@@ -75,60 +171,331 @@ function TimeTrendChart({ data }) {
       .append('g')
       .attr('transform', `translate(${margin.left},${margin.top})`);
 
-    // Scales
-    const xScale = d3.scaleLinear().domain(d3.extent(years)).range([0, width]);
+    const colorScale = d3.scaleOrdinal(d3.schemeCategory10).domain(types);
+    const tooltip = d3.select(tooltipRef.current);
+    const showTooltip = (event, html) => {
+      tooltip
+        .html(html)
+        .style('display', 'block')
+        .style('left', `${event.clientX + 10}px`)
+        .style('top', `${event.clientY - 28}px`);
+    };
+    const hideTooltip = () => tooltip.style('display', 'none');
+
+    let xScale;
+    let yScale;
+    let xAxis;
+    let xLabel = 'Year';
 
-    const yScale = d3
-      .scaleLinear()
-      .domain([0, d3.max(series, (s) => d3.max(s, (d) => d[1]))])
-      .nice()
-      .range([height, 0]);
+    if (mode === 'stacked' && overlay) {
+      // Set A solid, set B dashed, on a shared month-of-range axis
+      const { sets, sameStart } = overlay;
+      const length = d3.max(sets, (s) => s.points.length);
+      xLabel = sameStart ? 'Month' : 'Month of Date Range';
 
-    const colorScale = d3.scaleOrdinal(d3.schemeCategory10).domain(types);
+      xScale = d3
+        .scaleLinear()
+        .domain([0, Math.max(1, length - 1)])
+        .range([0, width]);
+
+      yScale = d3
+        .scaleLinear()
+        .domain([0, d3.max(sets, (s) => d3.max(s.points, (d) => d.count)) || 1])
+        .nice()
+        .range([height, 0]);
 
-    // Area generator
-    const area = d3
-      .area()
-      .x((d) => xScale(d.data.year))
-      .y0((d) => yScale(d[0]))
-      .y1((d) => yScale(d[1]))
-      .curve(d3.curveMonotoneX);
-
-    // Draw areas
-    g.selectAll('.area')
-      .data(series)
-      .join('path')
-      .attr('class', 'area')
-      .attr('d', area)
-      .attr('fill', (d) => colorScale(d.key))
-      .attr('opacity', 0.7)
-      .on('mouseover', function (event, d) {
-        d3.select(this).attr('opacity', 1);
-        const tooltip = d3.select(tooltipRef.current);
-        tooltip.style('display', 'block');
-      })
-      .on('mousemove', function (event, d) {
-        const [x] = d3.pointer(event);
-        const year = Math.round(xScale.invert(x));
-        const yearData = stackData.find((item) => item.year === year);
-
-        if (yearData) {
-          const tooltip = d3.select(tooltipRef.current);
-          tooltip
-            .html(
+      // Year starts of set A when both sets start together, else month numbers
+      xAxis = d3.axisBottom(xScale).ticks(Math.min(10, length));
+      if (sameStart) {
+        const months = sets[0].points.map((d) => d.month);
+        xAxis.tickFormat((i) =>
+          months[i] === undefined ? '' : formatYear(months[i])
+        );
+      } else {
+        xAxis.tickFormat((i) => (Number.isInteger(i) ? i + 1 : ''));
+      }
+
+      const line = d3
+        .line()
+        .x((d) => xScale(d.i))
+        .y((d) => yScale(d.count));
+
+      g.selectAll('.comparison-line')
+        .data(sets)
+        .join('path')
+        .attr('class', (s) =>
+          s.set === 'B' ? 'comparison-line comparison-line-b' : 'comparison-line'
+        )
+        .attr('d', (s) => line(s.points));
+
+      // Hovering shows both sets' counts for the nearest month of the range
+      const markers = g
+        .selectAll('.forecast-marker')
+        .data(sets)
+        .join('circle')
+        .attr('class', 'forecast-marker')
+        .attr('r', 4)
+        .style('display', 'none');
+
+      g.append('rect')
+        .attr('class', 'forecast-overlay')
+        .attr('width', width)
+        .attr('height', height)
+        .on('mousemove', (event) => {
+          const [x] = d3.pointer(event);
+          const i = Math.round(xScale.invert(x));
+          const found = sets.map((s) => s.points[i]);
+          markers
+            .style('display', (s, k) => (found[k] ? null : 'none'))
+            .attr('cx', xScale(i))
+            .attr('cy', (s, k) => (found[k] ? yScale(found[k].count) : 0));
+          showTooltip(
+            event,
+            sets
+              .map((s, k) =>
+                found[k]
+                  ? `<strong>${s.set}: ${formatMonth(found[k].month)}</strong> ${found[k].count.toLocaleString()} events`
+                  : `<strong>${s.set}:</strong> outside its range`
+              )
+              .join('<br/>')
+          );
+        })
+        .on('mouseout', () => {
+          markers.style('display', 'none');
+          hideTooltip();
+        });
+    } else if (mode === 'stacked') {
+      // Stack the data
+      const stack = d3
+        .stack()
+        .keys(visibleTypes)
+        .order(d3.stackOrderNone)
+        .offset(d3.stackOffsetNone);
+
+      const series = stack(stackData);
+
+      // Scales
+      xScale = d3.scaleLinear().domain(d3.extent(years)).range([0, width]);
+
+      yScale = d3
+        .scaleLinear()
+        .domain([0, d3.max(series, (s) => d3.max(s, (d) => d[1]))])
+        .nice()
+        .range([height, 0]);
+
+      // Area generator
+      const area = d3
+        .area()
+        .x((d) => xScale(d.data.year))
+        .y0((d) => yScale(d[0]))
+        .y1((d) => yScale(d[1]))
+        .curve(d3.curveMonotoneX);
+
+      // Draw areas
+      g.selectAll('.area')
+        .data(series)
+        .join('path')
+        .attr('class', 'area')
+        .attr('d', area)
+        .attr('fill', (d) => colorScale(d.key))
+        .attr('opacity', 0.7)
+        .on('mouseover', function (event, d) {
+          d3.select(this).attr('opacity', 1);
+          tooltip.style('display', 'block');
+        })
+        .on('mousemove', function (event, d) {
+          const [x] = d3.pointer(event);
+          const year = Math.round(xScale.invert(x));
+          const yearData = stackData.find((item) => item.year === year);
+
+          if (yearData) {
+            showTooltip(
+              event,
               `<strong>${year}</strong><br/>${d.key}: ${yearData[d.key]} events`
-            )
-            .style('left', `${event.clientX + 10}px`)
-            .style('top', `${event.clientY - 28}px`);
-        }
-      })
-      .on('mouseout', function () {
-        d3.select(this).attr('opacity', 0.7);
-        d3.select(tooltipRef.current).style('display', 'none');
-      });
+            );
+          }
+        })
+        .on('mouseout', function () {
+          d3.select(this).attr('opacity', 0.7);
+          hideTooltip();
+        })
+        .on('click', (event, d) => {
+          hideTooltip();
+          onSelectType(d.key, isAdditiveClick(event));
+        });
+    } else if (mode === 'trends') {
+      // Complete years as points, with each type's fitted trend dashed
+      const shown = trends.filter((t) => !hiddenTypes.has(t.type));
+      const fittedYears = shown.flatMap((t) => t.fitted.map((d) => d.year));
+
+      xScale = d3
+        .scaleLinear()
+        .domain(d3.extent(fittedYears.length ? fittedYears : years))
+        .range([0, width]);
+
+      yScale = d3
+        .scaleLinear()
+        .domain([
+          0,
+          d3.max(shown, (t) =>
+            d3.max([...t.yearly, ...t.fitted], (d) => d.count)
+          ) || 1,
+        ])
+        .nice()
+        .range([height, 0]);
+
+      const line = d3
+        .line()
+        .x((d) => xScale(d.year))
+        .y((d) => yScale(Math.max(0, d.count)));
+
+      const groups = g
+        .selectAll('.trend-type')
+        .data(shown)
+        .join('g')
+        .attr('class', 'trend-type')
+        .attr('color', (t) => colorScale(t.type))
+        .on('click', (event, t) => {
+          hideTooltip();
+          onSelectType(t.type, isAdditiveClick(event));
+        });
+
+      groups
+        .append('path')
+        .attr('class', 'trend-actual')
+        .attr('d', (t) => line(t.yearly));
+
+      groups
+        .append('path')
+        .attr('class', 'trend-fitted')
+        .attr('d', (t) => line(t.fitted));
+
+      groups
+        .selectAll('.trend-point')
+        .data((t) => t.yearly.map((d) => ({ ...d, type: t.type })))
+        .join('circle')
+        .attr('class', 'trend-point')
+        .attr('cx', (d) => xScale(d.year))
+        .attr('cy', (d) => yScale(d.count))
+        .attr('r', 4)
+        .on('mouseover', (event, d) =>
+          showTooltip(
+            event,
+            `<strong>${d.type}, ${d.year}</strong><br/>${formatCount(d.count)} events`
+          )
+        )
+        .on('mouseout', hideTooltip);
+    } else {
+      // Observed monthly counts, then the projection and its band
+      xLabel = 'Month';
+      if (!forecast) return;
+      const { actual, projected } = forecast;
+
+      xScale = d3
+        .scaleTime()
+        .domain([
+          actual[0].month,
+          projected.length
+            ? projected[projected.length - 1].month
+            : actual[actual.length - 1].month,
+        ])
+        .range([0, width]);
+
+      yScale = d3
+        .scaleLinear()
+        .domain([
+          0,
+          d3.max([
+            d3.max(actual, (d) => d.count),
+            d3.max(projected, (d) => d.high) || 0,
+          ]) || 1,
+        ])
+        .nice()
+        .range([height, 0]);
+
+      g.append('path')
+        .datum(projected)
+        .attr('class', 'forecast-band')
+        .attr(
+          'd',
+          d3
+            .area()
+            .x((d) => xScale(d.month))
+            .y0((d) => yScale(d.low))
+            .y1((d) => yScale(d.high))
+        );
+
+      g.append('path')
+        .datum(actual)
+        .attr('class', 'forecast-actual')
+        .attr(
+          'd',
+          d3
+            .line()
+            .x((d) => xScale(d.month))
+            .y((d) => yScale(d.count))
+        );
+
+      g.append('path')
+        .datum(projected)
+        .attr('class', 'forecast-projected')
+        .attr(
+          'd',
+          d3
+            .line()
+            .x((d) => xScale(d.month))
+            .y((d) => yScale(Math.max(0, d.value)))
+        );
+
+      // Hovering anywhere shows the nearest month
+      const points = [
+        ...actual.map((d) => ({ ...d, observed: true })),
+        ...projected.slice(1),
+      ];
+      const bisect = d3.bisector((d) => d.month).center;
+      const marker = g
+        .append('circle')
+        .attr('class', 'forecast-marker')
+        .attr('r', 4)
+        .style('display', 'none');
+
+      g.append('rect')
+        .attr('class', 'forecast-overlay')
+        .attr('width', width)
+        .attr('height', height)
+        .on('mousemove', (event) => {
+          const [x] = d3.pointer(event);
+          const d = points[bisect(points, +xScale.invert(x))];
+          const value = d.observed ? d.count : Math.max(0, d.value);
+          marker
+            .style('display', null)
+            .attr('cx', xScale(d.month))
+            .attr('cy', yScale(value));
+          showTooltip(
+            event,
+            d.observed
+              ? `<strong>${formatMonth(d.month)}</strong><br/>${formatCount(d.count)} events`
+              : `<strong>${formatMonth(d.month)} (forecast)</strong><br/>
+                 ${formatCount(value)} events<br/>
+                 ${CONFIDENCE * 100}% band: ${formatCount(d.low)}–${formatCount(d.high)}`
+          );
+        })
+        .on('mouseout', () => {
+          marker.style('display', 'none');
+          hideTooltip();
+        });
+    }
 
     // Axes
-    const xAxis = d3.axisBottom(xScale).tickFormat(d3.format('d'));
+    if (!xAxis) {
+      xAxis =
+        mode === 'forecast'
+          ? d3.axisBottom(xScale).ticks(6)
+          : d3
+              .axisBottom(xScale)
+              .ticks(Math.max(1, Math.min(10, xScale.domain()[1] - xScale.domain()[0])))
+              .tickFormat(d3.format('d'));
+    }
     const yAxis = d3.axisLeft(yScale);
 
     g.append('g')
@@ -144,7 +511,7 @@ function TimeTrendChart({ data }) {
       .attr('x', width / 2)
       .attr('y', height + 45)
       .attr('text-anchor', 'middle')
-      .text('Year');
+      .text(xLabel);
 
     g.append('text')
       .attr('class', 'axis-label')
@@ -152,8 +519,10 @@ function TimeTrendChart({ data }) {
       .attr('x', -height / 2)
       .attr('y', -45)
       .attr('text-anchor', 'middle')
-      .text('Number of Events');
-  }, [data, dimensions, hiddenTypes]);
+      .text(
+        mode === 'forecast' || overlay ? 'Events per Month' : 'Number of Events'
+      );
+  }, [counts, dimensions, hiddenTypes, onSelectType, mode, trends, forecast, overlay]);
 
   const toggleType = (type) => {
     setHiddenTypes((prev) => {
@@ -167,16 +536,80 @@ function TimeTrendChart({ data }) {
     });
   };
 
-  const types = Array.from(new Set(data.map((d) => d.disaster_type))).sort();
+  const { types } = counts;
   const colorScale = d3.scaleOrdinal(d3.schemeCategory10).domain(types);
+  const shownTrends = trends.filter((t) => !hiddenTypes.has(t.type));
+  const changeYears = trends.find((t) => t.changeYears)?.changeYears;
+  // Years the filtered events span, e.g. "2018-2024"
+  const yearSpan = counts.years.length
+    ? [...new Set(d3.extent(counts.years))].join('-')
+    : null;
+
+  const subtitles = {
+    stacked: overlay
+      ? `Monthly events of the visible types in set A (solid) and set B (dashed)${
+          overlay.sameStart ? '' : ', lined up by month of each date range'
+        }`
+      : `Stacked area chart showing trends by disaster type${
+          yearSpan ? ` (${yearSpan})` : ''
+        }, click an area to filter or shift-click to add`,
+    trends: `Events per complete year with linear trends fitted to the monthly counts; ▲ marks increases significant at the ${Math.round(
+      (1 - CONFIDENCE) * 100
+    )}% level`,
+    forecast: !forecast
+      ? 'No events to forecast'
+      : !forecast.fit
+        ? 'Too few months in the selected range to fit a forecast'
+        : `Monthly events of the visible types, projected ${forecastYears} year${
+            forecastYears > 1 ? 's' : ''
+          } ahead from a linear trend${
+            forecast.fit.seasonal
+              ? ' plus month-of-year effects'
+              : ' (under two years of data, so without seasonality)'
+          }, with a ${CONFIDENCE * 100}% prediction band`,
+  };
 
   return (
     <div className="chart-wrapper">
       <h3 className="chart-title">Disaster Frequency Over Time</h3>
       <p className="chart-subtitle">
-        Stacked area chart showing trends by disaster type (2018-2024)
+        {subtitles[mode]}
+        {comparison && mode !== 'stacked' && '; shown for set A only'}
       </p>
 
+      <div className="controls-inline">
+        <div className="radio-group">
+          {Object.entries(MODE_LABELS).map(([value, label]) => (
+            <label key={value} className="radio-label">
+              <input
+                type="radio"
+                value={value}
+                checked={mode === value}
+                onChange={(e) => setMode(e.target.value)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+        {mode === 'forecast' && (
+          <>
+            <label htmlFor="forecast-horizon">Horizon:</label>
+            <select
+              id="forecast-horizon"
+              value={forecastYears}
+              onChange={(e) => setForecastYears(+e.target.value)}
+              className="metric-select"
+            >
+              {FORECAST_YEARS.map((years) => (
+                <option key={years} value={years}>
+                  {years * 12} months
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+      </div>
+
       <div className="legend">
         {types.map((type) => (
           <div
@@ -191,10 +624,66 @@ function TimeTrendChart({ data }) {
             <span className="legend-label">{type}</span>
           </div>
         ))}
+        {overlay &&
+          mode === 'stacked' &&
+          FILTER_SETS.map((set) => (
+            <div key={set} className="legend-item legend-set">
+              <div
+                className={`legend-line${set === 'B' ? ' legend-line-comparison' : ''}`}
+              ></div>
+              <span className="legend-label">Set {set}</span>
+            </div>
+          ))}
       </div>
 
       <svg ref={svgRef}></svg>
       <div ref={tooltipRef} className="tooltip"></div>
+
+      {mode === 'trends' && shownTrends.length > 0 && (
+        <table className="trend-table">
+          <thead>
+            <tr>
+              <th>Type</th>
+              <th>Trend (events/year)</th>
+              <th>{CONFIDENCE * 100}% interval</th>
+              <th>
+                {changeYears
+                  ? `${changeYears[1]} vs ${changeYears[0]}`
+                  : 'Year-over-year'}
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {shownTrends.map(({ type, fit, change }) => (
+              <tr key={type}>
+                <td>
+                  <span
+                    className="legend-color"
+                    style={{ backgroundColor: colorScale(type) }}
+                  ></span>
+                  {type}
+                </td>
+                {fit ? (
+                  <>
+                    <td className={`trend-${fit.direction || 'flat'}`}>
+                      {formatChange(fit.slope * 12)}
+                      {fit.direction === 'increase' && ' ▲'}
+                      {fit.direction === 'decrease' && ' ▼'}
+                    </td>
+                    <td>
+                      {formatChange(fit.interval[0] * 12)} to{' '}
+                      {formatChange(fit.interval[1] * 12)}
+                    </td>
+                  </>
+                ) : (
+                  <td colSpan={2}>Too few months</td>
+                )}
+                <td>{change === null ? '—' : `${formatChange(change)}%`}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
     </div>
   );
 }
@@ -1,53 +1,247 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef } from 'react';
 import * as d3 from 'd3';
+import useContainerWidth from '../../hooks/useContainerWidth';
+import { isAdditiveClick } from '../../utils/selection';
+import { SMALL_SAMPLE, STATISTIC_LABELS } from '../../utils/statistics';
+import { FILTER_SETS } from '../../utils/comparison';
 import './TypeSeverityChart.css';
 
-function TypeSeverityChart({ data }) {
+// Economic loss is shown in millions USD
+const METRICS = [
+  {
+    key: 'casualties',
+    nKey: 'casualtiesN',
+    name: 'Casualties',
+    unit: '',
+    color: '#667eea',
+    format: (value) => value.toFixed(1),
+  },
+  {
+    key: 'economicLoss',
+    nKey: 'economicLossN',
+    name: 'Economic Loss',
+    unit: ' ($M)',
+    color: '#f093fb',
+    format: (value) => `$${value.toFixed(2)}M`,
+  },
+];
+
+// e.g. "Median Economic Loss ($M)"
+const metricLabel = (metric, statistic) =>
+  `${STATISTIC_LABELS[statistic]} ${metric.name}${metric.unit}`;
+
+const MODE_LABELS = {
+  multiples: 'Small Multiples',
+  dual: 'Dual Axis',
+  zscore: 'Z-Scores',
+  percent: '% of Max',
+};
+
+const MODE_DESCRIPTIONS = {
+  multiples: 'each on its own axis',
+  dual: 'casualties on the left axis, economic loss on the right',
+  zscore: 'as z-scores across disaster types',
+  percent: 'as a percentage of the highest type',
+};
+
+const ORDER_LABELS = {
+  casualties: 'Casualties',
+  economic_loss: 'Economic Loss',
+  count: 'Event Count',
+  name: 'Name',
+};
+
+// Highest first; types without a value for the metric go last
+const byValue = (key) => (a, b) =>
+  (a[key] === null) - (b[key] === null) ||
+  b[key] - a[key] ||
+  d3.ascending(a.type, b.type);
+
+const ORDER_COMPARATORS = {
+  casualties: byValue('casualties'),
+  economic_loss: byValue('economicLoss'),
+  count: byValue('count'),
+  name: (a, b) => d3.ascending(a.type, b.type),
+};
+
+// Per-type statistics come pre-aggregated. Types with no values for a
+// metric get a null statistic and draw no bar for it
+const toChartRow = (values) => ({
+  ...values,
+  casualties: values.casualties ?? null,
+  economicLoss:
+    values.economicLoss === undefined
+      ? null
+      : values.economicLoss / 1000000, // Convert to millions
+});
+
+// Stands in for a type that only one of the compared sets has
+const emptyRow = (type) => ({
+  type,
+  casualties: null,
+  economicLoss: null,
+  casualtiesN: 0,
+  economicLossN: 0,
+  count: 0,
+});
+
+// Set B's row hangs off set A's, so both sort and band together
+const valueOf = (d, metric, set) =>
+  (set === 'B' ? d.comparison : d)[metric.key];
+
+// Maps each metric's raw values onto the shared scale of a normalized mode
+function buildNormalizer(mode, values) {
+  if (mode === 'zscore') {
+    const mean = d3.mean(values);
+    // A single type, or identical values, has no spread to standardize by
+    const deviation = d3.deviation(values) || 1;
+    return (value) => (value - mean) / deviation;
+  }
+  const max = d3.max(values) || 1;
+  return (value) => (value / max) * 100;
+}
+
+function TypeSeverityChart({
+  stats,
+  comparison = null,
+  statistic,
+  mode,
+  setMode,
+  order,
+  setOrder,
+  onSelectType,
+  height = 400,
+}) {
   const svgRef = useRef();
   const tooltipRef = useRef();
-  const [dimensions, setDimensions] = useState({ width: 600, height: 400 });
+  const containerWidth = useContainerWidth(svgRef, 600);
+  const dimensions = useMemo(
+    () => ({ width: containerWidth, height }),
+    [containerWidth, height]
+  );
 
   useEffect(() => {
-    const updateDimensions = () => {
-      if (svgRef.current) {
-        const width = svgRef.current.parentElement.clientWidth;
-        setDimensions({ width, height: 400 });
-      }
-    };
+    // Clear previous content
+    d3.select(svgRef.current).selectAll('*').remove();
 
-    updateDimensions();
-    window.addEventListener('resize', updateDimensions);
-    return () => window.removeEventListener('resize', updateDimensions);
-  }, []);
+    if (!stats || stats.length === 0) return;
 
-  useEffect(() => {
-    if (!data || data.length === 0) return;
-
-    const margin = { top: 20, right: 20, bottom: 80, left: 80 };
+    const margin = {
+      top: 20,
+      right: mode === 'dual' ? 80 : 20,
+      bottom: 80,
+      left: 80,
+    };
     const width = dimensions.width - margin.left - margin.right;
     const height = dimensions.height - margin.top - margin.bottom;
 
-    // Clear previous content
-    d3.select(svgRef.current).selectAll('*').remove();
+    // In comparison mode every type of either set gets a group, ordered by
+    // set A's values
+    const sets = comparison ? FILTER_SETS : ['A'];
+    let chartData = stats.map(toChartRow);
+    if (comparison) {
+      const rowsA = new Map(chartData.map((d) => [d.type, d]));
+      const rowsB = new Map(comparison.map((d) => [d.type, toChartRow(d)]));
+      chartData = [...new Set([...rowsA.keys(), ...rowsB.keys()])].map(
+        (type) => ({
+          ...(rowsA.get(type) || emptyRow(type)),
+          comparison: rowsB.get(type) || emptyRow(type),
+        })
+      );
+    }
+    chartData.sort(ORDER_COMPARATORS[order]);
+
+    // Values of a metric across the sets shown
+    const metricValues = (metric) =>
+      chartData
+        .flatMap((d) => sets.map((set) => valueOf(d, metric, set)))
+        .filter((value) => value !== null);
 
-    // Aggregate data by disaster type
-    const aggregated = d3.rollup(
-      data,
-      (v) => ({
-        avgCasualties: d3.mean(v, (d) => d.casualties),
-        avgEconomicLoss: d3.mean(v, (d) => d.economic_loss_usd),
-        count: v.length,
-      }),
-      (d) => d.disaster_type
-    );
-
-    // Convert to array and normalize economic loss for better visualization
-    const chartData = Array.from(aggregated, ([type, values]) => ({
-      type,
-      avgCasualties: values.avgCasualties,
-      avgEconomicLoss: values.avgEconomicLoss / 1000000, // Convert to millions
-      count: values.count,
-    })).sort((a, b) => b.avgCasualties - a.avgCasualties);
+    // Each panel plots one or more metrics against its own y scales. Small
+    // multiples stack one panel per metric; the other modes share one panel
+    let panels;
+    if (mode === 'multiples') {
+      const gap = 30;
+      const panelHeight = (height - gap * (METRICS.length - 1)) / METRICS.length;
+      panels = METRICS.map((metric, i) => ({
+        metrics: [metric],
+        top: i * (panelHeight + gap),
+        height: panelHeight,
+        yScales: [
+          d3
+            .scaleLinear()
+            .domain([0, d3.max(metricValues(metric)) || 1])
+            .nice()
+            .range([panelHeight, 0]),
+        ],
+      }));
+    } else if (mode === 'dual') {
+      panels = [
+        {
+          metrics: METRICS,
+          top: 0,
+          height,
+          yScales: METRICS.map((metric) =>
+            d3
+              .scaleLinear()
+              .domain([0, d3.max(metricValues(metric)) || 1])
+              .nice()
+              .range([height, 0])
+          ),
+        },
+      ];
+    } else {
+      // Both sets share one normalization, so their bars stay comparable
+      const normalizers = METRICS.map((metric) =>
+        buildNormalizer(mode, metricValues(metric))
+      );
+      const normalized = METRICS.flatMap((metric, i) =>
+        metricValues(metric).map(normalizers[i])
+      );
+      const yScale = d3
+        .scaleLinear()
+        .domain([Math.min(0, d3.min(normalized)), Math.max(0, d3.max(normalized))])
+        .nice()
+        .range([height, 0]);
+      panels = [
+        {
+          metrics: METRICS,
+          top: 0,
+          height,
+          yScales: METRICS.map(() => yScale),
+          normalizers,
+        },
+      ];
+    }
+
+    const panelValue = (panel, value, i) =>
+      panel.normalizers ? panel.normalizers[i](value) : value;
+
+    // Raw statistics, sample sizes and the event count behind the type, for
+    // each set when comparing
+    const tooltipLines = (d) => {
+      const lines = METRICS.map((metric, i) => {
+        const n = d[metric.nKey];
+        const label = metricLabel(metric, statistic);
+        if (!n) return `${label}: n/a`;
+        let line = `${label}: ${metric.format(d[metric.key])}`;
+        if (mode === 'zscore' || mode === 'percent') {
+          const normalized = panels[0].normalizers[i](d[metric.key]);
+          line +=
+            mode === 'zscore'
+              ? ` (z = ${normalized.toFixed(2)})`
+              : ` (${normalized.toFixed(0)}% of max)`;
+        }
+        return n === d.count ? line : `${line} (n = ${n})`;
+      });
+      return `${lines.join('<br/>')}<br/>Events: ${d.count.toLocaleString()}`;
+    };
+    const tooltipHtml = (d) =>
+      comparison
+        ? `<strong>${d.type}</strong><br/>
+          <em>Set A</em><br/>${tooltipLines(d)}<br/>
+          <em>Set B</em><br/>${tooltipLines(d.comparison)}`
+        : `<strong>${d.type}</strong><br/>${tooltipLines(d)}`;
 
     // Create SVG
     const svg = d3
@@ -59,116 +253,131 @@ function TypeSeverityChart({ data }) {
       .append('g')
       .attr('transform', `translate(${margin.left},${margin.top})`);
 
-    // Scales
     const x0Scale = d3
       .scaleBand()
       .domain(chartData.map((d) => d.type))
       .range([0, width])
       .padding(0.2);
 
-    const x1Scale = d3
-      .scaleBand()
-      .domain(['casualties', 'economic_loss'])
-      .range([0, x0Scale.bandwidth()])
-      .padding(0.1);
-
-    const yScale = d3
-      .scaleLinear()
-      .domain([
-        0,
-        Math.max(
-          d3.max(chartData, (d) => d.avgCasualties),
-          d3.max(chartData, (d) => d.avgEconomicLoss)
-        ),
-      ])
-      .nice()
-      .range([height, 0]);
-
-    const colorScale = d3
-      .scaleOrdinal()
-      .domain(['casualties', 'economic_loss'])
-      .range(['#667eea', '#f093fb']);
-
-    // Draw bars
-    const groups = g
-      .selectAll('.bar-group')
-      .data(chartData)
-      .join('g')
-      .attr('class', 'bar-group')
-      .attr('transform', (d) => `translate(${x0Scale(d.type)},0)`);
-
-    // Casualties bars
-    groups
-      .append('rect')
-      .attr('class', 'bar casualties-bar')
-      .attr('x', x1Scale('casualties'))
-      .attr('y', (d) => yScale(d.avgCasualties))
-      .attr('width', x1Scale.bandwidth())
-      .attr('height', (d) => height - yScale(d.avgCasualties))
-      .attr('fill', colorScale('casualties'))
-      .on('mouseover', function (event, d) {
-        d3.select(this).attr('opacity', 0.7);
-        const tooltip = d3.select(tooltipRef.current);
-        tooltip
-          .html(
-            `
-            <strong>${d.type}</strong><br/>
-            Avg Casualties: ${d.avgCasualties.toFixed(1)}<br/>
-            Events: ${d.count}
-          `
-          )
-          .style('display', 'block')
-          .style('left', `${event.clientX + 10}px`)
-          .style('top', `${event.clientY - 28}px`);
-      })
-      .on('mouseout', function () {
-        d3.select(this).attr('opacity', 1);
-        d3.select(tooltipRef.current).style('display', 'none');
-      });
+    const tooltip = d3.select(tooltipRef.current);
+
+    panels.forEach((panel) => {
+      const panelGroup = g
+        .append('g')
+        .attr('class', 'type-severity-panel')
+        .attr('transform', `translate(0,${panel.top})`);
 
-    // Economic loss bars
-    groups
-      .append('rect')
-      .attr('class', 'bar economic-bar')
-      .attr('x', x1Scale('economic_loss'))
-      .attr('y', (d) => yScale(d.avgEconomicLoss))
-      .attr('width', x1Scale.bandwidth())
-      .attr('height', (d) => height - yScale(d.avgEconomicLoss))
-      .attr('fill', colorScale('economic_loss'))
-      .on('mouseover', function (event, d) {
-        d3.select(this).attr('opacity', 0.7);
-        const tooltip = d3.select(tooltipRef.current);
-        tooltip
-          .html(
-            `
-            <strong>${d.type}</strong><br/>
-            Avg Economic Loss: $${d.avgEconomicLoss.toFixed(2)}M<br/>
-            Events: ${d.count}
-          `
+      // One bar per metric, split into a pair when comparing
+      const barKey = (metric, set) => `${metric.key}-${set}`;
+      const x1Scale = d3
+        .scaleBand()
+        .domain(
+          panel.metrics.flatMap((metric) =>
+            sets.map((set) => barKey(metric, set))
           )
-          .style('display', 'block')
-          .style('left', `${event.clientX + 10}px`)
-          .style('top', `${event.clientY - 28}px`);
-      })
-      .on('mouseout', function () {
-        d3.select(this).attr('opacity', 1);
-        d3.select(tooltipRef.current).style('display', 'none');
+        )
+        .range([0, x0Scale.bandwidth()])
+        .padding(0.1);
+
+      const groups = panelGroup
+        .selectAll('.bar-group')
+        .data(chartData)
+        .join('g')
+        .attr('class', 'bar-group')
+        .attr('transform', (d) => `translate(${x0Scale(d.type)},0)`)
+        .on('mouseover', function (event, d) {
+          d3.select(this).selectAll('.bar').attr('opacity', 0.7);
+          tooltip
+            .html(tooltipHtml(d))
+            .style('display', 'block')
+            .style('left', `${event.clientX + 10}px`)
+            .style('top', `${event.clientY - 28}px`);
+        })
+        .on('mouseout', function () {
+          d3.select(this).selectAll('.bar').attr('opacity', 1);
+          tooltip.style('display', 'none');
+        })
+        .on('click', (event, d) => {
+          tooltip.style('display', 'none');
+          onSelectType(d.type, isAdditiveClick(event));
+        });
+
+      // Bars grow from zero, so negative z-scores hang below the baseline
+      // Set B's bars are the lighter of each pair
+      panel.metrics.forEach((metric, i) => {
+        const yScale = panel.yScales[i];
+        const zero = yScale(0);
+        sets.forEach((set) => {
+          const y = (d) => yScale(panelValue(panel, valueOf(d, metric, set), i));
+          groups
+            .filter((d) => valueOf(d, metric, set) !== null)
+            .append('rect')
+            .attr('class', set === 'B' ? 'bar bar-comparison' : 'bar')
+            .attr('x', x1Scale(barKey(metric, set)))
+            .attr('y', (d) => Math.min(zero, y(d)))
+            .attr('width', x1Scale.bandwidth())
+            .attr('height', (d) => Math.abs(zero - y(d)))
+            .attr('fill', metric.color)
+            .attr('stroke', metric.color);
+        });
       });
 
-    // Axes
-    const xAxis = d3.axisBottom(x0Scale);
-    const yAxis = d3.axisLeft(yScale).ticks(8);
+      panelGroup
+        .append('g')
+        .attr('class', 'y-axis')
+        .call(
+          d3
+            .axisLeft(panel.yScales[0])
+            .ticks(panel.height < 200 ? 4 : 8)
+            .tickFormat(mode === 'percent' ? (d) => `${d}%` : null)
+        );
+
+      if (mode === 'dual') {
+        panelGroup
+          .append('g')
+          .attr('class', 'y-axis')
+          .attr('transform', `translate(${width},0)`)
+          .call(d3.axisRight(panel.yScales[1]).ticks(8));
+      }
+
+      if (mode === 'zscore') {
+        panelGroup
+          .append('line')
+          .attr('class', 'zero-line')
+          .attr('x1', 0)
+          .attr('x2', width)
+          .attr('y1', panel.yScales[0](0))
+          .attr('y2', panel.yScales[0](0));
+      }
 
+      if (mode === 'multiples') {
+        panelGroup
+          .append('text')
+          .attr('class', 'panel-label')
+          .attr('x', 4)
+          .attr('y', -6)
+          .text(metricLabel(panel.metrics[0], statistic));
+      }
+    });
+
+    // Type labels sit below the last panel; small groups show their n
+    const counts = new Map(chartData.map((d) => [d.type, d.count]));
     g.append('g')
       .attr('class', 'x-axis')
       .attr('transform', `translate(0,${height})`)
-      .call(xAxis)
+      .call(
+        d3
+          .axisBottom(x0Scale)
+          .tickFormat((type) =>
+            counts.get(type) < SMALL_SAMPLE
+              ? `${type} (n=${counts.get(type)})`
+              : type
+          )
+      )
       .selectAll('text')
       .attr('transform', 'rotate(-45)')
       .style('text-anchor', 'end');
 
-    g.append('g').attr('class', 'y-axis').call(yAxis);
-
     // Axis labels
     g.append('text')
       .attr('class', 'axis-label')
@@ -177,37 +386,87 @@ function TypeSeverityChart({ data }) {
       .attr('text-anchor', 'middle')
       .text('Disaster Type');
 
+    const yLabels = {
+      multiples: `${STATISTIC_LABELS[statistic]} Impact`,
+      dual: metricLabel(METRICS[0], statistic),
+      zscore: 'Z-Score',
+      percent: '% of Highest Type',
+    };
     g.append('text')
       .attr('class', 'axis-label')
       .attr('transform', 'rotate(-90)')
       .attr('x', -height / 2)
       .attr('y', -60)
       .attr('text-anchor', 'middle')
-      .text('Average Impact');
-  }, [data, dimensions]);
+      .text(yLabels[mode]);
+
+    if (mode === 'dual') {
+      g.append('text')
+        .attr('class', 'axis-label')
+        .attr('transform', 'rotate(90)')
+        .attr('x', height / 2)
+        .attr('y', -width - 65)
+        .attr('text-anchor', 'middle')
+        .text(metricLabel(METRICS[1], statistic));
+    }
+  }, [stats, comparison, statistic, mode, order, dimensions, onSelectType]);
 
   return (
     <div className="chart-wrapper">
       <h3 className="chart-title">Severity by Disaster Type</h3>
       <p className="chart-subtitle">
-        Average casualties and economic loss (in millions USD) per event
+        {statistic === 'sum'
+          ? 'Total casualties and economic loss (in millions USD)'
+          : `${STATISTIC_LABELS[statistic]} casualties and economic loss (in millions USD) per event`}
+        , {MODE_DESCRIPTIONS[mode]}
+        {comparison && '; set B is the lighter bar of each pair'} (click a
+        group to filter, shift-click to add)
       </p>
 
+      <div className="controls-inline type-severity-controls">
+        <label htmlFor="type-severity-mode">Display:</label>
+        <select
+          id="type-severity-mode"
+          value={mode}
+          onChange={(e) => setMode(e.target.value)}
+          className="metric-select"
+        >
+          {Object.entries(MODE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <label htmlFor="type-severity-order">Order by:</label>
+        <select
+          id="type-severity-order"
+          value={order}
+          onChange={(e) => setOrder(e.target.value)}
+          className="metric-select"
+        >
+          {Object.entries(ORDER_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
       <div className="legend">
-        <div className="legend-item">
-          <div
-            className="legend-color"
-            style={{ backgroundColor: '#667eea' }}
-          ></div>
-          <span className="legend-label">Avg Casualties</span>
-        </div>
-        <div className="legend-item">
-          <div
-            className="legend-color"
-            style={{ backgroundColor: '#f093fb' }}
-          ></div>
-          <span className="legend-label">Avg Economic Loss ($M)</span>
-        </div>
+        {METRICS.map((metric) => (
+          <div key={metric.key} className="legend-item">
+            <div
+              className="legend-color"
+              style={{ backgroundColor: metric.color }}
+            ></div>
+            <span className="legend-label">{metricLabel(metric, statistic)}</span>
+          </div>
+        ))}
+        {comparison &&
+          FILTER_SETS.map((set) => (
+            <div key={set} className="legend-item legend-set">
+              <div
+                className={`legend-color legend-bar${set === 'B' ? ' legend-bar-comparison' : ''}`}
+              ></div>
+              <span className="legend-label">Set {set}</span>
+            </div>
+          ))}
       </div>
 
       <svg ref={svgRef}></svg>
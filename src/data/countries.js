@@ -0,0 +1,175 @@
+/**
+ * Country reference table, bundled so the dashboard works offline. Regions
+ * follow the UN M49 regions and sub-regions. Population and GDP (current USD)
+ * are rounded 2022 estimates; GDP is null where no reliable figure exists.
+ *
+ * Dataset country names are matched against `name`, the ISO codes and
+ * `aliases` after normalization (see utils/countries.js), so add an alias
+ * here when a country is listed as unmatched. Ambiguous names such as
+ * "Congo" or "Korea" are deliberately left unmatched.
+ */
+
+const COUNTRIES = [
+  // Africa
+  { name: 'Algeria', iso2: 'DZ', iso3: 'DZA', region: 'Africa', subregion: 'Northern Africa', population: 44.9e6, gdp: 195e9 },
+  { name: 'Egypt', iso2: 'EG', iso3: 'EGY', region: 'Africa', subregion: 'Northern Africa', population: 111e6, gdp: 477e9, aliases: ['Egypt, Arab Rep.', 'Arab Republic of Egypt'] },
+  { name: 'Libya', iso2: 'LY', iso3: 'LBY', region: 'Africa', subregion: 'Northern Africa', population: 6.8e6, gdp: 45e9 },
+  { name: 'Morocco', iso2: 'MA', iso3: 'MAR', region: 'Africa', subregion: 'Northern Africa', population: 37.5e6, gdp: 131e9 },
+  { name: 'Sudan', iso2: 'SD', iso3: 'SDN', region: 'Africa', subregion: 'Northern Africa', population: 46.9e6, gdp: 51.7e9 },
+  { name: 'Tunisia', iso2: 'TN', iso3: 'TUN', region: 'Africa', subregion: 'Northern Africa', population: 12.4e6, gdp: 46.7e9 },
+  { name: 'Ethiopia', iso2: 'ET', iso3: 'ETH', region: 'Africa', subregion: 'Eastern Africa', population: 123.4e6, gdp: 126.8e9 },
+  { name: 'Kenya', iso2: 'KE', iso3: 'KEN', region: 'Africa', subregion: 'Eastern Africa', population: 54e6, gdp: 113.4e9 },
+  { name: 'Madagascar', iso2: 'MG', iso3: 'MDG', region: 'Africa', subregion: 'Eastern Africa', population: 29.6e6, gdp: 15e9 },
+  { name: 'Malawi', iso2: 'MW', iso3: 'MWI', region: 'Africa', subregion: 'Eastern Africa', population: 20.4e6, gdp: 13.2e9 },
+  { name: 'Mozambique', iso2: 'MZ', iso3: 'MOZ', region: 'Africa', subregion: 'Eastern Africa', population: 33e6, gdp: 17.9e9 },
+  { name: 'Rwanda', iso2: 'RW', iso3: 'RWA', region: 'Africa', subregion: 'Eastern Africa', population: 13.8e6, gdp: 13.3e9 },
+  { name: 'Somalia', iso2: 'SO', iso3: 'SOM', region: 'Africa', subregion: 'Eastern Africa', population: 17.6e6, gdp: 10.4e9 },
+  { name: 'Tanzania', iso2: 'TZ', iso3: 'TZA', region: 'Africa', subregion: 'Eastern Africa', population: 65.5e6, gdp: 75.7e9, aliases: ['United Republic of Tanzania'] },
+  { name: 'Uganda', iso2: 'UG', iso3: 'UGA', region: 'Africa', subregion: 'Eastern Africa', population: 47.2e6, gdp: 45.6e9 },
+  { name: 'Zambia', iso2: 'ZM', iso3: 'ZMB', region: 'Africa', subregion: 'Eastern Africa', population: 20e6, gdp: 29.8e9 },
+  { name: 'Zimbabwe', iso2: 'ZW', iso3: 'ZWE', region: 'Africa', subregion: 'Eastern Africa', population: 16.3e6, gdp: 32.8e9 },
+  { name: 'Angola', iso2: 'AO', iso3: 'AGO', region: 'Africa', subregion: 'Middle Africa', population: 35.6e6, gdp: 106.8e9 },
+  { name: 'Cameroon', iso2: 'CM', iso3: 'CMR', region: 'Africa', subregion: 'Middle Africa', population: 27.9e6, gdp: 43.6e9 },
+  { name: 'Central African Republic', iso2: 'CF', iso3: 'CAF', region: 'Africa', subregion: 'Middle Africa', population: 5.6e6, gdp: 2.4e9 },
+  { name: 'Chad', iso2: 'TD', iso3: 'TCD', region: 'Africa', subregion: 'Middle Africa', population: 17.7e6, gdp: 12.7e9 },
+  { name: 'Democratic Republic of the Congo', iso2: 'CD', iso3: 'COD', region: 'Africa', subregion: 'Middle Africa', population: 99e6, gdp: 64.7e9, aliases: ['DR Congo', 'DRC', 'Congo, Dem. Rep.', 'Congo (Kinshasa)'] },
+  { name: 'Republic of the Congo', iso2: 'CG', iso3: 'COG', region: 'Africa', subregion: 'Middle Africa', population: 6e6, gdp: 15.8e9, aliases: ['Congo, Rep.', 'Congo (Brazzaville)'] },
+  { name: 'Botswana', iso2: 'BW', iso3: 'BWA', region: 'Africa', subregion: 'Southern Africa', population: 2.6e6, gdp: 20.4e9 },
+  { name: 'Namibia', iso2: 'NA', iso3: 'NAM', region: 'Africa', subregion: 'Southern Africa', population: 2.6e6, gdp: 12.6e9 },
+  { name: 'South Africa', iso2: 'ZA', iso3: 'ZAF', region: 'Africa', subregion: 'Southern Africa', population: 59.9e6, gdp: 405.3e9 },
+  { name: 'Burkina Faso', iso2: 'BF', iso3: 'BFA', region: 'Africa', subregion: 'Western Africa', population: 22.7e6, gdp: 18.9e9 },
+  { name: "Côte d'Ivoire", iso2: 'CI', iso3: 'CIV', region: 'Africa', subregion: 'Western Africa', population: 28.2e6, gdp: 70e9, aliases: ['Ivory Coast'] },
+  { name: 'Ghana', iso2: 'GH', iso3: 'GHA', region: 'Africa', subregion: 'Western Africa', population: 33.5e6, gdp: 72.8e9 },
+  { name: 'Guinea', iso2: 'GN', iso3: 'GIN', region: 'Africa', subregion: 'Western Africa', population: 13.9e6, gdp: 20.6e9 },
+  { name: 'Liberia', iso2: 'LR', iso3: 'LBR', region: 'Africa', subregion: 'Western Africa', population: 5.3e6, gdp: 4e9 },
+  { name: 'Mali', iso2: 'ML', iso3: 'MLI', region: 'Africa', subregion: 'Western Africa', population: 22.6e6, gdp: 18.8e9 },
+  { name: 'Niger', iso2: 'NE', iso3: 'NER', region: 'Africa', subregion: 'Western Africa', population: 26.2e6, gdp: 15.4e9 },
+  { name: 'Nigeria', iso2: 'NG', iso3: 'NGA', region: 'Africa', subregion: 'Western Africa', population: 218.5e6, gdp: 477.4e9 },
+  { name: 'Senegal', iso2: 'SN', iso3: 'SEN', region: 'Africa', subregion: 'Western Africa', population: 17.3e6, gdp: 27.7e9 },
+  { name: 'Sierra Leone', iso2: 'SL', iso3: 'SLE', region: 'Africa', subregion: 'Western Africa', population: 8.6e6, gdp: 4e9 },
+
+  // Americas
+  { name: 'Canada', iso2: 'CA', iso3: 'CAN', region: 'Americas', subregion: 'Northern America', population: 38.9e6, gdp: 2140e9 },
+  { name: 'United States', iso2: 'US', iso3: 'USA', region: 'Americas', subregion: 'Northern America', population: 333.3e6, gdp: 25463e9, aliases: ['United States of America', 'U.S.', 'U.S.A.'] },
+  { name: 'Costa Rica', iso2: 'CR', iso3: 'CRI', region: 'Americas', subregion: 'Central America', population: 5.2e6, gdp: 69.2e9 },
+  { name: 'El Salvador', iso2: 'SV', iso3: 'SLV', region: 'Americas', subregion: 'Central America', population: 6.3e6, gdp: 32.5e9 },
+  { name: 'Guatemala', iso2: 'GT', iso3: 'GTM', region: 'Americas', subregion: 'Central America', population: 17.4e6, gdp: 95e9 },
+  { name: 'Honduras', iso2: 'HN', iso3: 'HND', region: 'Americas', subregion: 'Central America', population: 10.4e6, gdp: 31.7e9 },
+  { name: 'Mexico', iso2: 'MX', iso3: 'MEX', region: 'Americas', subregion: 'Central America', population: 127.5e6, gdp: 1463e9 },
+  { name: 'Nicaragua', iso2: 'NI', iso3: 'NIC', region: 'Americas', subregion: 'Central America', population: 6.9e6, gdp: 15.7e9 },
+  { name: 'Panama', iso2: 'PA', iso3: 'PAN', region: 'Americas', subregion: 'Central America', population: 4.4e6, gdp: 76.5e9 },
+  { name: 'Bahamas', iso2: 'BS', iso3: 'BHS', region: 'Americas', subregion: 'Caribbean', population: 0.41e6, gdp: 12.9e9, aliases: ['The Bahamas', 'Bahamas, The'] },
+  { name: 'Cuba', iso2: 'CU', iso3: 'CUB', region: 'Americas', subregion: 'Caribbean', population: 11.2e6, gdp: null },
+  { name: 'Dominican Republic', iso2: 'DO', iso3: 'DOM', region: 'Americas', subregion: 'Caribbean', population: 11.2e6, gdp: 113.6e9 },
+  { name: 'Haiti', iso2: 'HT', iso3: 'HTI', region: 'Americas', subregion: 'Caribbean', population: 11.6e6, gdp: 20.3e9 },
+  { name: 'Jamaica', iso2: 'JM', iso3: 'JAM', region: 'Americas', subregion: 'Caribbean', population: 2.8e6, gdp: 17.1e9 },
+  { name: 'Puerto Rico', iso2: 'PR', iso3: 'PRI', region: 'Americas', subregion: 'Caribbean', population: 3.2e6, gdp: 113.4e9 },
+  { name: 'Trinidad and Tobago', iso2: 'TT', iso3: 'TTO', region: 'Americas', subregion: 'Caribbean', population: 1.5e6, gdp: 28e9 },
+  { name: 'Argentina', iso2: 'AR', iso3: 'ARG', region: 'Americas', subregion: 'South America', population: 46.2e6, gdp: 632.8e9 },
+  { name: 'Bolivia', iso2: 'BO', iso3: 'BOL', region: 'Americas', subregion: 'South America', population: 12.2e6, gdp: 44e9, aliases: ['Plurinational State of Bolivia'] },
+  { name: 'Brazil', iso2: 'BR', iso3: 'BRA', region: 'Americas', subregion: 'South America', population: 215.3e6, gdp: 1920e9 },
+  { name: 'Chile', iso2: 'CL', iso3: 'CHL', region: 'Americas', subregion: 'South America', population: 19.6e6, gdp: 301e9 },
+  { name: 'Colombia', iso2: 'CO', iso3: 'COL', region: 'Americas', subregion: 'South America', population: 51.9e6, gdp: 343.9e9 },
+  { name: 'Ecuador', iso2: 'EC', iso3: 'ECU', region: 'Americas', subregion: 'South America', population: 18e6, gdp: 115e9 },
+  { name: 'Paraguay', iso2: 'PY', iso3: 'PRY', region: 'Americas', subregion: 'South America', population: 6.8e6, gdp: 41.7e9 },
+  { name: 'Peru', iso2: 'PE', iso3: 'PER', region: 'Americas', subregion: 'South America', population: 34e6, gdp: 242.6e9 },
+  { name: 'Uruguay', iso2: 'UY', iso3: 'URY', region: 'Americas', subregion: 'South America', population: 3.4e6, gdp: 71.2e9 },
+  { name: 'Venezuela', iso2: 'VE', iso3: 'VEN', region: 'Americas', subregion: 'South America', population: 28.3e6, gdp: null, aliases: ['Venezuela, RB', 'Bolivarian Republic of Venezuela'] },
+
+  // Asia
+  { name: 'China', iso2: 'CN', iso3: 'CHN', region: 'Asia', subregion: 'Eastern Asia', population: 1412.2e6, gdp: 17963e9, aliases: ["People's Republic of China", 'PRC'] },
+  { name: 'Japan', iso2: 'JP', iso3: 'JPN', region: 'Asia', subregion: 'Eastern Asia', population: 125.1e6, gdp: 4231e9 },
+  { name: 'Mongolia', iso2: 'MN', iso3: 'MNG', region: 'Asia', subregion: 'Eastern Asia', population: 3.4e6, gdp: 17.1e9 },
+  { name: 'North Korea', iso2: 'KP', iso3: 'PRK', region: 'Asia', subregion: 'Eastern Asia', population: 26.1e6, gdp: null, aliases: ['DPRK', "Democratic People's Republic of Korea", "Korea, Dem. People's Rep."] },
+  { name: 'South Korea', iso2: 'KR', iso3: 'KOR', region: 'Asia', subregion: 'Eastern Asia', population: 51.6e6, gdp: 1674e9, aliases: ['Republic of Korea', 'Korea, Rep.'] },
+  { name: 'Taiwan', iso2: 'TW', iso3: 'TWN', region: 'Asia', subregion: 'Eastern Asia', population: 23.9e6, gdp: 761e9 },
+  { name: 'Cambodia', iso2: 'KH', iso3: 'KHM', region: 'Asia', subregion: 'South-eastern Asia', population: 16.8e6, gdp: 30e9 },
+  { name: 'Indonesia', iso2: 'ID', iso3: 'IDN', region: 'Asia', subregion: 'South-eastern Asia', population: 275.5e6, gdp: 1319e9 },
+  { name: 'Laos', iso2: 'LA', iso3: 'LAO', region: 'Asia', subregion: 'South-eastern Asia', population: 7.5e6, gdp: 15.5e9, aliases: ['Lao PDR', "Lao People's Democratic Republic"] },
+  { name: 'Malaysia', iso2: 'MY', iso3: 'MYS', region: 'Asia', subregion: 'South-eastern Asia', population: 33.9e6, gdp: 407e9 },
+  { name: 'Myanmar', iso2: 'MM', iso3: 'MMR', region: 'Asia', subregion: 'South-eastern Asia', population: 54.2e6, gdp: 59.4e9, aliases: ['Burma'] },
+  { name: 'Philippines', iso2: 'PH', iso3: 'PHL', region: 'Asia', subregion: 'South-eastern Asia', population: 115.6e6, gdp: 404.3e9, aliases: ['The Philippines'] },
+  { name: 'Singapore', iso2: 'SG', iso3: 'SGP', region: 'Asia', subregion: 'South-eastern Asia', population: 5.6e6, gdp: 466.8e9 },
+  { name: 'Thailand', iso2: 'TH', iso3: 'THA', region: 'Asia', subregion: 'South-eastern Asia', population: 71.7e6, gdp: 495.3e9 },
+  { name: 'Timor-Leste', iso2: 'TL', iso3: 'TLS', region: 'Asia', subregion: 'South-eastern Asia', population: 1.3e6, gdp: 3.2e9, aliases: ['East Timor'] },
+  { name: 'Vietnam', iso2: 'VN', iso3: 'VNM', region: 'Asia', subregion: 'South-eastern Asia', population: 98.2e6, gdp: 408.8e9, aliases: ['Viet Nam'] },
+  { name: 'Afghanistan', iso2: 'AF', iso3: 'AFG', region: 'Asia', subregion: 'Southern Asia', population: 41.1e6, gdp: 14.6e9 },
+  { name: 'Bangladesh', iso2: 'BD', iso3: 'BGD', region: 'Asia', subregion: 'Southern Asia', population: 171.2e6, gdp: 460.2e9 },
+  { name: 'Bhutan', iso2: 'BT', iso3: 'BTN', region: 'Asia', subregion: 'Southern Asia', population: 0.78e6, gdp: 2.9e9 },
+  { name: 'India', iso2: 'IN', iso3: 'IND', region: 'Asia', subregion: 'Southern Asia', population: 1417.2e6, gdp: 3385e9 },
+  { name: 'Iran', iso2: 'IR', iso3: 'IRN', region: 'Asia', subregion: 'Southern Asia', population: 88.6e6, gdp: 413.5e9, aliases: ['Iran, Islamic Rep.', 'Islamic Republic of Iran'] },
+  { name: 'Maldives', iso2: 'MV', iso3: 'MDV', region: 'Asia', subregion: 'Southern Asia', population: 0.52e6, gdp: 6.2e9 },
+  { name: 'Nepal', iso2: 'NP', iso3: 'NPL', region: 'Asia', subregion: 'Southern Asia', population: 30.5e6, gdp: 40.8e9 },
+  { name: 'Pakistan', iso2: 'PK', iso3: 'PAK', region: 'Asia', subregion: 'Southern Asia', population: 235.8e6, gdp: 376.5e9 },
+  { name: 'Sri Lanka', iso2: 'LK', iso3: 'LKA', region: 'Asia', subregion: 'Southern Asia', population: 22.2e6, gdp: 74.4e9 },
+  { name: 'Kazakhstan', iso2: 'KZ', iso3: 'KAZ', region: 'Asia', subregion: 'Central Asia', population: 19.6e6, gdp: 225.5e9 },
+  { name: 'Kyrgyzstan', iso2: 'KG', iso3: 'KGZ', region: 'Asia', subregion: 'Central Asia', population: 7e6, gdp: 10.9e9, aliases: ['Kyrgyz Republic'] },
+  { name: 'Tajikistan', iso2: 'TJ', iso3: 'TJK', region: 'Asia', subregion: 'Central Asia', population: 10e6, gdp: 10.5e9 },
+  { name: 'Uzbekistan', iso2: 'UZ', iso3: 'UZB', region: 'Asia', subregion: 'Central Asia', population: 35.6e6, gdp: 80.4e9 },
+  { name: 'Armenia', iso2: 'AM', iso3: 'ARM', region: 'Asia', subregion: 'Western Asia', population: 2.8e6, gdp: 19.5e9 },
+  { name: 'Azerbaijan', iso2: 'AZ', iso3: 'AZE', region: 'Asia', subregion: 'Western Asia', population: 10.1e6, gdp: 78.7e9 },
+  { name: 'Georgia', iso2: 'GE', iso3: 'GEO', region: 'Asia', subregion: 'Western Asia', population: 3.7e6, gdp: 24.6e9 },
+  { name: 'Iraq', iso2: 'IQ', iso3: 'IRQ', region: 'Asia', subregion: 'Western Asia', population: 44.5e6, gdp: 264.2e9 },
+  { name: 'Israel', iso2: 'IL', iso3: 'ISR', region: 'Asia', subregion: 'Western Asia', population: 9.6e6, gdp: 522e9 },
+  { name: 'Jordan', iso2: 'JO', iso3: 'JOR', region: 'Asia', subregion: 'Western Asia', population: 11.3e6, gdp: 47.5e9 },
+  { name: 'Kuwait', iso2: 'KW', iso3: 'KWT', region: 'Asia', subregion: 'Western Asia', population: 4.3e6, gdp: 175e9 },
+  { name: 'Lebanon', iso2: 'LB', iso3: 'LBN', region: 'Asia', subregion: 'Western Asia', population: 5.5e6, gdp: 21.8e9 },
+  { name: 'Oman', iso2: 'OM', iso3: 'OMN', region: 'Asia', subregion: 'Western Asia', population: 4.6e6, gdp: 114.7e9 },
+  { name: 'Qatar', iso2: 'QA', iso3: 'QAT', region: 'Asia', subregion: 'Western Asia', population: 2.7e6, gdp: 236.3e9 },
+  { name: 'Saudi Arabia', iso2: 'SA', iso3: 'SAU', region: 'Asia', subregion: 'Western Asia', population: 36.4e6, gdp: 1108e9 },
+  { name: 'Syria', iso2: 'SY', iso3: 'SYR', region: 'Asia', subregion: 'Western Asia', population: 22.1e6, gdp: null, aliases: ['Syrian Arab Republic'] },
+  { name: 'Turkey', iso2: 'TR', iso3: 'TUR', region: 'Asia', subregion: 'Western Asia', population: 85.3e6, gdp: 907.1e9, aliases: ['Türkiye'] },
+  { name: 'United Arab Emirates', iso2: 'AE', iso3: 'ARE', region: 'Asia', subregion: 'Western Asia', population: 9.4e6, gdp: 507.1e9, aliases: ['UAE'] },
+  { name: 'Yemen', iso2: 'YE', iso3: 'YEM', region: 'Asia', subregion: 'Western Asia', population: 33.7e6, gdp: null, aliases: ['Yemen, Rep.'] },
+
+  // Europe
+  { name: 'Belarus', iso2: 'BY', iso3: 'BLR', region: 'Europe', subregion: 'Eastern Europe', population: 9.2e6, gdp: 72.8e9 },
+  { name: 'Bulgaria', iso2: 'BG', iso3: 'BGR', region: 'Europe', subregion: 'Eastern Europe', population: 6.5e6, gdp: 89e9 },
+  { name: 'Czechia', iso2: 'CZ', iso3: 'CZE', region: 'Europe', subregion: 'Eastern Europe', population: 10.7e6, gdp: 290.9e9, aliases: ['Czech Republic'] },
+  { name: 'Hungary', iso2: 'HU', iso3: 'HUN', region: 'Europe', subregion: 'Eastern Europe', population: 9.6e6, gdp: 177.3e9 },
+  { name: 'Moldova', iso2: 'MD', iso3: 'MDA', region: 'Europe', subregion: 'Eastern Europe', population: 2.5e6, gdp: 14.5e9, aliases: ['Republic of Moldova'] },
+  { name: 'Poland', iso2: 'PL', iso3: 'POL', region: 'Europe', subregion: 'Eastern Europe', population: 36.8e6, gdp: 688.2e9 },
+  { name: 'Romania', iso2: 'RO', iso3: 'ROU', region: 'Europe', subregion: 'Eastern Europe', population: 19e6, gdp: 301.3e9 },
+  { name: 'Russia', iso2: 'RU', iso3: 'RUS', region: 'Europe', subregion: 'Eastern Europe', population: 144.2e6, gdp: 2240e9, aliases: ['Russian Federation'] },
+  { name: 'Slovakia', iso2: 'SK', iso3: 'SVK', region: 'Europe', subregion: 'Eastern Europe', population: 5.4e6, gdp: 115.5e9, aliases: ['Slovak Republic'] },
+  { name: 'Ukraine', iso2: 'UA', iso3: 'UKR', region: 'Europe', subregion: 'Eastern Europe', population: 38e6, gdp: 160.5e9 },
+  { name: 'Denmark', iso2: 'DK', iso3: 'DNK', region: 'Europe', subregion: 'Northern Europe', population: 5.9e6, gdp: 395.4e9 },
+  { name: 'Estonia', iso2: 'EE', iso3: 'EST', region: 'Europe', subregion: 'Northern Europe', population: 1.3e6, gdp: 38.1e9 },
+  { name: 'Finland', iso2: 'FI', iso3: 'FIN', region: 'Europe', subregion: 'Northern Europe', population: 5.6e6, gdp: 282.9e9 },
+  { name: 'Iceland', iso2: 'IS', iso3: 'ISL', region: 'Europe', subregion: 'Northern Europe', population: 0.38e6, gdp: 27.8e9 },
+  { name: 'Ireland', iso2: 'IE', iso3: 'IRL', region: 'Europe', subregion: 'Northern Europe', population: 5.1e6, gdp: 533e9 },
+  { name: 'Latvia', iso2: 'LV', iso3: 'LVA', region: 'Europe', subregion: 'Northern Europe', population: 1.9e6, gdp: 41.2e9 },
+  { name: 'Lithuania', iso2: 'LT', iso3: 'LTU', region: 'Europe', subregion: 'Northern Europe', population: 2.8e6, gdp: 70.3e9 },
+  { name: 'Norway', iso2: 'NO', iso3: 'NOR', region: 'Europe', subregion: 'Northern Europe', population: 5.5e6, gdp: 579.3e9 },
+  { name: 'Sweden', iso2: 'SE', iso3: 'SWE', region: 'Europe', subregion: 'Northern Europe', population: 10.5e6, gdp: 585.9e9 },
+  { name: 'United Kingdom', iso2: 'GB', iso3: 'GBR', region: 'Europe', subregion: 'Northern Europe', population: 67e6, gdp: 3071e9, aliases: ['UK', 'U.K.', 'Great Britain', 'Britain'] },
+  { name: 'Albania', iso2: 'AL', iso3: 'ALB', region: 'Europe', subregion: 'Southern Europe', population: 2.8e6, gdp: 18.9e9 },
+  { name: 'Bosnia and Herzegovina', iso2: 'BA', iso3: 'BIH', region: 'Europe', subregion: 'Southern Europe', population: 3.2e6, gdp: 24.5e9 },
+  { name: 'Croatia', iso2: 'HR', iso3: 'HRV', region: 'Europe', subregion: 'Southern Europe', population: 3.9e6, gdp: 71.6e9 },
+  { name: 'Greece', iso2: 'GR', iso3: 'GRC', region: 'Europe', subregion: 'Southern Europe', population: 10.4e6, gdp: 219.1e9 },
+  { name: 'Italy', iso2: 'IT', iso3: 'ITA', region: 'Europe', subregion: 'Southern Europe', population: 58.9e6, gdp: 2050e9 },
+  { name: 'Montenegro', iso2: 'ME', iso3: 'MNE', region: 'Europe', subregion: 'Southern Europe', population: 0.62e6, gdp: 6.1e9 },
+  { name: 'North Macedonia', iso2: 'MK', iso3: 'MKD', region: 'Europe', subregion: 'Southern Europe', population: 2.1e6, gdp: 13.6e9, aliases: ['Macedonia'] },
+  { name: 'Portugal', iso2: 'PT', iso3: 'PRT', region: 'Europe', subregion: 'Southern Europe', population: 10.4e6, gdp: 255.2e9 },
+  { name: 'Serbia', iso2: 'RS', iso3: 'SRB', region: 'Europe', subregion: 'Southern Europe', population: 6.7e6, gdp: 63.6e9 },
+  { name: 'Slovenia', iso2: 'SI', iso3: 'SVN', region: 'Europe', subregion: 'Southern Europe', population: 2.1e6, gdp: 60.1e9 },
+  { name: 'Spain', iso2: 'ES', iso3: 'ESP', region: 'Europe', subregion: 'Southern Europe', population: 47.8e6, gdp: 1418e9 },
+  { name: 'Austria', iso2: 'AT', iso3: 'AUT', region: 'Europe', subregion: 'Western Europe', population: 9e6, gdp: 471e9 },
+  { name: 'Belgium', iso2: 'BE', iso3: 'BEL', region: 'Europe', subregion: 'Western Europe', population: 11.7e6, gdp: 583e9 },
+  { name: 'France', iso2: 'FR', iso3: 'FRA', region: 'Europe', subregion: 'Western Europe', population: 67.9e6, gdp: 2780e9 },
+  { name: 'Germany', iso2: 'DE', iso3: 'DEU', region: 'Europe', subregion: 'Western Europe', population: 83.8e6, gdp: 4082e9 },
+  { name: 'Netherlands', iso2: 'NL', iso3: 'NLD', region: 'Europe', subregion: 'Western Europe', population: 17.7e6, gdp: 1009e9, aliases: ['The Netherlands', 'Holland'] },
+  { name: 'Switzerland', iso2: 'CH', iso3: 'CHE', region: 'Europe', subregion: 'Western Europe', population: 8.8e6, gdp: 818e9 },
+
+  // Oceania
+  { name: 'Australia', iso2: 'AU', iso3: 'AUS', region: 'Oceania', subregion: 'Australia and New Zealand', population: 26e6, gdp: 1693e9 },
+  { name: 'New Zealand', iso2: 'NZ', iso3: 'NZL', region: 'Oceania', subregion: 'Australia and New Zealand', population: 5.1e6, gdp: 247.2e9 },
+  { name: 'Fiji', iso2: 'FJ', iso3: 'FJI', region: 'Oceania', subregion: 'Melanesia', population: 0.93e6, gdp: 5e9 },
+  { name: 'Papua New Guinea', iso2: 'PG', iso3: 'PNG', region: 'Oceania', subregion: 'Melanesia', population: 10.1e6, gdp: 31.4e9 },
+  { name: 'Solomon Islands', iso2: 'SB', iso3: 'SLB', region: 'Oceania', subregion: 'Melanesia', population: 0.72e6, gdp: 1.6e9 },
+  { name: 'Vanuatu', iso2: 'VU', iso3: 'VUT', region: 'Oceania', subregion: 'Melanesia', population: 0.33e6, gdp: 1e9 },
+  { name: 'Samoa', iso2: 'WS', iso3: 'WSM', region: 'Oceania', subregion: 'Polynesia', population: 0.22e6, gdp: 0.83e9 },
+  { name: 'Tonga', iso2: 'TO', iso3: 'TON', region: 'Oceania', subregion: 'Polynesia', population: 0.11e6, gdp: 0.5e9 },
+];
+
+export default COUNTRIES;
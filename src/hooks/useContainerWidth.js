@@ -0,0 +1,27 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Custom hook for the width of the element holding a chart's svg, kept up to
+ * date as its panel is resized, not only when the window is
+ * @param {Object} ref - ref to the svg (or other node) inside the container
+ * @param {number} initial - width used before the container is measured
+ * @returns {number} width in pixels
+ */
+function useContainerWidth(ref, initial) {
+  const [width, setWidth] = useState(initial);
+
+  useEffect(() => {
+    const container = ref.current && ref.current.parentElement;
+    if (!container) return;
+
+    const updateWidth = () => setWidth(container.clientWidth);
+    updateWidth();
+    const observer = new ResizeObserver(updateWidth);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [ref]);
+
+  return width;
+}
+
+export default useContainerWidth;
@@ -0,0 +1,57 @@
+import { useState, useEffect, useRef } from 'react';
+import { aggregateAll } from '../utils/aggregations';
+import { requestWorker } from '../workers/disasterDataClient';
+
+const EMPTY_RESULT = {
+  baseFilteredData: [],
+  filteredData: [],
+  aggregates: aggregateAll([], [])
+};
+
+/**
+ * Custom hook to filter and aggregate the dataset in the data worker
+ * @param {Object[]} data - the dataset currently held by the worker
+ * @param {Object|null} filters - global filter state, as taken by
+ *   filterIndices and aggregateAll (including which aggregates to compute);
+ *   null skips the query and gives an empty result
+ * @returns {Object} { baseFilteredData, filteredData, aggregates, error };
+ *   after a failed query the last result is kept and error holds the message
+ */
+function useFilteredData(data, filters) {
+  const [result, setResult] = useState(EMPTY_RESULT);
+  const [error, setError] = useState(null);
+  const latestRequestRef = useRef(0);
+
+  useEffect(() => {
+    const requestId = ++latestRequestRef.current;
+    if (!filters) {
+      setResult(EMPTY_RESULT);
+      setError(null);
+      return;
+    }
+
+    requestWorker('query', { filters })
+      .then(({ indices, aggregates }) => {
+        // A newer filter state has been requested in the meantime
+        if (requestId !== latestRequestRef.current) return;
+
+        const pick = (index) => Array.from(index, i => data[i]);
+        // Aggregates left out of the query stay empty, so a panel added since
+        // it was sent draws nothing until the next result
+        setResult({
+          baseFilteredData: pick(indices.base),
+          filteredData: pick(indices.filtered),
+          aggregates: { ...EMPTY_RESULT.aggregates, ...aggregates }
+        });
+        setError(null);
+      })
+      .catch((err) => {
+        if (requestId !== latestRequestRef.current) return;
+        setError(err.message);
+      });
+  }, [data, filters]);
+
+  return { ...result, error };
+}
+
+export default useFilteredData;
@@ -0,0 +1,32 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Custom hook for state kept in localStorage, so it outlives the page.
+ * Storage may be unavailable or full; the state then lasts for the session.
+ * @param {string} key - localStorage key
+ * @param {*} initial - value used when nothing usable is stored
+ * @param {Function} [isValid] - whether a stored value can be used
+ * @returns {Array} [value, setValue], as from useState
+ */
+function useStoredState(key, initial, isValid = () => true) {
+  const [value, setValue] = useState(() => {
+    try {
+      const stored = JSON.parse(window.localStorage.getItem(key));
+      return stored !== null && isValid(stored) ? stored : initial;
+    } catch (err) {
+      return initial;
+    }
+  });
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+      // Not saved; the state still lasts for the session
+    }
+  }, [key, value]);
+
+  return [value, setValue];
+}
+
+export default useStoredState;
@@ -0,0 +1,60 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Changes closer together than this (e.g. slider drags) share a history entry
+const HISTORY_COALESCE_MS = 500;
+
+/**
+ * Custom hook to mirror serialized dashboard state in the URL query string
+ * @param {string} query - serialized state for the current render
+ * @param {Function} restore - applies state parsed from a location.search;
+ *   called with true as a second argument for the URL the page opened with
+ * @param {boolean} ready - whether the data needed to validate the URL is loaded
+ */
+function useUrlState(query, restore, ready) {
+  const [restored, setRestored] = useState(false);
+  const restoreRef = useRef(restore);
+  const lastWriteRef = useRef(0);
+
+  restoreRef.current = restore;
+
+  // Restore state from the URL once, as soon as it can be validated
+  useEffect(() => {
+    if (!ready || restored) return;
+    restoreRef.current(window.location.search, true);
+    // Normalizing away invalid values should not add a history entry
+    lastWriteRef.current = Date.now();
+    setRestored(true);
+  }, [ready, restored]);
+
+  // Back/forward navigation steps through previous filter states
+  useEffect(() => {
+    if (!restored) return;
+
+    const handlePopState = () => {
+      restoreRef.current(window.location.search, false);
+      lastWriteRef.current = Date.now();
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [restored]);
+
+  // Write state changes back to the URL
+  useEffect(() => {
+    if (!restored) return;
+
+    const search = query ? `?${query}` : '';
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    const now = Date.now();
+    if (now - lastWriteRef.current < HISTORY_COALESCE_MS) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+    lastWriteRef.current = now;
+  }, [query, restored]);
+}
+
+export default useUrlState;
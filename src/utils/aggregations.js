@@ -0,0 +1,708 @@
+import * as d3 from 'd3';
+import { matchesSelection } from './selection';
+import { countPresent } from './dataQuality';
+import { IMPACT_METRICS, RANKING_COLUMNS } from './dashboardState';
+import { detectAnomalies } from './anomalies';
+import { compileQuery } from './query';
+import { GEO_LEVELS, findCountry, geoPath, levelBelow } from './countries';
+import {
+  bootstrapInterval,
+  boxStats,
+  resolveIntervalMethod,
+  spearman,
+  summarize,
+  survivalCurve,
+  tInterval
+} from './statistics';
+import {
+  DEFAULT_SEVERITY_THRESHOLDS,
+  SEVERITY_BANDS,
+  severityBand,
+  severityWeight
+} from './severity';
+
+// Events whose aid-to-impact ratio falls in this lowest share are flagged
+const UNDERSERVED_QUANTILE = 0.1;
+const UNDERSERVED_EXAMPLES = 5;
+const EFFICIENCY_BINS = 20;
+// Survival curves for more groups than this become unreadable
+const MAX_RECOVERY_CURVES = 6;
+
+/**
+ * Filtering and the per-chart aggregations. These run inside the data
+ * worker, so the dashboard only receives ready-made aggregates plus the
+ * indices of the events that pass the filters.
+ *
+ * Counts, sums and means take an optional weight accessor so they can be
+ * weighted by severity; sample sizes (the ...N fields) are never weighted.
+ * Per-group and headline impact figures use a selectable statistic.
+ */
+
+const UNIT_WEIGHT = () => 1;
+
+// Weighted mean of a column over the events that have a value for it
+function weightedMean(events, column, weight) {
+  let total = 0;
+  let weights = 0;
+  events.forEach((d) => {
+    if (d[column] === null) return;
+    const w = weight(d);
+    total += w * d[column];
+    weights += w;
+  });
+  return weights > 0 ? total / weights : undefined;
+}
+
+const weightedSum = (events, column, weight) =>
+  d3.sum(events, (d) => (d[column] === null ? 0 : weight(d) * d[column]));
+
+// Durations and scores describe single events and do not add up
+const NON_ADDITIVE_COLUMNS = [
+  'severity_index',
+  'response_time_hours',
+  'response_efficiency_score',
+  'recovery_days',
+];
+
+/**
+ * Statistic actually computed for a column: a total of a column that does
+ * not add up falls back to the mean
+ * @param {string} column
+ * @param {string} statistic - one of STATISTICS
+ * @returns {string} one of STATISTICS
+ */
+export function statisticForColumn(column, statistic) {
+  return statistic === 'sum' && NON_ADDITIVE_COLUMNS.includes(column)
+    ? 'mean'
+    : statistic;
+}
+
+// Values of a column, with their weights unless unweighted, skipping
+// events without a value
+function columnValues(events, column, weight) {
+  const values = [];
+  const weights = [];
+  events.forEach((d) => {
+    if (d[column] === null) return;
+    values.push(d[column]);
+    weights.push(weight(d));
+  });
+  return { values, weights: weight === UNIT_WEIGHT ? undefined : weights };
+}
+
+// Chosen statistic of a column over the events that have a value for it
+function columnStatistic(events, column, statistic, weight) {
+  const { values, weights } = columnValues(events, column, weight);
+  return summarize(values, statisticForColumn(column, statistic), weights);
+}
+
+// Confidence interval for columnStatistic
+function columnInterval(events, column, statistic, method, weight) {
+  const { values, weights } = columnValues(events, column, weight);
+  const columnStat = statisticForColumn(column, statistic);
+  return resolveIntervalMethod(method, columnStat) === 't'
+    ? tInterval(values, weights)
+    : bootstrapInterval(values, columnStat, weights);
+}
+
+/**
+ * Indices of the events passing each stage of the global filters
+ * @param {Object[]} data - parsed events
+ * @param {Object} filters - { dateRange, selectedTypes, selectedCountries,
+ *   selectedBands, severityThresholds, scatterBrush, filterQuery }
+ * @returns {Object} { timeline, base, filtered } index arrays
+ */
+export function filterIndices(data, filters) {
+  const {
+    dateRange,
+    selectedTypes,
+    selectedCountries,
+    selectedBands,
+    severityThresholds,
+    scatterBrush,
+    filterQuery,
+  } = filters;
+  // A query that does not parse is never applied, so it filters nothing
+  const matchesQuery = compileQuery(filterQuery || '');
+  const timeline = [];
+  const base = [];
+  const filtered = [];
+
+  data.forEach((d, i) => {
+    // The timeline ignores the date range so the brushed range stays in context
+    if (
+      (matchesQuery && !matchesQuery(d)) ||
+      !matchesSelection(selectedTypes, d.disaster_type) ||
+      !matchesSelection(selectedCountries, d.country) ||
+      // Events without a severity fall in no band
+      !matchesSelection(
+        selectedBands,
+        severityBand(d.severity_index, severityThresholds)
+      )
+    ) {
+      return;
+    }
+    timeline.push(i);
+
+    if (d.date < dateRange[0] || d.date >= dateRange[1]) return;
+    // The scatter plot ignores its own brush for the same reason
+    base.push(i);
+
+    if (scatterBrush) {
+      const { xRange, yMetric, yRange } = scatterBrush;
+      // Events missing either value are not plotted, so they cannot be brushed
+      if (
+        d.response_time_hours === null ||
+        d[yMetric] === null ||
+        d.response_time_hours < xRange[0] ||
+        d.response_time_hours > xRange[1] ||
+        d[yMetric] < yRange[0] ||
+        d[yMetric] > yRange[1]
+      ) {
+        return;
+      }
+    }
+    filtered.push(i);
+  });
+
+  return {
+    timeline: Uint32Array.from(timeline),
+    base: Uint32Array.from(base),
+    filtered: Uint32Array.from(filtered),
+  };
+}
+
+/**
+ * Event counts per month
+ * @param {Object[]} events
+ * @param {Function} [weight] - per-event weight
+ * @returns {Map} month start timestamp -> count
+ */
+export function countByMonth(events, weight = UNIT_WEIGHT) {
+  return d3.rollup(
+    events,
+    (v) => d3.sum(v, weight),
+    (d) => +d3.timeMonth.floor(d.date)
+  );
+}
+
+/**
+ * Event counts per year and disaster type, shaped for d3.stack
+ * @param {Object[]} events
+ * @param {Function} [weight] - per-event weight
+ * @returns {Object} { years, types, rows } where each row is { year, [type]: count }
+ */
+export function aggregateByYearType(events, weight = UNIT_WEIGHT) {
+  const nested = d3.rollup(
+    events,
+    (v) => d3.sum(v, weight),
+    (d) => d.year,
+    (d) => d.disaster_type
+  );
+
+  const years = Array.from(new Set(events.map((d) => d.year))).sort();
+  const types = Array.from(new Set(events.map((d) => d.disaster_type))).sort();
+
+  const rows = years.map((year) => {
+    const obj = { year };
+    types.forEach((type) => {
+      obj[type] = nested.get(year)?.get(type) || 0;
+    });
+    return obj;
+  });
+
+  return { years, types, rows };
+}
+
+/**
+ * Event counts per month and disaster type over a date range, including the
+ * months without events, for the trend and forecast views
+ * @param {Object[]} events
+ * @param {Date[]} dateRange - month-aligned [start, end)
+ * @param {Function} [weight] - per-event weight
+ * @returns {Object} { months (start timestamps), types, series: { [type]: counts } }
+ */
+export function aggregateMonthlyByType(events, dateRange, weight = UNIT_WEIGHT) {
+  const months = dateRange
+    ? d3.timeMonth.range(dateRange[0], dateRange[1]).map(Number)
+    : [];
+  const position = new Map(months.map((month, i) => [month, i]));
+  const series = {};
+  events.forEach((d) => {
+    const i = position.get(+d3.timeMonth.floor(d.date));
+    if (i === undefined) return;
+    if (!series[d.disaster_type]) {
+      series[d.disaster_type] = new Array(months.length).fill(0);
+    }
+    series[d.disaster_type][i] += weight(d);
+  });
+  return { months, types: Object.keys(series).sort(), series };
+}
+
+/**
+ * Impact per disaster type
+ * @param {Object[]} events
+ * @param {string} [statistic] - one of STATISTICS
+ * @param {Function} [weight] - per-event weight
+ * @returns {Object[]} { type, casualties, economicLoss, casualtiesN, economicLossN, count }
+ */
+export function aggregateByType(events, statistic = 'mean', weight = UNIT_WEIGHT) {
+  return Array.from(
+    d3.rollup(
+      events,
+      (v) => ({
+        casualties: columnStatistic(v, 'casualties', statistic, weight),
+        economicLoss: columnStatistic(v, 'economic_loss_usd', statistic, weight),
+        casualtiesN: countPresent(v, 'casualties'),
+        economicLossN: countPresent(v, 'economic_loss_usd'),
+        count: v.length,
+      }),
+      (d) => d.disaster_type
+    ),
+    ([type, values]) => ({ type, ...values })
+  );
+}
+
+/**
+ * Response time and impact per place at one level of the geographic
+ * hierarchy, with a confidence interval for the metric the places are
+ * ranked by. Population and GDP come from the reference table, summed over
+ * a region's countries that have a figure.
+ * @param {Object[]} events
+ * @param {Object} [grouping] - { level (one of GEO_LEVELS), path (region and
+ *   sub-region to stay within) }
+ * @param {string} [statistic] - one of STATISTICS
+ * @param {Function} [weight] - per-event weight
+ * @param {Object} [ranking] - { metric (one of RANKING_METRICS), interval
+ *   ('none', 't' or 'bootstrap') }
+ * @returns {Object[]} { name, level, path, countries (number with events),
+ *   responseTime, casualties, economicLoss, ...N, count, interval ([low, high]
+ *   or null), population, gdp, and the relative impact from
+ *   computeRelativeImpact }
+ */
+export function aggregateByPlace(
+  events,
+  { level = 'country', path = [] } = {},
+  statistic = 'mean',
+  weight = UNIT_WEIGHT,
+  ranking = { metric: 'response_time_hours', interval: 'none' }
+) {
+  const depth = GEO_LEVELS.indexOf(level);
+  // Events are grouped by country first so each name is looked up once
+  const places = new Map();
+  d3.group(events, (d) => d.country).forEach((v, country) => {
+    const geo = geoPath(country);
+    if (path.some((name, i) => geo[i] !== name)) return;
+    const place = geo[depth];
+    if (!places.has(place)) {
+      places.set(place, { path: geo.slice(0, depth + 1), countries: [], events: [] });
+    }
+    const entry = places.get(place);
+    entry.countries.push(country);
+    v.forEach((d) => entry.events.push(d));
+  });
+
+  return Array.from(places, ([name, entry]) => {
+    const v = entry.events;
+    const references = entry.countries.map(findCountry).filter(Boolean);
+    return {
+      name,
+      level,
+      path: entry.path,
+      countries: entry.countries.length,
+      responseTime: columnStatistic(v, 'response_time_hours', statistic, weight),
+      casualties: columnStatistic(v, 'casualties', statistic, weight),
+      economicLoss: columnStatistic(v, 'economic_loss_usd', statistic, weight),
+      responseTimeN: countPresent(v, 'response_time_hours'),
+      casualtiesN: countPresent(v, 'casualties'),
+      economicLossN: countPresent(v, 'economic_loss_usd'),
+      count: v.length,
+      interval:
+        ranking.interval === 'none'
+          ? null
+          : placeInterval(v, ranking, statistic, weight),
+      population: d3.sum(references, (c) => c.population) || null,
+      gdp: d3.sum(references, (c) => c.gdp) || null,
+      ...computeRelativeImpact(v, weight),
+    };
+  });
+}
+
+// Rankings of impact relative to country size: the reference figure each
+// divides by, and the scale of the result
+const RELATIVE_RANKINGS = {
+  casualties_per_million: { reference: 'population', scale: 1e6 },
+  loss_share_of_gdp: { reference: 'gdp', scale: 100 },
+};
+
+// Confidence interval for the value a place is ranked by. Relative impact
+// divides a total by the size of the countries with a reference figure, so
+// its interval is that of the total over those countries, scaled alike.
+function placeInterval(events, { metric, interval }, statistic, weight) {
+  const column = RANKING_COLUMNS[metric];
+  const relative = RELATIVE_RANKINGS[metric];
+  if (!relative) return columnInterval(events, column, statistic, interval, weight);
+
+  const sizes = new Map();
+  const referenced = events.filter((d) => {
+    const country = findCountry(d.country);
+    if (!country || !country[relative.reference]) return false;
+    sizes.set(d.country, country[relative.reference]);
+    return true;
+  });
+  const size = d3.sum(sizes.values());
+  const total = size ? columnInterval(referenced, column, 'sum', interval, weight) : null;
+  return total && total.map((v) => (v / size) * relative.scale);
+}
+
+/**
+ * Impact relative to the size of the affected countries: casualties per
+ * million people and economic loss as a share of GDP, each over the
+ * countries the reference table has a figure for
+ * @param {Object[]} events
+ * @param {Function} weight - per-event weight
+ * @returns {Object} { casualtiesPerMillion, lossShareOfGdp, populationCountries,
+ *   gdpCountries, unmatchedEvents }
+ */
+function computeRelativeImpact(events, weight) {
+  const byCountry = d3.group(events, (d) => d.country);
+  let casualties = 0;
+  let population = 0;
+  let loss = 0;
+  let gdp = 0;
+  let populationCountries = 0;
+  let gdpCountries = 0;
+  let unmatchedEvents = 0;
+  byCountry.forEach((v, name) => {
+    const country = findCountry(name);
+    if (!country) {
+      unmatchedEvents += v.length;
+      return;
+    }
+    if (country.population) {
+      casualties += weightedSum(v, 'casualties', weight);
+      population += country.population;
+      populationCountries++;
+    }
+    if (country.gdp) {
+      loss += weightedSum(v, 'economic_loss_usd', weight);
+      gdp += country.gdp;
+      gdpCountries++;
+    }
+  });
+  return {
+    casualtiesPerMillion: population ? (casualties / population) * 1e6 : undefined,
+    lossShareOfGdp: gdp ? (loss / gdp) * 100 : undefined,
+    populationCountries,
+    gdpCountries,
+    unmatchedEvents,
+  };
+}
+
+/**
+ * Headline figures for the KPI cards: the event count, the chosen
+ * statistic of each column and the impact relative to country size
+ * @param {Object[]} events
+ * @param {string} [statistic] - one of STATISTICS; totals by default
+ * @param {Function} [weight] - per-event weight
+ * @returns {Object}
+ */
+export function computeKpis(events, statistic = 'sum', weight = UNIT_WEIGHT) {
+  const of = (column) => columnStatistic(events, column, statistic, weight);
+  // Missing values are skipped, so report how many events each KPI uses
+  return {
+    totalEvents: events.length,
+    casualties: of('casualties'),
+    economicLoss: of('economic_loss_usd'),
+    responseTime: of('response_time_hours'),
+    aid: of('aid_amount_usd'),
+    efficiency: of('response_efficiency_score'),
+    casualtiesN: countPresent(events, 'casualties'),
+    economicLossN: countPresent(events, 'economic_loss_usd'),
+    responseTimeN: countPresent(events, 'response_time_hours'),
+    aidN: countPresent(events, 'aid_amount_usd'),
+    efficiencyN: countPresent(events, 'response_efficiency_score'),
+    ...computeRelativeImpact(events, weight),
+  };
+}
+
+/**
+ * Aid and impact summed over the events that report both, so the ratio
+ * compares like with like
+ * @param {Object[]} events
+ * @param {string} metric - impact column
+ * @param {Function} weight - per-event weight
+ * @returns {Object} { aid, impact, n, ratio }
+ */
+function pairedAidTotals(events, metric, weight) {
+  let aid = 0;
+  let impact = 0;
+  let n = 0;
+  events.forEach((d) => {
+    if (d.aid_amount_usd === null || d[metric] === null) return;
+    aid += weight(d) * d.aid_amount_usd;
+    impact += weight(d) * d[metric];
+    n++;
+  });
+  return { aid, impact, n, ratio: impact > 0 ? aid / impact : null };
+}
+
+/**
+ * Aid received against impact per country or disaster type
+ * @param {Object[]} events
+ * @param {string} key - 'country' or 'disaster_type'
+ * @param {Function} [weight] - per-event weight
+ * @returns {Object[]} { group, count, totalAid, aidN, paired: { [metric]: { aid, impact, n, ratio } } }
+ */
+export function aggregateAidByGroup(events, key, weight = UNIT_WEIGHT) {
+  return Array.from(d3.group(events, (d) => d[key]), ([group, v]) => ({
+    group,
+    count: v.length,
+    totalAid: weightedSum(v, 'aid_amount_usd', weight),
+    aidN: countPresent(v, 'aid_amount_usd'),
+    paired: Object.fromEntries(
+      IMPACT_METRICS.map((metric) => [
+        metric,
+        pairedAidTotals(v, metric, weight),
+      ])
+    ),
+  }));
+}
+
+/**
+ * Events that received little aid relative to their impact: those in the
+ * lowest decile of aid per unit of impact
+ * @param {Object[]} events
+ * @param {string} metric - impact column
+ * @returns {Object} { threshold, count, n, flagged (Set), examples }
+ */
+export function findUnderservedEvents(events, metric) {
+  const rated = events
+    .filter((d) => d.aid_amount_usd !== null && d[metric] > 0)
+    .map((d) => ({ d, ratio: d.aid_amount_usd / d[metric] }));
+  if (!rated.length) {
+    return { threshold: null, count: 0, n: 0, flagged: new Set(), examples: [] };
+  }
+
+  const threshold = d3.quantile(rated, UNDERSERVED_QUANTILE, (r) => r.ratio);
+  const flagged = rated.filter((r) => r.ratio <= threshold).map((r) => r.d);
+  return {
+    threshold,
+    count: flagged.length,
+    n: rated.length,
+    flagged: new Set(flagged),
+    // The hardest-hit of them are listed by name
+    examples: flagged
+      .slice()
+      .sort((a, b) => b[metric] - a[metric])
+      .slice(0, UNDERSERVED_EXAMPLES),
+  };
+}
+
+/**
+ * Aid allocation and response efficiency summary for the Aid & Efficiency
+ * chart. Underserved events are classified per event and are not weighted.
+ * @param {Object[]} events
+ * @param {Function} [weight] - per-event weight
+ * @returns {Object} { byCountry, byType, efficiency, underserved }
+ */
+export function aggregateAid(events, weight = UNIT_WEIGHT) {
+  const underserved = Object.fromEntries(
+    IMPACT_METRICS.map((metric) => [metric, findUnderservedEvents(events, metric)])
+  );
+
+  // Histogram of efficiency scores, counting underserved events per bin
+  const scored = events.filter((d) => d.response_efficiency_score !== null);
+  const bins = d3
+    .bin()
+    .value((d) => d.response_efficiency_score)
+    .thresholds(EFFICIENCY_BINS)(scored)
+    .map((bin) => ({
+      x0: bin.x0,
+      x1: bin.x1,
+      count: d3.sum(bin, weight),
+      underserved: Object.fromEntries(
+        IMPACT_METRICS.map((metric) => [
+          metric,
+          d3.sum(
+            bin.filter((d) => underserved[metric].flagged.has(d)),
+            weight
+          ),
+        ])
+      ),
+    }));
+
+  return {
+    byCountry: aggregateAidByGroup(events, 'country', weight),
+    byType: aggregateAidByGroup(events, 'disaster_type', weight),
+    efficiency: {
+      bins,
+      mean: weightedMean(scored, 'response_efficiency_score', weight),
+      n: scored.length,
+    },
+    // The flagged sets are only needed for the histogram counts above
+    underserved: Object.fromEntries(
+      IMPACT_METRICS.map((metric) => {
+        const { flagged, ...summary } = underserved[metric];
+        return [metric, summary];
+      })
+    ),
+  };
+}
+
+/**
+ * Survival curves of recovery time for the largest groups
+ * @param {Object[]} events - events with a recovery time
+ * @param {Function} key - group accessor
+ * @returns {Object[]} { key, n, median, steps }
+ */
+function recoveryCurves(events, key) {
+  return d3
+    .groups(events, key)
+    .sort((a, b) => b[1].length - a[1].length)
+    .slice(0, MAX_RECOVERY_CURVES)
+    .map(([group, v]) => {
+      const days = v.map((d) => d.recovery_days);
+      return {
+        key: group,
+        n: days.length,
+        median: d3.median(days),
+        steps: survivalCurve(days),
+      };
+    });
+}
+
+/**
+ * Recovery time distribution per disaster type, survival curves split by
+ * type, country or response-time quartile, and how response time and
+ * recovery time are related
+ * @param {Object[]} events
+ * @returns {Object} { byType, curves: { disaster_type, country, response }, correlation }
+ */
+export function aggregateRecovery(events) {
+  const recovered = events.filter((d) => d.recovery_days !== null);
+
+  const byType = d3
+    .groups(recovered, (d) => d.disaster_type)
+    .map(([type, v]) => ({
+      type,
+      ...boxStats(v.map((d) => d.recovery_days)),
+    }))
+    .sort((a, b) => b.median - a.median);
+
+  // Response-time quartiles of the events reporting both durations
+  const paired = recovered.filter((d) => d.response_time_hours !== null);
+  const responseTimes = paired.map((d) => d.response_time_hours);
+  const responseBands = paired.length
+    ? [0.25, 0.5, 0.75].map((p) => d3.quantile(responseTimes, p))
+    : [];
+  const bandOf = (d) => d3.bisectLeft(responseBands, d.response_time_hours);
+  const bandLabel = (band) => {
+    const [low, high] = [responseBands[band - 1], responseBands[band]];
+    if (band === 0) return `Fastest 25% (≤ ${high.toFixed(0)}h)`;
+    if (band === responseBands.length) return `Slowest 25% (> ${low.toFixed(0)}h)`;
+    return `${low.toFixed(0)}–${high.toFixed(0)}h`;
+  };
+
+  return {
+    byType,
+    curves: {
+      disaster_type: recoveryCurves(recovered, (d) => d.disaster_type),
+      country: recoveryCurves(recovered, (d) => d.country),
+      // Bands are listed fastest first rather than by size
+      response: recoveryCurves(paired, bandOf)
+        .sort((a, b) => a.key - b.key)
+        .map((curve) => ({ ...curve, key: bandLabel(curve.key) })),
+    },
+    correlation: {
+      rho: spearman(responseTimes, paired.map((d) => d.recovery_days)),
+      n: paired.length,
+    },
+  };
+}
+
+/**
+ * Event counts per disaster type and severity band
+ * @param {Object[]} events
+ * @param {number[]} thresholds - severity band boundaries
+ * @param {Function} [weight] - per-event weight
+ * @returns {Object} { types, bands, cells: [{ type, band, value, count }], unbanded }
+ */
+export function aggregateTypeSeverity(events, thresholds, weight = UNIT_WEIGHT) {
+  const banded = events.filter((d) => d.severity_index !== null);
+  const nested = d3.group(
+    banded,
+    (d) => d.disaster_type,
+    (d) => severityBand(d.severity_index, thresholds)
+  );
+  const types = Array.from(nested.keys()).sort();
+
+  const cells = types.flatMap((type) =>
+    SEVERITY_BANDS.map((band) => {
+      const v = nested.get(type).get(band) || [];
+      return { type, band, value: d3.sum(v, weight), count: v.length };
+    })
+  );
+
+  return {
+    types,
+    bands: SEVERITY_BANDS,
+    cells,
+    unbanded: events.length - banded.length,
+  };
+}
+
+/**
+ * All aggregates the dashboard needs for one filter state. Distributions
+ * (recovery times, underserved deciles, anomalies) describe individual
+ * events and are never weighted.
+ * @param {Object[]} timelineEvents - events passing the type, country and severity filters
+ * @param {Object[]} filteredEvents - events passing every filter
+ * @param {Object} [options] - { severityThresholds, severityWeighted, statistic,
+ *   kpiStatistic, rankingMetric, rankInterval, rankLevel, rankPath, dateRange,
+ *   aggregates }; aggregates lists the keys to compute, all of them if omitted
+ * @returns {Object} { monthly, byYearType, monthlyByType, byType, byPlace, kpis,
+ *   aid, recovery, typeSeverity, anomalies }, or the keys asked for
+ */
+export function aggregateAll(
+  timelineEvents,
+  filteredEvents,
+  {
+    severityThresholds = DEFAULT_SEVERITY_THRESHOLDS,
+    severityWeighted = false,
+    statistic = 'mean',
+    kpiStatistic = 'sum',
+    rankingMetric = 'response_time_hours',
+    rankInterval = 'none',
+    rankLevel = 'country',
+    rankPath = [],
+    dateRange = null,
+    aggregates = null,
+  } = {}
+) {
+  const weight = severityWeighted ? severityWeight : UNIT_WEIGHT;
+  const builders = {
+    monthly: () => countByMonth(timelineEvents, weight),
+    byYearType: () => aggregateByYearType(filteredEvents, weight),
+    monthlyByType: () =>
+      aggregateMonthlyByType(filteredEvents, dateRange, weight),
+    byType: () => aggregateByType(filteredEvents, statistic, weight),
+    byPlace: () =>
+      aggregateByPlace(
+        filteredEvents,
+        { level: levelBelow(rankLevel, rankPath), path: rankPath },
+        statistic,
+        weight,
+        { metric: rankingMetric, interval: rankInterval }
+      ),
+    kpis: () => computeKpis(filteredEvents, kpiStatistic, weight),
+    aid: () => aggregateAid(filteredEvents, weight),
+    recovery: () => aggregateRecovery(filteredEvents),
+    typeSeverity: () =>
+      aggregateTypeSeverity(filteredEvents, severityThresholds, weight),
+    anomalies: () => detectAnomalies(filteredEvents, dateRange),
+  };
+  return Object.fromEntries(
+    (aggregates || Object.keys(builders)).map((key) => [key, builders[key]()])
+  );
+}
@@ -0,0 +1,18 @@
+/**
+ * Numbers typed by the user, as in the event table's column filters and the
+ * filter query bar.
+ */
+
+// Numbers may carry a k, M or B suffix, as in "2.5M"
+const SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Parse a number written with an optional k, M or B suffix
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseAmount(text) {
+  const match = /^(-?\d*\.?\d+)\s*([kmb])?$/i.exec(text.trim());
+  if (!match) return null;
+  return +match[1] * (match[2] ? SUFFIXES[match[2].toLowerCase()] : 1);
+}
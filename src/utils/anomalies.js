@@ -0,0 +1,174 @@
+import * as d3 from 'd3';
+import { fitSeasonalTrend, robustZScores } from './statistics';
+
+/**
+ * Detection of unusual events and months in the filtered data. Events are
+ * judged against others of the same disaster type and country, months
+ * against a seasonal baseline. Both use robust z-scores, so a handful of
+ * extreme values cannot mask each other. Nothing here is weighted.
+ */
+
+export const ANOMALY_COLUMNS = [
+  'casualties',
+  'economic_loss_usd',
+  'response_time_hours',
+];
+
+// Robust z-scores beyond this are flagged (Iglewicz and Hoaglin's cut-off)
+export const ANOMALY_Z = 3.5;
+
+// Type and country pairs with fewer values are judged against the whole type
+const MIN_GROUP_SIZE = 8;
+// Shorter series give no meaningful seasonal baseline
+const MIN_MONTHS = 12;
+
+/**
+ * Robust z-scores of one column within a group of events. Impacts and
+ * durations are heavily skewed, so values are compared on a log scale.
+ * @param {Object[]} entries - { d, position } with a value for the column
+ * @param {string} column
+ * @returns {Object|null} { z (Map of entry -> z-score), baseline (median value) }
+ */
+function scoreGroup(entries, column) {
+  if (entries.length < MIN_GROUP_SIZE) return null;
+  const values = entries.map((e) => e.d[column]);
+  const z = robustZScores(values.map(Math.log1p));
+  return (
+    z && {
+      z: new Map(entries.map((entry, i) => [entry, z[i]])),
+      baseline: d3.median(values),
+    }
+  );
+}
+
+/**
+ * Events with extreme values for their disaster type and country
+ * @param {Object[]} events
+ * @returns {Object[]} { position (in events), score (largest |z|), reasons:
+ *   [{ column, value, baseline, z, scope ('country' or 'type') }] }, most
+ *   extreme first
+ */
+function detectEventAnomalies(events) {
+  const flagged = new Map();
+  const flag = (entry, reason) => {
+    if (!flagged.has(entry.position)) {
+      flagged.set(entry.position, { position: entry.position, score: 0, reasons: [] });
+    }
+    const anomaly = flagged.get(entry.position);
+    anomaly.reasons.push(reason);
+    anomaly.score = Math.max(anomaly.score, Math.abs(reason.z));
+  };
+
+  ANOMALY_COLUMNS.forEach((column) => {
+    const entries = [];
+    events.forEach((d, position) => {
+      if (d[column] !== null) entries.push({ d, position });
+    });
+
+    d3.group(entries, (e) => e.d.disaster_type).forEach((ofType) => {
+      // Scored once per type, for the countries with too few events
+      let typeScores;
+      d3.group(ofType, (e) => e.d.country).forEach((ofCountry) => {
+        let scores = scoreGroup(ofCountry, column);
+        let scope = 'country';
+        if (ofCountry.length < MIN_GROUP_SIZE) {
+          if (typeScores === undefined) typeScores = scoreGroup(ofType, column);
+          scores = typeScores;
+          scope = 'type';
+        }
+        if (!scores) return;
+
+        ofCountry.forEach((entry) => {
+          const z = scores.z.get(entry);
+          if (Math.abs(z) <= ANOMALY_Z) return;
+          flag(entry, {
+            column,
+            value: entry.d[column],
+            baseline: scores.baseline,
+            z,
+            scope,
+          });
+        });
+      });
+    });
+  });
+
+  return Array.from(flagged.values()).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Monthly event counts against a baseline of linear trend plus month-of-year
+ * effects, flagging months far from it
+ * @param {Object[]} events
+ * @param {Date[]} dateRange - month-aligned [start, end)
+ * @returns {Object[]} { month (start timestamp), count, expected, z, flagged },
+ *   empty when the range is too short
+ */
+function detectMonthAnomalies(events, dateRange) {
+  const months = dateRange ? d3.timeMonth.range(dateRange[0], dateRange[1]) : [];
+  if (months.length < MIN_MONTHS) return [];
+
+  const position = new Map(months.map((month, i) => [+month, i]));
+  const counts = new Array(months.length).fill(0);
+  events.forEach((d) => {
+    const i = position.get(+d3.timeMonth.floor(d.date));
+    if (i !== undefined) counts[i]++;
+  });
+
+  const fit = fitSeasonalTrend(counts, months[0].getMonth());
+  if (!fit) return [];
+  const expected = counts.map((count, i) => fit.predict(i).value);
+  const z = robustZScores(counts.map((count, i) => count - expected[i]));
+
+  return months.map((month, i) => ({
+    month: +month,
+    count: counts[i],
+    expected: expected[i],
+    z: z ? z[i] : 0,
+    flagged: z ? Math.abs(z[i]) > ANOMALY_Z : false,
+  }));
+}
+
+/**
+ * Anomalies in the filtered events. Flagged events are referred to by their
+ * position in the events array, since the array itself stays in the worker.
+ * @param {Object[]} events
+ * @param {Date[]} dateRange - month-aligned [start, end)
+ * @returns {Object} { events (most extreme first), months }
+ */
+export function detectAnomalies(events, dateRange) {
+  return {
+    events: detectEventAnomalies(events),
+    months: detectMonthAnomalies(events, dateRange),
+  };
+}
+
+const REASON_FORMATS = {
+  casualties: { label: 'Casualties', format: d3.format(',.0f') },
+  economic_loss_usd: {
+    label: 'Economic loss',
+    format: (v) => `$${d3.format('.3s')(v).replace('G', 'B')}`,
+  },
+  response_time_hours: {
+    label: 'Response time',
+    format: (v) => `${d3.format(',.1f')(v)}h`,
+  },
+};
+
+/**
+ * Sentence explaining why an event was flagged
+ * @param {Object} reason - from detectAnomalies
+ * @param {Object} event - the flagged event
+ * @returns {string} e.g. "Casualties 1,250 far above the median of 40 for
+ *   Flood in India"
+ */
+export function describeAnomalyReason(reason, event) {
+  const { label, format } = REASON_FORMATS[reason.column];
+  const group =
+    reason.scope === 'country'
+      ? `${event.disaster_type} in ${event.country}`
+      : `all ${event.disaster_type} events`;
+  return `${label} ${format(reason.value)} far ${
+    reason.z > 0 ? 'above' : 'below'
+  } the median of ${format(reason.baseline)} for ${group}`;
+}
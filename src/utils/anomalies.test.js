@@ -0,0 +1,110 @@
+import { parseDisasterRow } from './parseDisasters';
+import { describeAnomalyReason, detectAnomalies } from './anomalies';
+import { robustZScores } from './statistics';
+
+// Floods in Chile unless told otherwise, parsed like dataset rows
+const event = (fields) =>
+  parseDisasterRow({
+    date: '2021-01-15',
+    country: 'Chile',
+    disaster_type: 'Flood',
+    ...fields,
+  });
+
+// Ten floods in Chile with ordinary casualty counts
+const ordinary = Array.from({ length: 10 }, (_, i) =>
+  event({ casualties: 10 + i })
+);
+
+describe('robustZScores', () => {
+  it('measures distances from the median in scaled MADs', () => {
+    const z = robustZScores([1, 2, 3, 4, 100]);
+    expect(z[2]).toBe(0);
+    expect(z[4]).toBeGreaterThan(30);
+  });
+
+  it('falls back to the mean absolute deviation when most values tie', () => {
+    const z = robustZScores([5, 5, 5, 5, 9]);
+    expect(z[4]).toBeGreaterThan(0);
+    expect(z[0]).toBe(0);
+  });
+
+  it('gives null when all values are equal', () => {
+    expect(robustZScores([3, 3, 3])).toBeNull();
+  });
+});
+
+describe('detectAnomalies', () => {
+  it('flags an extreme event against its type and country', () => {
+    const events = [...ordinary, event({ casualties: 10000 })];
+    const flagged = detectAnomalies(events, null).events;
+    expect(flagged).toHaveLength(1);
+    expect(flagged[0].position).toBe(10);
+    expect(flagged[0].reasons).toEqual([
+      expect.objectContaining({
+        column: 'casualties',
+        value: 10000,
+        baseline: 15,
+        scope: 'country',
+      }),
+    ]);
+  });
+
+  it('judges countries with few events against the whole type', () => {
+    const events = [...ordinary, event({ country: 'Peru', casualties: 10000 })];
+    const [anomaly] = detectAnomalies(events, null).events;
+    expect(anomaly.position).toBe(10);
+    expect(anomaly.reasons[0].scope).toBe('type');
+  });
+
+  it('ignores missing values and groups too small to judge', () => {
+    const events = [
+      ...ordinary.slice(0, 5),
+      event({ casualties: 10000 }),
+      event({}),
+    ];
+    expect(detectAnomalies(events, null).events).toEqual([]);
+  });
+
+  it('flags months far from the seasonal baseline', () => {
+    const dateRange = [new Date(2019, 0, 1), new Date(2022, 0, 1)];
+    const events = [];
+    for (let i = 0; i < 36; i++) {
+      // A few events a month, with a burst in June 2020
+      const count = i === 17 ? 60 : 5 + ((i * 7) % 5);
+      for (let k = 0; k < count; k++) {
+        events.push(event({ date: new Date(2019, i, 10) }));
+      }
+    }
+    const { months } = detectAnomalies(events, dateRange);
+    expect(months).toHaveLength(36);
+    const burst = months[17];
+    expect(burst.month).toBe(+new Date(2020, 5, 1));
+    expect(burst.count).toBe(60);
+    expect(burst.flagged).toBe(true);
+    expect(Math.max(...months.map((m) => m.z))).toBe(burst.z);
+  });
+
+  it('leaves out monthly anomalies for ranges under a year', () => {
+    const dateRange = [new Date(2021, 0, 1), new Date(2021, 6, 1)];
+    expect(detectAnomalies(ordinary, dateRange).months).toEqual([]);
+  });
+});
+
+describe('describeAnomalyReason', () => {
+  it('names the value, its direction and the group it was judged in', () => {
+    const reason = {
+      column: 'casualties',
+      value: 1250,
+      baseline: 40,
+      z: 5,
+      scope: 'country',
+    };
+    expect(describeAnomalyReason(reason, event({}))).toBe(
+      'Casualties 1,250 far above the median of 40 for Flood in Chile'
+    );
+    expect(
+      describeAnomalyReason({ ...reason, z: -5, scope: 'type' }, event({}))
+    ).toBe('Casualties 1,250 far below the median of 40 for all Flood events');
+  });
+});
@@ -0,0 +1,52 @@
+import { formatRange } from './dateRange';
+import { describeSelection } from './selection';
+import { SEVERITY_BANDS } from './severity';
+
+/**
+ * Comparison mode: a second filter set, B, is aggregated alongside the main
+ * one, A, with the chart options shared between them. Charts that support
+ * it draw B next to A, dashed or lighter; deltas are always B minus A.
+ */
+
+export const FILTER_SETS = ['A', 'B'];
+
+/**
+ * Difference between a value of set A and of set B
+ * @param {number|null} a
+ * @param {number|null} b
+ * @returns {Object|null} { absolute, percent } with percent null when A is
+ *   zero, or null when either value is missing
+ */
+export function computeDelta(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return null;
+  }
+  return {
+    absolute: b - a,
+    percent: a === 0 ? null : ((b - a) / Math.abs(a)) * 100,
+  };
+}
+
+/**
+ * Short description of a filter set for legends and export headers
+ * @param {Object} set - { dateRange, selectedTypes, selectedCountries, selectedBands }
+ * @param {Object} counts - { types, countries } available in the data
+ * @returns {string} e.g. "Jan 2018 – Dec 2020, 2 types"
+ */
+export function describeFilterSet(set, counts) {
+  const parts = [formatRange(set.dateRange)];
+  if (set.selectedTypes !== null) {
+    parts.push(describeSelection(set.selectedTypes, counts.types, 'types'));
+  }
+  if (set.selectedCountries !== null) {
+    parts.push(
+      describeSelection(set.selectedCountries, counts.countries, 'countries')
+    );
+  }
+  if (set.selectedBands !== null) {
+    parts.push(
+      `severity ${describeSelection(set.selectedBands, SEVERITY_BANDS.length, 'bands')}`
+    );
+  }
+  return parts.join(', ');
+}
@@ -0,0 +1,153 @@
+import * as d3 from 'd3';
+import COUNTRIES from '../data/countries';
+
+/**
+ * Matching of dataset country names to the bundled country reference table.
+ * Names are compared case-, accent- and punctuation-insensitively, and may
+ * also be ISO codes or one of a country's aliases.
+ */
+
+/**
+ * Canonical form of a country name for matching
+ * @param {string} name
+ * @returns {string} e.g. "Côte d'Ivoire" -> "cote divoire"
+ */
+export function normalizeCountryName(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^the /, '');
+}
+
+// Built on first use; every name, code and alias points at its country
+let index = null;
+
+function getIndex() {
+  if (!index) {
+    index = new Map();
+    COUNTRIES.forEach((country) => {
+      [country.name, country.iso2, country.iso3, ...(country.aliases || [])]
+        .forEach((key) => index.set(normalizeCountryName(key), country));
+    });
+  }
+  return index;
+}
+
+/**
+ * Reference entry for a dataset country name
+ * @param {string} name - country as written in the dataset
+ * @returns {Object|null} { name, iso2, iso3, region, subregion, population, gdp },
+ *   or null when the name is not in the table
+ */
+export function findCountry(name) {
+  return getIndex().get(normalizeCountryName(name)) || null;
+}
+
+/**
+ * Dataset country names the reference table does not cover
+ * @param {string[]} names
+ * @returns {string[]}
+ */
+export function findUnmatchedCountries(names) {
+  return names.filter((name) => !findCountry(name));
+}
+
+// Levels of the geographic hierarchy, from the top: M49 region (continent),
+// sub-region and country
+export const GEO_LEVELS = ['region', 'subregion', 'country'];
+
+// Region and sub-region of the countries missing from the reference table
+export const UNKNOWN_PLACE = 'Other';
+
+/**
+ * Region, sub-region and name of a dataset country
+ * @param {string} name - country as written in the dataset
+ * @returns {string[]} [region, subregion, country]
+ */
+export function geoPath(name) {
+  const country = findCountry(name);
+  return country
+    ? [country.region, country.subregion, name]
+    : [UNKNOWN_PLACE, UNKNOWN_PLACE, name];
+}
+
+/**
+ * Level whose places are listed under a drill-down path
+ * @param {string} rootLevel - one of GEO_LEVELS, listed when nothing is drilled into
+ * @param {string[]} path - region, then sub-region, drilled into
+ * @returns {string}
+ */
+export function levelBelow(rootLevel, path) {
+  return path.length ? GEO_LEVELS[path.length] : rootLevel;
+}
+
+// Places sort by name, with the unmatched countries' "Other" last
+const comparePlaces = (a, b) =>
+  (a.name === UNKNOWN_PLACE) - (b.name === UNKNOWN_PLACE) ||
+  a.name.localeCompare(b.name);
+
+/**
+ * Region -> sub-region -> country tree of dataset countries. Every node
+ * lists the dataset countries it covers; countries are leaves.
+ * @param {string[]} names - dataset country names
+ * @returns {Object[]} region nodes { name, level, countries, children }
+ */
+export function buildGeoHierarchy(names) {
+  const build = (entries, depth) =>
+    Array.from(d3.group(entries, (e) => e.path[depth]), ([name, group]) => ({
+      name,
+      level: GEO_LEVELS[depth],
+      countries: group.map((e) => e.name).sort(),
+      children: depth < GEO_LEVELS.length - 1 ? build(group, depth + 1) : [],
+    })).sort(comparePlaces);
+  return build(
+    names.map((name) => ({ name, path: geoPath(name) })),
+    0
+  );
+}
+
+/**
+ * Node reached by following a path of place names down the hierarchy
+ * @param {Object[]} hierarchy - from buildGeoHierarchy
+ * @param {string[]} path
+ * @returns {Object|null}
+ */
+export function findGeoNode(hierarchy, path) {
+  let node = null;
+  let children = hierarchy;
+  for (const name of path) {
+    node = children.find((child) => child.name === name);
+    if (!node) return null;
+    children = node.children;
+  }
+  return node;
+}
+
+/**
+ * Region or sub-region covering exactly the selected countries, so a
+ * selection made from the hierarchy can be described by name
+ * @param {Object[]} hierarchy - from buildGeoHierarchy
+ * @param {Set} selection - selected countries
+ * @returns {Object|null}
+ */
+export function findGeoNodeFor(hierarchy, selection) {
+  for (const node of hierarchy) {
+    if (node.level === 'country') return null;
+    // A lone country is better described by its own name
+    if (
+      node.countries.length > 1 &&
+      node.countries.length === selection.size &&
+      node.countries.every((name) => selection.has(name))
+    ) {
+      return node;
+    }
+    const found = findGeoNodeFor(node.children, selection);
+    if (found) return found;
+  }
+  return null;
+}
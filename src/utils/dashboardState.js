@@ -0,0 +1,364 @@
+import * as d3 from 'd3';
+import { normalizeSelection } from './selection';
+import { clampRange, formatYearMonth, isSameRange } from './dateRange';
+import {
+  DEFAULT_SEVERITY_THRESHOLDS,
+  SEVERITY_BANDS,
+  isValidThresholds
+} from './severity';
+import { STATISTICS } from './statistics';
+import { GEO_LEVELS, buildGeoHierarchy, findGeoNode } from './countries';
+import { parseQuery } from './query';
+import { DEFAULT_LAYOUT, parseLayout, serializeLayout } from './layout';
+
+/**
+ * Serialization of the dashboard's filter and chart-option state so it can
+ * live in the URL query string. Parsing validates every value against the
+ * loaded data and falls back to the default for anything unknown.
+ */
+
+export const RANKING_METRICS = [
+  'response_time_hours',
+  'casualties',
+  'economic_loss_usd',
+  'casualties_per_million',
+  'loss_share_of_gdp',
+];
+// Column each ranking metric is computed from; the per-capita metrics divide
+// it by the country's population or GDP
+export const RANKING_COLUMNS = {
+  response_time_hours: 'response_time_hours',
+  casualties: 'casualties',
+  economic_loss_usd: 'economic_loss_usd',
+  casualties_per_million: 'casualties',
+  loss_share_of_gdp: 'economic_loss_usd',
+};
+export const RANK_DIRECTIONS = ['top', 'bottom'];
+export const RANK_INTERVALS = ['none', 't', 'bootstrap'];
+export const MAX_RANK_COUNT = 50;
+export const IMPACT_METRICS = ['casualties', 'economic_loss_usd'];
+export const AID_GROUPINGS = ['country', 'disaster_type'];
+export const RECOVERY_SPLITS = ['disaster_type', 'country', 'response'];
+export const TYPE_CHART_MODES = ['multiples', 'dual', 'zscore', 'percent'];
+export const TYPE_ORDERS = ['casualties', 'economic_loss', 'count', 'name'];
+export const TREND_MODES = ['stacked', 'trends', 'forecast'];
+// Forecast horizons, in years of monthly values
+export const FORECAST_YEARS = [1, 2];
+
+// Multi-value selections are written as repeated params; a lone empty
+// param stands for an explicitly empty selection
+function appendSelection(params, key, selection) {
+  if (selection === null) return;
+  if (selection.size === 0) {
+    params.set(key, '');
+    return;
+  }
+  [...selection].sort().forEach((value) => params.append(key, value));
+}
+
+// Months are written as YYYY-MM; returns the first day of that month
+function parseYearMonth(value) {
+  const match = /^(\d{4})-(\d{2})$/.exec(value || '');
+  if (!match || +match[2] < 1 || +match[2] > 12) return null;
+  return new Date(+match[1], +match[2] - 1, 1);
+}
+
+// Whole numbers from 1 up; anything else gives null
+function parsePositiveInteger(value) {
+  return /^[1-9]\d*$/.test(value || '') ? +value : null;
+}
+
+// Unknown values are dropped; if nothing valid remains the filter is cleared
+function parseSelection(params, key, options) {
+  if (!params.has(key)) return null;
+  const values = params.getAll(key);
+  if (values.length === 1 && values[0] === '') return new Set();
+  const valid = values.filter((value) => options.includes(value));
+  return valid.length ? normalizeSelection(new Set(valid), options) : null;
+}
+
+// Writes one filter set (dates, types, countries and severity bands); set B's
+// params carry a 'b.' prefix. The range end is exclusive, so the URL names the
+// last included month.
+function appendFilterSet(params, prefix, set, dateExtent) {
+  if (!isSameRange(set.dateRange, dateExtent)) {
+    params.set(`${prefix}from`, formatYearMonth(set.dateRange[0]));
+    params.set(
+      `${prefix}to`,
+      formatYearMonth(d3.timeMonth.offset(set.dateRange[1], -1))
+    );
+  }
+  appendSelection(params, `${prefix}type`, set.selectedTypes);
+  appendSelection(params, `${prefix}country`, set.selectedCountries);
+  appendSelection(params, `${prefix}severity`, set.selectedBands);
+}
+
+function parseFilterSet(params, prefix, { dateExtent, types, countries }) {
+  const from = parseYearMonth(params.get(`${prefix}from`)) || dateExtent[0];
+  const to = parseYearMonth(params.get(`${prefix}to`));
+  return {
+    dateRange: clampRange(
+      [from, to ? d3.timeMonth.offset(to, 1) : dateExtent[1]],
+      dateExtent
+    ),
+    selectedTypes: parseSelection(params, `${prefix}type`, types),
+    selectedCountries: parseSelection(params, `${prefix}country`, countries),
+    selectedBands: parseSelection(params, `${prefix}severity`, SEVERITY_BANDS),
+  };
+}
+
+/**
+ * Default dashboard state for a dataset spanning the given dates
+ * @param {Date[]} dateExtent - month-aligned [start, end) of the loaded data
+ * @returns {Object} dashboard state
+ */
+export function getDefaultState(dateExtent) {
+  return {
+    dateRange: dateExtent,
+    selectedTypes: null,
+    selectedCountries: null,
+    selectedBands: null,
+    // Filter set B in comparison mode, or null when not comparing
+    comparison: null,
+    // Query-language filter, applied to both filter sets
+    filterQuery: '',
+    severityThresholds: DEFAULT_SEVERITY_THRESHOLDS,
+    severityWeighted: false,
+    statistic: 'mean',
+    // The headline figures default to totals, unlike the per-group charts
+    kpiStatistic: 'sum',
+    rankingMetric: 'response_time_hours',
+    rankCount: 15,
+    rankDirection: 'top',
+    rankMinEvents: 3,
+    rankInterval: 't',
+    // Level the ranking lists, and the region and sub-region drilled into
+    rankLevel: 'country',
+    rankPath: [],
+    trendMode: 'stacked',
+    forecastYears: 1,
+    scatterYAxis: 'casualties',
+    mapSizeMetric: 'casualties',
+    hiddenTypes: new Set(),
+    scatterBrush: null,
+    aidGroupBy: 'country',
+    aidImpact: 'economic_loss_usd',
+    recoverySplit: 'disaster_type',
+    typeChartMode: 'multiples',
+    typeOrder: 'casualties',
+    // Chart panels in display order, { chart, span, height }
+    layout: DEFAULT_LAYOUT,
+  };
+}
+
+/**
+ * Encode dashboard state as a query string, omitting default values
+ * @param {Object} state - dashboard state
+ * @param {Date[]} dateExtent - month-aligned [start, end) of the loaded data
+ * @returns {string} query string without the leading '?'
+ */
+export function serializeState(state, dateExtent) {
+  const defaults = getDefaultState(dateExtent);
+  const params = new URLSearchParams();
+
+  appendFilterSet(params, '', state, dateExtent);
+  if (state.comparison) {
+    params.set('compare', '');
+    appendFilterSet(params, 'b.', state.comparison, dateExtent);
+  }
+  if (state.filterQuery) {
+    params.set('q', state.filterQuery);
+  }
+  if (state.severityThresholds.join() !== defaults.severityThresholds.join()) {
+    params.set('bands', state.severityThresholds.join(','));
+  }
+  if (state.severityWeighted) {
+    params.set('weight', 'severity');
+  }
+  if (state.statistic !== defaults.statistic) {
+    params.set('stat', state.statistic);
+  }
+  if (state.kpiStatistic !== defaults.kpiStatistic) {
+    params.set('kpistat', state.kpiStatistic);
+  }
+  if (state.rankingMetric !== defaults.rankingMetric) {
+    params.set('rank', state.rankingMetric);
+  }
+  if (state.rankCount !== defaults.rankCount) {
+    params.set('rankn', state.rankCount);
+  }
+  if (state.rankDirection !== defaults.rankDirection) {
+    params.set('rankdir', state.rankDirection);
+  }
+  if (state.rankMinEvents !== defaults.rankMinEvents) {
+    params.set('rankmin', state.rankMinEvents);
+  }
+  if (state.rankInterval !== defaults.rankInterval) {
+    params.set('rankci', state.rankInterval);
+  }
+  if (state.rankLevel !== defaults.rankLevel) {
+    params.set('ranklevel', state.rankLevel);
+  }
+  state.rankPath.forEach((name) => params.append('rankin', name));
+  if (state.trendMode !== defaults.trendMode) {
+    params.set('trend', state.trendMode);
+  }
+  if (state.forecastYears !== defaults.forecastYears) {
+    params.set('horizon', state.forecastYears);
+  }
+  if (state.scatterYAxis !== defaults.scatterYAxis) {
+    params.set('scatter', state.scatterYAxis);
+  }
+  if (state.mapSizeMetric !== defaults.mapSizeMetric) {
+    params.set('map', state.mapSizeMetric);
+  }
+  if (state.aidGroupBy !== defaults.aidGroupBy) {
+    params.set('aidby', state.aidGroupBy);
+  }
+  if (state.aidImpact !== defaults.aidImpact) {
+    params.set('aidimpact', state.aidImpact);
+  }
+  if (state.recoverySplit !== defaults.recoverySplit) {
+    params.set('recovery', state.recoverySplit);
+  }
+  if (state.typeChartMode !== defaults.typeChartMode) {
+    params.set('typemode', state.typeChartMode);
+  }
+  if (state.typeOrder !== defaults.typeOrder) {
+    params.set('typeorder', state.typeOrder);
+  }
+  [...state.hiddenTypes].sort().forEach((type) => params.append('hide', type));
+  const layout = serializeLayout(state.layout);
+  if (layout !== serializeLayout(defaults.layout)) {
+    params.set('layout', layout);
+  }
+  if (state.scatterBrush) {
+    const { xRange, yMetric, yRange } = state.scatterBrush;
+    params.set(
+      'brush',
+      [xRange[0], xRange[1], yMetric, yRange[0], yRange[1]]
+        .map((v) => (typeof v === 'number' ? +v.toPrecision(6) : v))
+        .join(',')
+    );
+  }
+
+  return params.toString();
+}
+
+/**
+ * Decode dashboard state from a query string
+ * @param {string} search - location.search
+ * @param {Object} context - { dateExtent, types, countries } of the loaded data
+ * @returns {Object} dashboard state with invalid values replaced by defaults
+ */
+export function parseState(search, context) {
+  const { dateExtent, types, countries } = context;
+  const params = new URLSearchParams(search);
+  const state = {
+    ...getDefaultState(dateExtent),
+    ...parseFilterSet(params, '', context),
+  };
+
+  if (params.has('compare')) {
+    state.comparison = parseFilterSet(params, 'b.', context);
+  }
+  const query = (params.get('q') || '').trim();
+  if (parseQuery(query).expression) {
+    state.filterQuery = query;
+  }
+  const thresholds = (params.get('bands') || '').split(',').map(Number);
+  if (isValidThresholds(thresholds)) {
+    state.severityThresholds = thresholds;
+  }
+  state.severityWeighted = params.get('weight') === 'severity';
+  if (STATISTICS.includes(params.get('stat'))) {
+    state.statistic = params.get('stat');
+  }
+  if (STATISTICS.includes(params.get('kpistat'))) {
+    state.kpiStatistic = params.get('kpistat');
+  }
+  if (RANKING_METRICS.includes(params.get('rank'))) {
+    state.rankingMetric = params.get('rank');
+  }
+  const rankCount = parsePositiveInteger(params.get('rankn'));
+  if (rankCount && rankCount <= MAX_RANK_COUNT) {
+    state.rankCount = rankCount;
+  }
+  if (RANK_DIRECTIONS.includes(params.get('rankdir'))) {
+    state.rankDirection = params.get('rankdir');
+  }
+  const rankMinEvents = parsePositiveInteger(params.get('rankmin'));
+  if (rankMinEvents) {
+    state.rankMinEvents = rankMinEvents;
+  }
+  if (RANK_INTERVALS.includes(params.get('rankci'))) {
+    state.rankInterval = params.get('rankci');
+  }
+  if (GEO_LEVELS.includes(params.get('ranklevel'))) {
+    state.rankLevel = params.get('ranklevel');
+  }
+  // Only regions and sub-regions of the loaded countries can be drilled into
+  const rankPath = params.getAll('rankin');
+  if (
+    rankPath.length &&
+    rankPath.length < GEO_LEVELS.length &&
+    findGeoNode(buildGeoHierarchy(countries), rankPath)
+  ) {
+    state.rankPath = rankPath;
+  }
+  if (TREND_MODES.includes(params.get('trend'))) {
+    state.trendMode = params.get('trend');
+  }
+  const forecastYears = parsePositiveInteger(params.get('horizon'));
+  if (FORECAST_YEARS.includes(forecastYears)) {
+    state.forecastYears = forecastYears;
+  }
+  if (IMPACT_METRICS.includes(params.get('scatter'))) {
+    state.scatterYAxis = params.get('scatter');
+  }
+  if (IMPACT_METRICS.includes(params.get('map'))) {
+    state.mapSizeMetric = params.get('map');
+  }
+  if (AID_GROUPINGS.includes(params.get('aidby'))) {
+    state.aidGroupBy = params.get('aidby');
+  }
+  if (IMPACT_METRICS.includes(params.get('aidimpact'))) {
+    state.aidImpact = params.get('aidimpact');
+  }
+  if (RECOVERY_SPLITS.includes(params.get('recovery'))) {
+    state.recoverySplit = params.get('recovery');
+  }
+  if (TYPE_CHART_MODES.includes(params.get('typemode'))) {
+    state.typeChartMode = params.get('typemode');
+  }
+  if (TYPE_ORDERS.includes(params.get('typeorder'))) {
+    state.typeOrder = params.get('typeorder');
+  }
+
+  state.hiddenTypes = new Set(
+    params.getAll('hide').filter((type) => types.includes(type))
+  );
+  const layout = params.has('layout') && parseLayout(params.get('layout'));
+  if (layout) {
+    state.layout = layout;
+  }
+
+  const brush = (params.get('brush') || '').split(',');
+  if (brush.length === 5) {
+    const [x0, x1, yMetric, y0, y1] = brush;
+    const numbers = [x0, x1, y0, y1].map(Number);
+    // The brush is drawn on the scatter's y-axis, so it must match that metric
+    if (
+      numbers.every(Number.isFinite) &&
+      yMetric === state.scatterYAxis
+    ) {
+      state.scatterBrush = {
+        xRange: [numbers[0], numbers[1]],
+        yMetric,
+        yRange: [numbers[2], numbers[3]],
+      };
+    }
+  }
+
+  return state;
+}
@@ -0,0 +1,137 @@
+import { getDefaultState, parseState, serializeState } from './dashboardState';
+
+const dateExtent = [new Date(2018, 0, 1), new Date(2025, 0, 1)];
+const context = {
+  dateExtent,
+  types: ['Earthquake', 'Flood', 'Storm'],
+  countries: ['Chile', 'Japan', 'Peru'],
+};
+
+const roundTrip = (state) =>
+  parseState(serializeState(state, dateExtent), context);
+
+describe('serializeState', () => {
+  it('writes nothing for the default state', () => {
+    expect(serializeState(getDefaultState(dateExtent), dateExtent)).toBe('');
+  });
+
+  it('names the last included month of the date range', () => {
+    const state = {
+      ...getDefaultState(dateExtent),
+      dateRange: [new Date(2020, 2, 1), new Date(2021, 0, 1)],
+    };
+    const params = new URLSearchParams(serializeState(state, dateExtent));
+    expect(params.get('from')).toBe('2020-03');
+    expect(params.get('to')).toBe('2020-12');
+  });
+
+  it("writes set B's filters with a 'b.' prefix", () => {
+    const state = {
+      ...getDefaultState(dateExtent),
+      selectedTypes: new Set(['Flood']),
+      comparison: {
+        dateRange: [new Date(2022, 0, 1), new Date(2023, 0, 1)],
+        selectedTypes: new Set(['Storm']),
+        selectedCountries: new Set(),
+        selectedBands: null,
+      },
+    };
+    const params = new URLSearchParams(serializeState(state, dateExtent));
+    expect(params.has('compare')).toBe(true);
+    expect(params.getAll('type')).toEqual(['Flood']);
+    expect(params.getAll('b.type')).toEqual(['Storm']);
+    expect(params.get('b.from')).toBe('2022-01');
+    expect(params.get('b.to')).toBe('2022-12');
+    expect(params.getAll('b.country')).toEqual(['']);
+    expect(params.has('country')).toBe(false);
+  });
+});
+
+describe('parseState', () => {
+  it('round-trips a state that differs from the defaults everywhere', () => {
+    const state = {
+      ...getDefaultState(dateExtent),
+      dateRange: [new Date(2019, 5, 1), new Date(2024, 0, 1)],
+      selectedTypes: new Set(['Earthquake', 'Storm']),
+      selectedCountries: new Set(['Chile']),
+      selectedBands: new Set(['High', 'Extreme']),
+      comparison: {
+        dateRange: [new Date(2018, 0, 1), new Date(2020, 0, 1)],
+        selectedTypes: null,
+        selectedCountries: new Set(['Japan', 'Peru']),
+        selectedBands: new Set(),
+      },
+      filterQuery: 'casualties > 100',
+      severityThresholds: [2, 4, 8],
+      severityWeighted: true,
+      statistic: 'median',
+      kpiStatistic: 'p90',
+      rankingMetric: 'casualties',
+      rankCount: 20,
+      rankDirection: 'bottom',
+      rankMinEvents: 5,
+      rankInterval: 'bootstrap',
+      rankLevel: 'subregion',
+      rankPath: ['Americas'],
+      trendMode: 'forecast',
+      forecastYears: 2,
+      scatterYAxis: 'economic_loss_usd',
+      mapSizeMetric: 'economic_loss_usd',
+      hiddenTypes: new Set(['Flood']),
+      scatterBrush: {
+        xRange: [10, 48],
+        yMetric: 'economic_loss_usd',
+        yRange: [1e6, 5e8],
+      },
+      aidGroupBy: 'disaster_type',
+      aidImpact: 'casualties',
+      recoverySplit: 'response',
+      typeChartMode: 'percent',
+      typeOrder: 'name',
+      layout: [
+        { chart: 'map', span: 1, height: 300 },
+        { chart: 'ranking', span: 2, height: null },
+      ],
+    };
+    expect(roundTrip(state)).toEqual(state);
+  });
+
+  it('round-trips set B on its own, leaving set A unfiltered', () => {
+    const state = {
+      ...getDefaultState(dateExtent),
+      comparison: {
+        dateRange: dateExtent,
+        selectedTypes: new Set(['Flood']),
+        selectedCountries: null,
+        selectedBands: null,
+      },
+    };
+    expect(roundTrip(state)).toEqual(state);
+  });
+
+  it('replaces invalid values by the defaults', () => {
+    const state = parseState(
+      '?type=Volcano&stat=mode&rankn=500&bands=5,3,7&rankin=Atlantis&brush=1,2,casualties,3',
+      context
+    );
+    expect(state).toEqual(getDefaultState(dateExtent));
+  });
+
+  it('keeps an explicitly empty selection apart from no filter', () => {
+    expect(parseState('?country=', context).selectedCountries).toEqual(new Set());
+    expect(
+      parseState('?type=Earthquake&type=Flood&type=Storm', context).selectedTypes
+    ).toBeNull();
+  });
+
+  it('clamps the date range to the data', () => {
+    const { dateRange } = parseState('?from=2010-01&to=2030-12', context);
+    expect(dateRange).toEqual(dateExtent);
+  });
+
+  it('drops a brush drawn on another y-axis metric', () => {
+    expect(
+      parseState('?brush=1,2,economic_loss_usd,3,4', context).scatterBrush
+    ).toBeNull();
+  });
+});
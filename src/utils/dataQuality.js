@@ -0,0 +1,71 @@
+import * as d3 from 'd3';
+import { DATASET_COLUMNS, createQualityReport } from './parseDisasters';
+
+/**
+ * Data-quality helpers: combining the reports produced while parsing and
+ * detecting outliers in the parsed events.
+ */
+
+// Values further than this many IQRs beyond the quartiles count as outliers
+const OUTLIER_IQR_FACTOR = 3;
+
+/**
+ * Combine the reports of two parses, e.g. when appending a dataset
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object} combined report
+ */
+export function mergeQualityReports(a, b) {
+  const merged = createQualityReport(a.totalRows + b.totalRows);
+  DATASET_COLUMNS.forEach((column) => {
+    merged.columns[column].missing =
+      a.columns[column].missing + b.columns[column].missing;
+    merged.columns[column].invalid =
+      a.columns[column].invalid + b.columns[column].invalid;
+  });
+  merged.dropped = a.dropped.concat(b.dropped);
+  return merged;
+}
+
+/**
+ * Tukey fences for a numeric column, ignoring missing values
+ * @param {Object[]} data - parsed events
+ * @param {string} column - numeric column
+ * @returns {number[]|null} [low, high], or null when there are no values
+ */
+export function outlierFences(data, column) {
+  const values = data
+    .map((d) => d[column])
+    .filter((v) => v !== null)
+    .sort(d3.ascending);
+  if (!values.length) return null;
+
+  const q1 = d3.quantileSorted(values, 0.25);
+  const q3 = d3.quantileSorted(values, 0.75);
+  const iqr = q3 - q1;
+  return [q1 - OUTLIER_IQR_FACTOR * iqr, q3 + OUTLIER_IQR_FACTOR * iqr];
+}
+
+/**
+ * Number of values outside the outlier fences
+ * @param {Object[]} data - parsed events
+ * @param {string} column - numeric column
+ * @returns {number}
+ */
+export function countOutliers(data, column) {
+  const fences = outlierFences(data, column);
+  if (!fences) return 0;
+  return data.filter(
+    (d) => d[column] !== null && (d[column] < fences[0] || d[column] > fences[1])
+  ).length;
+}
+
+/**
+ * Number of events with a value for the column
+ * @param {Object[]} data - parsed events
+ * @param {string} column - numeric column
+ * @returns {number}
+ */
+export function countPresent(data, column) {
+  return data.reduce((n, d) => (d[column] !== null ? n + 1 : n), 0);
+}
@@ -0,0 +1,88 @@
+import * as d3 from 'd3';
+import { DATASET_COLUMNS } from './parseDisasters';
+
+/**
+ * Reading of user-supplied dataset files (CSV, TSV or JSON) and mapping of
+ * their headers onto the dashboard's dataset columns.
+ */
+
+// Alternative header names seen in other disaster extracts
+const COLUMN_ALIASES = {
+  date: ['event_date', 'start_date', 'datetime', 'timestamp'],
+  country: ['nation', 'country_name'],
+  disaster_type: ['type', 'event_type', 'hazard', 'hazard_type', 'disaster'],
+  severity_index: ['severity', 'severity_score'],
+  casualties: ['deaths', 'fatalities', 'total_deaths', 'casualty_count'],
+  economic_loss_usd: ['economic_loss', 'damage_usd', 'total_damage_usd', 'loss_usd'],
+  response_time_hours: ['response_time', 'response_hours'],
+  aid_amount_usd: ['aid_amount', 'aid_usd', 'aid'],
+  response_efficiency_score: ['efficiency_score', 'response_efficiency', 'efficiency'],
+  recovery_days: ['recovery_time_days', 'recovery_time', 'recovery'],
+  latitude: ['lat'],
+  longitude: ['lon', 'lng', 'long'],
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Read and parse a local file in the browser
+ * @param {File} file - file chosen or dropped by the user
+ * @returns {Promise<Object>} { rows, columns, format }
+ */
+export async function readDatasetFile(file) {
+  const name = file.name.toLowerCase();
+  // Files exported from the dashboard start with "# label: value" metadata lines
+  const text = (await file.text()).replace(/^(#[^\n]*\n)+/, '');
+
+  if (name.endsWith('.json') || file.type === 'application/json') {
+    const parsed = JSON.parse(text);
+    const rows = Array.isArray(parsed) ? parsed : parsed.data;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON file must contain an array of records or a "data" array');
+    }
+    const columns = [...new Set(rows.slice(0, 100).flatMap((row) => Object.keys(row)))];
+    return { rows, columns, format: 'JSON' };
+  }
+
+  // Anything else is delimited text; sniff tabs when the extension is ambiguous
+  const firstLine = text.slice(0, text.indexOf('\n'));
+  const isTsv =
+    name.endsWith('.tsv') ||
+    name.endsWith('.tab') ||
+    (!name.endsWith('.csv') && firstLine.includes('\t'));
+  const rows = isTsv ? d3.tsvParse(text) : d3.csvParse(text);
+  return { rows, columns: rows.columns, format: isTsv ? 'TSV' : 'CSV' };
+}
+
+/**
+ * Best guess of which file header feeds each dataset column
+ * @param {string[]} headers - headers found in the file
+ * @returns {Object} dataset column -> file header, or '' when none matches
+ */
+export function guessColumnMapping(headers) {
+  const byNormalized = new Map(headers.map((h) => [normalizeHeader(h), h]));
+
+  return Object.fromEntries(
+    DATASET_COLUMNS.map((column) => {
+      const candidates = [column, ...COLUMN_ALIASES[column]].map(normalizeHeader);
+      const match = candidates.find((candidate) => byNormalized.has(candidate));
+      return [column, match ? byNormalized.get(match) : ''];
+    })
+  );
+}
+
+/**
+ * Rename the fields of raw records according to a column mapping
+ * @param {Object[]} rows - raw records keyed by file header
+ * @param {Object} mapping - dataset column -> file header
+ * @returns {Object[]} records keyed by dataset column
+ */
+export function applyColumnMapping(rows, mapping) {
+  return rows.map((row) => {
+    const record = {};
+    DATASET_COLUMNS.forEach((column) => {
+      record[column] = mapping[column] ? row[mapping[column]] : undefined;
+    });
+    return record;
+  });
+}
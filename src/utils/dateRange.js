@@ -0,0 +1,73 @@
+import * as d3 from 'd3';
+
+/**
+ * Helpers for the dashboard's date range filter. Ranges are [start, end)
+ * pairs of Dates aligned to month boundaries, so the end is the first day
+ * of the month after the last included month.
+ */
+
+export const SNAP_INTERVALS = {
+  month: d3.timeMonth,
+  quarter: d3.timeMonth.every(3),
+};
+
+const formatMonth = d3.timeFormat('%b %Y');
+export const formatYearMonth = d3.timeFormat('%Y-%m');
+// Event dates come from date-only strings, which are parsed as UTC, so they
+// are written back in UTC too
+export const formatDay = d3.utcFormat('%Y-%m-%d');
+
+/**
+ * Month-aligned range covering every event in the data
+ * @param {Object[]} data - parsed disaster events
+ * @returns {Date[]} [start, end)
+ */
+export function getDateExtent(data) {
+  if (!data.length) {
+    return [new Date(2018, 0, 1), new Date(2025, 0, 1)];
+  }
+  const [min, max] = d3.extent(data, (d) => d.date);
+  return [d3.timeMonth.floor(min), d3.timeMonth.offset(d3.timeMonth.floor(max), 1)];
+}
+
+/**
+ * Clamp a range to the extent, falling back to the extent if nothing is left
+ * @param {Date[]} range - [start, end)
+ * @param {Date[]} extent - [start, end)
+ * @returns {Date[]}
+ */
+export function clampRange(range, extent) {
+  const start = range[0] < extent[0] ? extent[0] : range[0];
+  const end = range[1] > extent[1] ? extent[1] : range[1];
+  return start < end ? [start, end] : extent;
+}
+
+/**
+ * Year of the last month included in a range
+ * @param {Date[]} range - [start, end)
+ * @returns {number}
+ */
+export function lastYearOf(range) {
+  return d3.timeMonth.offset(range[1], -1).getFullYear();
+}
+
+/**
+ * Human-readable label such as "Mar 2019 – Aug 2021"
+ * @param {Date[]} range - [start, end)
+ * @returns {string}
+ */
+export function formatRange(range) {
+  const start = formatMonth(range[0]);
+  const end = formatMonth(d3.timeMonth.offset(range[1], -1));
+  return start === end ? start : `${start} – ${end}`;
+}
+
+/**
+ * Whether two ranges cover the same dates
+ * @param {Date[]} a
+ * @param {Date[]} b
+ * @returns {boolean}
+ */
+export function isSameRange(a, b) {
+  return +a[0] === +b[0] && +a[1] === +b[1];
+}
@@ -0,0 +1,106 @@
+import { parseAmount } from './amounts';
+import { formatDay } from './dateRange';
+
+/**
+ * Column filters for the event table and the ranks shown in the event
+ * drawer. Filters are typed into the table header as plain text and
+ * compiled into predicates here.
+ */
+
+// Dates are shown and filtered as YYYY-MM-DD, so "2021-03" matches a month,
+// and read the same as in exported files
+export const formatEventDate = formatDay;
+
+// Numeric columns an event is ranked on within its type and its country
+export const RANKED_COLUMNS = [
+  'severity_index',
+  'casualties',
+  'economic_loss_usd',
+  'response_time_hours',
+  'aid_amount_usd',
+  'response_efficiency_score',
+  'recovery_days',
+];
+
+// ">100", ">= 2.5M", "<5", "=3", "10-20" or a bare number
+function parseNumberFilter(text) {
+  const range = /^(-?[\d.]+\s*[kmb]?)\s*(?:-|–|\.\.)\s*(-?[\d.]+\s*[kmb]?)$/i.exec(text);
+  if (range) {
+    const [low, high] = [parseAmount(range[1]), parseAmount(range[2])];
+    if (low === null || high === null) return null;
+    return (v) => v >= Math.min(low, high) && v <= Math.max(low, high);
+  }
+  const comparison = /^(>=|<=|>|<|=)?\s*(.+)$/.exec(text);
+  const amount = parseAmount(comparison[2]);
+  if (amount === null) return null;
+  switch (comparison[1]) {
+    case '>':
+      return (v) => v > amount;
+    case '>=':
+      return (v) => v >= amount;
+    case '<':
+      return (v) => v < amount;
+    case '<=':
+      return (v) => v <= amount;
+    default:
+      return (v) => v === amount;
+  }
+}
+
+/**
+ * Compile the text typed into a column's filter box
+ * @param {string} type - 'text', 'date' or 'number'
+ * @param {string} text
+ * @returns {Function|null|undefined} predicate on the column's value, null
+ *   when the text cannot be understood, undefined when it is blank
+ */
+export function parseColumnFilter(type, text) {
+  const trimmed = text.trim();
+  if (!trimmed) return undefined;
+  if (type === 'number') {
+    const test = parseNumberFilter(trimmed);
+    return test && ((v) => v !== null && test(v));
+  }
+  const needle = trimmed.toLowerCase();
+  if (type === 'date') {
+    return (v) => formatEventDate(v).startsWith(needle);
+  }
+  return (v) => v.toLowerCase().includes(needle);
+}
+
+/**
+ * Where an event stands among the others of its disaster type and of its
+ * country, highest value first. Ties share the better rank.
+ * @param {Object[]} events - events to rank against; the event itself may
+ *   or may not be among them
+ * @param {Object} event
+ * @returns {Object[]} { column, type: { rank, count }, country: { rank, count } }
+ *   for each ranked column the event has a value for
+ */
+export function rankEvent(events, event) {
+  const columns = RANKED_COLUMNS.filter((column) => event[column] !== null);
+  const ranks = columns.map((column) => ({
+    column,
+    type: { rank: 1, count: 1 },
+    country: { rank: 1, count: 1 },
+  }));
+
+  events.forEach((d) => {
+    if (d === event) return;
+    const groups = [];
+    if (d.disaster_type === event.disaster_type) groups.push('type');
+    if (d.country === event.country) groups.push('country');
+    if (!groups.length) return;
+
+    ranks.forEach((entry) => {
+      const value = d[entry.column];
+      if (value === null) return;
+      groups.forEach((group) => {
+        entry[group].count++;
+        if (value > event[entry.column]) entry[group].rank++;
+      });
+    });
+  });
+
+  return ranks;
+}
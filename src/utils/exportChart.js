@@ -0,0 +1,276 @@
+/**
+ * Conversion of a rendered chart into a standalone SVG or PNG. Styles from
+ * the app's stylesheets are inlined so the file looks the same outside the
+ * dashboard, canvas layers are embedded as images and legends drawn in HTML
+ * next to the chart are redrawn below it.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Presentation properties copied from the computed style of each element
+const INLINED_PROPERTIES = [
+  'display',
+  'visibility',
+  'opacity',
+  'fill',
+  'fill-opacity',
+  'stroke',
+  'stroke-width',
+  'stroke-opacity',
+  'stroke-dasharray',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'text-anchor',
+  'dominant-baseline',
+];
+
+function inlineStyles(source, clone) {
+  const computed = window.getComputedStyle(source);
+  clone.setAttribute(
+    'style',
+    INLINED_PROPERTIES.map(
+      (property) => `${property}:${computed.getPropertyValue(property)}`
+    ).join(';')
+  );
+  Array.from(source.children).forEach((child, i) =>
+    inlineStyles(child, clone.children[i])
+  );
+}
+
+// Legend rows drawn under the chart, in pixels
+const LEGEND_SWATCH = 14;
+const LEGEND_ROW = 22;
+const LEGEND_GAP = 6;
+const LEGEND_SPACING = 18;
+const LEGEND_PADDING = 10;
+
+// Swatch for a legend item: a filled square, or a line for swatches that are
+// only a border (e.g. the dashed line standing for set B)
+function legendSwatch(source, x, y) {
+  const computed = window.getComputedStyle(source);
+  const borderWidth = parseFloat(computed.borderTopWidth) || 0;
+  const isLine = source.getBoundingClientRect().height <= borderWidth;
+
+  if (isLine) {
+    const line = document.createElementNS(SVG_NS, 'line');
+    line.setAttribute('x1', x);
+    line.setAttribute('x2', x + LEGEND_SWATCH);
+    line.setAttribute('y1', y + LEGEND_SWATCH / 2);
+    line.setAttribute('y2', y + LEGEND_SWATCH / 2);
+    line.setAttribute('stroke', computed.borderTopColor);
+    line.setAttribute('stroke-width', borderWidth);
+    if (computed.borderTopStyle === 'dashed') {
+      line.setAttribute('stroke-dasharray', '4 3');
+    }
+    return line;
+  }
+
+  const rect = document.createElementNS(SVG_NS, 'rect');
+  rect.setAttribute('x', x);
+  rect.setAttribute('y', y);
+  rect.setAttribute('width', LEGEND_SWATCH);
+  rect.setAttribute('height', LEGEND_SWATCH);
+  rect.setAttribute('rx', 2);
+  rect.setAttribute('fill', computed.backgroundColor);
+  if (borderWidth) {
+    rect.setAttribute('stroke', computed.borderTopColor);
+    rect.setAttribute('stroke-width', borderWidth);
+  }
+  return rect;
+}
+
+/**
+ * Legend group for the HTML legend items of a chart, wrapped to its width.
+ * Items hidden from the chart are left out.
+ * @returns {Object|null} { node, height }, or null when there is no legend
+ */
+function drawLegend(wrapper, top, width) {
+  const items = Array.from(
+    wrapper.querySelectorAll('.legend .legend-item:not(.hidden)')
+  );
+  if (!items.length) return null;
+
+  const group = document.createElementNS(SVG_NS, 'g');
+  group.setAttribute('class', 'export-legend');
+  let x = LEGEND_PADDING;
+  let y = top + LEGEND_PADDING;
+
+  items.forEach((item) => {
+    const swatch = item.querySelector(':scope > :not(.legend-label)');
+    const label = item.querySelector('.legend-label');
+    if (!swatch || !label) return;
+    const labelWidth = label.getBoundingClientRect().width;
+    const itemWidth = LEGEND_SWATCH + LEGEND_GAP + labelWidth;
+    if (x > LEGEND_PADDING && x + itemWidth > width - LEGEND_PADDING) {
+      x = LEGEND_PADDING;
+      y += LEGEND_ROW;
+    }
+
+    group.appendChild(legendSwatch(swatch, x, y));
+    const text = document.createElementNS(SVG_NS, 'text');
+    const labelStyle = window.getComputedStyle(label);
+    text.setAttribute('x', x + LEGEND_SWATCH + LEGEND_GAP);
+    text.setAttribute('y', y + LEGEND_SWATCH / 2);
+    text.setAttribute('dominant-baseline', 'central');
+    text.setAttribute(
+      'style',
+      `font-family:${labelStyle.fontFamily};font-size:${labelStyle.fontSize};fill:${labelStyle.color}`
+    );
+    text.textContent = label.textContent;
+    group.appendChild(text);
+    x += itemWidth + LEGEND_SPACING;
+  });
+
+  return { node: group, height: y + LEGEND_ROW + LEGEND_PADDING - top };
+}
+
+/**
+ * Standalone SVG markup for a chart
+ * @param {SVGSVGElement} svgNode - the chart's SVG
+ * @param {string} title - chart title
+ * @param {Object} metadata - label -> value, written to the SVG description
+ * @returns {Object} { markup, width, height }
+ */
+export function serializeChart(svgNode, title, metadata) {
+  const svgBox = svgNode.getBoundingClientRect();
+  const width = Math.round(svgBox.width);
+  const chartHeight = Math.round(svgBox.height);
+
+  const clone = svgNode.cloneNode(true);
+  inlineStyles(svgNode, clone);
+
+  const legend = drawLegend(
+    svgNode.closest('.chart-wrapper') || svgNode.parentElement,
+    chartHeight,
+    width
+  );
+  const height = chartHeight + (legend ? Math.ceil(legend.height) : 0);
+  if (legend) clone.appendChild(legend.node);
+
+  clone.setAttribute('xmlns', SVG_NS);
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+  // Layers painted underneath the chart content, bottom first
+  const background = [];
+
+  const backdrop = document.createElementNS(SVG_NS, 'rect');
+  backdrop.setAttribute('width', width);
+  backdrop.setAttribute('height', height);
+  backdrop.setAttribute('fill', 'white');
+  background.push(backdrop);
+
+  // Canvas layers positioned over the SVG (e.g. the scatter points)
+  svgNode.parentElement.querySelectorAll('canvas').forEach((canvas) => {
+    if (!canvas.width || !canvas.height) return;
+    const box = canvas.getBoundingClientRect();
+    const image = document.createElementNS(SVG_NS, 'image');
+    image.setAttribute('href', canvas.toDataURL('image/png'));
+    image.setAttribute('x', box.left - svgBox.left);
+    image.setAttribute('y', box.top - svgBox.top);
+    image.setAttribute('width', box.width);
+    image.setAttribute('height', box.height);
+    background.push(image);
+  });
+
+  const titleNode = document.createElementNS(SVG_NS, 'title');
+  titleNode.textContent = title;
+  const desc = document.createElementNS(SVG_NS, 'desc');
+  desc.textContent = Object.entries(metadata)
+    .map(([label, value]) => `${label}: ${value}`)
+    .join('\n');
+
+  clone.prepend(titleNode, desc, ...background);
+
+  return {
+    markup: new XMLSerializer().serializeToString(clone),
+    width,
+    height,
+  };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  bytes.forEach((byte) => {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  });
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// PNG tEXt chunk; the text is Latin-1, other characters become '?'
+function textChunk(keyword, text) {
+  const data = Uint8Array.from(`${keyword}\0${text}`, (char) => {
+    const code = char.codePointAt(0);
+    return code < 256 ? code : 63;
+  });
+  const chunk = new Uint8Array(data.length + 12);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set([116, 69, 88, 116], 4); // "tEXt"
+  chunk.set(data, 8);
+  view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+  return chunk;
+}
+
+/**
+ * Add text metadata to a PNG, right after its header chunk
+ * @param {Blob} blob - PNG image
+ * @param {Object} entries - keyword -> text
+ * @returns {Promise<Blob>}
+ */
+async function addPngText(blob, entries) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  // 8-byte signature followed by the 25-byte IHDR chunk
+  const headerEnd = 33;
+  const chunks = Object.entries(entries).map(([keyword, text]) =>
+    textChunk(keyword, text)
+  );
+  return new Blob(
+    [bytes.subarray(0, headerEnd), ...chunks, bytes.subarray(headerEnd)],
+    { type: 'image/png' }
+  );
+}
+
+/**
+ * Rasterize a serialized chart
+ * @param {Object} chart - { markup, width, height } from serializeChart
+ * @param {number} scale - pixel ratio of the PNG, e.g. 2 for slides
+ * @param {string} title - chart title
+ * @param {Object} metadata - label -> value, stored as PNG text
+ * @returns {Promise<Blob>}
+ */
+export function chartToPng({ markup, width, height }, scale, title, metadata) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      canvas.toBlob((blob) => {
+        if (!blob) {
+          reject(new Error('Could not render the chart as PNG'));
+          return;
+        }
+        const description = Object.entries(metadata)
+          .map(([label, value]) => `${label}: ${value}`)
+          .join('\n');
+        resolve(addPngText(blob, { Title: title, Description: description }));
+      }, 'image/png');
+    };
+    image.onerror = () => reject(new Error('Could not render the chart as PNG'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+  });
+}
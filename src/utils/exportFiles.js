@@ -0,0 +1,128 @@
+import * as d3 from 'd3';
+import { DATASET_COLUMNS } from './parseDisasters';
+import { formatDay, formatYearMonth } from './dateRange';
+
+/**
+ * Building and downloading exported files. Every export carries a short
+ * description of the filters in its file name and a metadata header, so a
+ * file pasted into a briefing can be traced back to the view it came from.
+ */
+
+const slugify = (text) =>
+  text
+    .replace(/[^A-Za-z0-9+]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase();
+
+/**
+ * File-name fragment for a type or country selection
+ * @param {Set|null} selection
+ * @param {string} noun - e.g. 'types'
+ * @returns {string}
+ */
+function selectionSlug(selection, noun) {
+  if (selection === null) return `all-${noun}`;
+  if (selection.size === 0) return `no-${noun}`;
+  if (selection.size <= 2) return [...selection].sort().join('+');
+  return `${selection.size}-${noun}`;
+}
+
+/**
+ * Short description of the filter state for use in file names, such as
+ * "2018-01-to-2019-12_flood+storm_all-countries"
+ * @param {Object} filters - { dateRange, selectedTypes, selectedCountries,
+ *   selectedBands, severityWeighted, statistic, scatterBrush }
+ * @returns {string}
+ */
+export function buildExportSlug({
+  dateRange,
+  selectedTypes,
+  selectedCountries,
+  selectedBands,
+  severityWeighted,
+  statistic,
+  scatterBrush,
+  filterQuery,
+}) {
+  const lastMonth = d3.timeMonth.offset(dateRange[1], -1);
+  const parts = [
+    `${formatYearMonth(dateRange[0])}-to-${formatYearMonth(lastMonth)}`,
+    selectionSlug(selectedTypes, 'types'),
+    selectionSlug(selectedCountries, 'countries'),
+  ];
+  if (selectedBands) parts.push(selectionSlug(selectedBands, 'severities'));
+  if (severityWeighted) parts.push('severity-weighted');
+  if (statistic !== 'mean') parts.push(statistic);
+  if (scatterBrush) parts.push('brushed');
+  if (filterQuery) parts.push('query');
+  return parts.map(slugify).join('_');
+}
+
+/**
+ * File name for an export
+ * @param {string} name - what is exported, e.g. a chart title
+ * @param {string} slug - filter description from buildExportSlug
+ * @param {string} extension - without the dot
+ * @returns {string}
+ */
+export function buildExportFileName(name, slug, extension) {
+  return `${slugify(name)}_${slug}.${extension}`;
+}
+
+/**
+ * Stamp export metadata with the time of the export
+ * @param {Object} metadata - label -> value describing the view
+ * @returns {Object}
+ */
+export function withExportTime(metadata) {
+  return { ...metadata, Exported: new Date().toISOString() };
+}
+
+/**
+ * Save a blob through a temporary download link
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Exported records use the dataset columns, so files can be loaded back in
+const toRecord = (event) =>
+  Object.fromEntries(
+    DATASET_COLUMNS.map((column) => [
+      column,
+      column === 'date' ? formatDay(event.date) : event[column],
+    ])
+  );
+
+/**
+ * Events as CSV, preceded by "# label: value" metadata lines
+ * @param {Object[]} events - parsed events
+ * @param {Object} metadata - label -> value
+ * @returns {string}
+ */
+export function eventsToCsv(events, metadata) {
+  const header = Object.entries(metadata)
+    .map(([label, value]) => `# ${label}: ${value}`)
+    .join('\n');
+  return `${header}\n${d3.csvFormat(events.map(toRecord), DATASET_COLUMNS)}\n`;
+}
+
+/**
+ * Events as JSON under a "data" key, next to a "metadata" object
+ * @param {Object[]} events - parsed events
+ * @param {Object} metadata - label -> value
+ * @returns {string}
+ */
+export function eventsToJson(events, metadata) {
+  return JSON.stringify({ metadata, data: events.map(toRecord) }, null, 2);
+}
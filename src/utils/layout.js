@@ -0,0 +1,153 @@
+/**
+ * Layout of the chart panels: which charts are shown, in what order, and at
+ * what size. A panel spans one or both grid columns; charts drawn at a fixed
+ * height also take their height from the panel, while the others grow with
+ * what they list.
+ */
+
+// Every chart that can be placed in a panel, with the aggregates (keys of
+// aggregateAll's result) it draws
+export const CHART_REGISTRY = {
+  trend: {
+    title: 'Disaster Frequency Over Time',
+    span: 1,
+    height: 400,
+    aggregates: ['byYearType', 'monthlyByType'],
+  },
+  types: {
+    title: 'Severity by Disaster Type',
+    span: 1,
+    height: 400,
+    aggregates: ['byType'],
+  },
+  scatter: {
+    title: 'Response Time vs. Impact',
+    span: 1,
+    height: 400,
+    aggregates: ['anomalies'],
+  },
+  ranking: {
+    title: 'Performance Ranking',
+    span: 1,
+    height: null,
+    aggregates: ['byPlace'],
+  },
+  heatmap: {
+    title: 'Disaster Type × Severity Band',
+    span: 2,
+    height: null,
+    aggregates: ['typeSeverity'],
+  },
+  aid: { title: 'Aid & Efficiency', span: 2, height: 420, aggregates: ['aid'] },
+  recovery: {
+    title: 'Recovery Duration',
+    span: 2,
+    height: 420,
+    aggregates: ['recovery'],
+  },
+  anomalies: {
+    title: 'Anomalies',
+    span: 2,
+    height: null,
+    aggregates: ['anomalies'],
+  },
+  map: { title: 'Geographic Distribution', span: 2, height: 400, aggregates: [] },
+};
+
+export const CHART_IDS = Object.keys(CHART_REGISTRY);
+
+// Aggregates drawn outside the panels: the timeline brush, the KPI cards and
+// the anomaly flags in the event table
+const FIXED_AGGREGATES = ['monthly', 'kpis', 'anomalies'];
+
+export const PANEL_SPANS = [1, 2];
+export const MIN_PANEL_HEIGHT = 200;
+export const MAX_PANEL_HEIGHT = 1000;
+
+/**
+ * Panel for a chart at its registered size
+ * @param {string} chart - key of CHART_REGISTRY
+ * @returns {Object} { chart, span, height }
+ */
+export function defaultPanel(chart) {
+  const { span, height } = CHART_REGISTRY[chart];
+  return { chart, span, height };
+}
+
+export const DEFAULT_LAYOUT = CHART_IDS.map(defaultPanel);
+
+/**
+ * Aggregates needed by the fixed parts of the dashboard and the charts in a
+ * layout, so the data worker computes only those
+ * @param {Object[]} layout
+ * @returns {string[]} keys of aggregateAll's result, in a stable order
+ */
+export function aggregatesForLayout(layout) {
+  const needed = new Set(FIXED_AGGREGATES);
+  layout.forEach(({ chart }) =>
+    CHART_REGISTRY[chart].aggregates.forEach((key) => needed.add(key))
+  );
+  return [...needed].sort();
+}
+
+/**
+ * Clamp a panel height to the allowed range, in steps of 10px
+ * @param {number} height
+ * @returns {number}
+ */
+export function clampPanelHeight(height) {
+  const rounded = Math.round(height / 10) * 10;
+  return Math.min(MAX_PANEL_HEIGHT, Math.max(MIN_PANEL_HEIGHT, rounded));
+}
+
+/**
+ * Move a panel to another position
+ * @param {Object[]} layout
+ * @param {number} from - index of the panel
+ * @param {number} to - index it ends up at
+ * @returns {Object[]} layout
+ */
+export function movePanel(layout, from, to) {
+  if (to < 0 || to >= layout.length || from === to) return layout;
+  const next = layout.filter((_, i) => i !== from);
+  next.splice(to, 0, layout[from]);
+  return next;
+}
+
+/**
+ * Encode a layout for the URL, e.g. "trend:1:400,ranking:2"; charts that
+ * size to their content have no height
+ * @param {Object[]} layout
+ * @returns {string}
+ */
+export function serializeLayout(layout) {
+  return layout
+    .map(({ chart, span, height }) =>
+      [chart, span, ...(height === null ? [] : [height])].join(':')
+    )
+    .join(',');
+}
+
+/**
+ * Decode a layout from the URL. Unknown and repeated charts are dropped and
+ * invalid sizes replaced by the chart's registered size.
+ * @param {string} text
+ * @returns {Object[]|null} layout, or null when nothing valid remains
+ */
+export function parseLayout(text) {
+  const seen = new Set();
+  const layout = [];
+  text.split(',').forEach((entry) => {
+    const [chart, span, height] = entry.split(':');
+    if (!CHART_REGISTRY[chart] || seen.has(chart)) return;
+    seen.add(chart);
+    const panel = defaultPanel(chart);
+    if (PANEL_SPANS.includes(+span)) panel.span = +span;
+    if (panel.height !== null && /^\d+$/.test(height || '')) {
+      panel.height = clampPanelHeight(+height);
+    }
+    layout.push(panel);
+  });
+  // An empty param stands for a layout with every panel removed
+  return layout.length || text === '' ? layout : null;
+}
@@ -0,0 +1,148 @@
+/**
+ * Parsing of raw disaster records (as read from CSV, TSV or JSON) into the
+ * typed event objects used throughout the dashboard. Numeric values that are
+ * blank or unparseable become null rather than 0, so aggregates can skip them.
+ */
+
+// Columns without which a record cannot be placed on the dashboard
+export const REQUIRED_COLUMNS = ['date', 'country', 'disaster_type'];
+
+export const NUMERIC_COLUMNS = [
+  'severity_index',
+  'casualties',
+  'economic_loss_usd',
+  'response_time_hours',
+  'aid_amount_usd',
+  'response_efficiency_score',
+  'recovery_days',
+  'latitude',
+  'longitude',
+];
+
+export const DATASET_COLUMNS = [...REQUIRED_COLUMNS, ...NUMERIC_COLUMNS];
+
+// Values outside these bounds cannot be real and are treated as unparseable
+const VALID_RANGES = {
+  casualties: [0, Infinity],
+  economic_loss_usd: [0, Infinity],
+  response_time_hours: [0, Infinity],
+  aid_amount_usd: [0, Infinity],
+  recovery_days: [0, Infinity],
+  latitude: [-90, 90],
+  longitude: [-180, 180],
+};
+
+/**
+ * Empty report for a parse of the given number of rows
+ * @param {number} totalRows - number of raw records
+ * @returns {Object} { totalRows, columns, dropped }
+ */
+export function createQualityReport(totalRows = 0) {
+  return {
+    totalRows,
+    columns: Object.fromEntries(
+      DATASET_COLUMNS.map((column) => [column, { missing: 0, invalid: 0 }])
+    ),
+    dropped: [],
+  };
+}
+
+const isBlank = (value) =>
+  value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Parse a numeric value
+ * @param {*} value - raw value
+ * @param {string} column - dataset column the value belongs to
+ * @returns {number|null} the number, or null if blank, unparseable or out of range
+ */
+function parseNumber(value, column) {
+  if (isBlank(value)) return null;
+  const number = +value;
+  if (!Number.isFinite(number)) return null;
+  const range = VALID_RANGES[column];
+  if (range && (number < range[0] || number > range[1])) return null;
+  return number;
+}
+
+/**
+ * Convert a raw record into a typed event
+ * @param {Object} d - raw record keyed by dataset column name
+ * @returns {Object} parsed event
+ */
+export function parseDisasterRow(d) {
+  // Parse date
+  const dateStr = d.date;
+  const parsedDate = isBlank(dateStr) ? new Date(NaN) : new Date(dateStr);
+
+  const event = {
+    // Original fields
+    date: parsedDate,
+    country: d.country,
+    disaster_type: d.disaster_type,
+
+    // Derived fields
+    year: parsedDate.getFullYear(),
+    month: parsedDate.getMonth() + 1,
+    yearMonth: `${parsedDate.getFullYear()}-${String(parsedDate.getMonth() + 1).padStart(2, '0')}`
+  };
+
+  // Numeric fields - convert to numbers, null when missing or invalid
+  NUMERIC_COLUMNS.forEach((column) => {
+    event[column] = parseNumber(d[column], column);
+  });
+
+  return event;
+}
+
+/**
+ * Parse raw records, drop the ones that cannot be used and record every
+ * missing or unparseable value in a data-quality report
+ * @param {Object[]} rawData - raw records keyed by dataset column name
+ * @param {string} source - name of the file the records came from
+ * @returns {Object} { data, droppedCount, quality }
+ */
+export function parseDisasterData(rawData, source) {
+  const quality = createQualityReport(rawData.length);
+  const validData = [];
+
+  rawData.forEach((raw, index) => {
+    const event = parseDisasterRow(raw);
+    const reasons = [];
+
+    if (isBlank(raw.date)) {
+      quality.columns.date.missing++;
+      reasons.push('missing date');
+    } else if (isNaN(event.date.getTime())) {
+      quality.columns.date.invalid++;
+      reasons.push(`unparseable date "${raw.date}"`);
+    }
+    ['country', 'disaster_type'].forEach((column) => {
+      if (isBlank(raw[column])) {
+        quality.columns[column].missing++;
+        reasons.push(`missing ${column}`);
+      }
+    });
+    NUMERIC_COLUMNS.forEach((column) => {
+      if (event[column] !== null) return;
+      if (isBlank(raw[column])) {
+        quality.columns[column].missing++;
+      } else {
+        quality.columns[column].invalid++;
+      }
+    });
+
+    // Filter out any invalid entries
+    if (reasons.length) {
+      quality.dropped.push({ source, row: index + 1, reasons });
+    } else {
+      validData.push(event);
+    }
+  });
+
+  return {
+    data: validData,
+    droppedCount: quality.dropped.length,
+    quality
+  };
+}
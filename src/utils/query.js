@@ -0,0 +1,430 @@
+import * as d3 from 'd3';
+import { NUMERIC_COLUMNS } from './parseDisasters';
+import { parseAmount } from './amounts';
+
+/**
+ * The query language of the filter bar, e.g.
+ *   casualties > 100 and disaster_type in (Flood, Storm) and not country = Chile
+ * Conditions compare a field with a value and combine with and, or, not and
+ * parentheses. Text matches ignore case; missing values match only
+ * "is null". Dates may be whole years, months or days: "date = 2021-03"
+ * covers March 2021 and "date > 2021" starts in 2022.
+ */
+
+// Every field of a parsed event, by the kind of value it holds
+export const QUERY_FIELDS = {
+  date: 'date',
+  disaster_type: 'text',
+  country: 'text',
+  yearMonth: 'text',
+  year: 'number',
+  month: 'number',
+  ...Object.fromEntries(NUMERIC_COLUMNS.map((column) => [column, 'number'])),
+};
+
+const OPERATORS = {
+  text: ['=', '!=', 'in', 'not in', 'contains', 'is null', 'is not null'],
+  number: ['=', '!=', '>', '>=', '<', '<=', 'in', 'not in', 'is null', 'is not null'],
+  date: ['=', '!=', '>', '>=', '<', '<=', 'in', 'not in'],
+};
+
+const KEYWORDS = ['and', 'or', 'not', 'in', 'is', 'null', 'contains'];
+// Characters that end a bare word
+const WORD = /^[^\s(),=!<>"']+/;
+const MAX_SUGGESTIONS = 10;
+
+const syntaxError = (message, position) =>
+  Object.assign(new Error(message), { position });
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+    const start = i;
+    const op = /^(>=|<=|!=|=|>|<)/.exec(text.slice(i));
+    if (op) {
+      tokens.push({ kind: 'op', text: op[1], start });
+      i += op[1].length;
+    } else if ('(),'.includes(c)) {
+      tokens.push({ kind: c, text: c, start });
+      i++;
+    } else if (c === '"' || c === "'") {
+      const end = text.indexOf(c, i + 1);
+      if (end === -1) throw syntaxError('Unclosed quote', start);
+      tokens.push({ kind: 'string', text: text.slice(i + 1, end), start });
+      i = end + 1;
+    } else {
+      const word = WORD.exec(text.slice(i));
+      if (!word) throw syntaxError(`Unexpected '${c}'`, start);
+      tokens.push({ kind: 'word', text: word[0], start });
+      i += word[0].length;
+    }
+  }
+  return tokens;
+}
+
+const isWord = (token, word) =>
+  Boolean(token) && token.kind === 'word' && token.text.toLowerCase() === word;
+
+const findField = (name) =>
+  Object.keys(QUERY_FIELDS).find(
+    (field) => field.toLowerCase() === name.toLowerCase()
+  );
+
+// Whole years, months or days, as a [start, end) range
+function parseDateValue(text) {
+  const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(text);
+  if (!match) return null;
+  const [year, month, day] = [+match[1], match[2] && +match[2], match[3] && +match[3]];
+  if (month !== undefined && (month < 1 || month > 12)) return null;
+  if (day !== undefined && (day < 1 || day > 31)) return null;
+  const start = new Date(year, month ? month - 1 : 0, day || 1);
+  const interval = day ? d3.timeDay : month ? d3.timeMonth : d3.timeYear;
+  return { start, end: interval.offset(start, 1) };
+}
+
+function parseTokens(tokens, length) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const describe = (token) =>
+    token ? `'${token.text}'` : 'the end of the query';
+  const fail = (message, token = peek()) => {
+    throw syntaxError(message, token ? token.start : length);
+  };
+
+  function parseValue(field) {
+    const token = peek();
+    if (
+      !token ||
+      (token.kind !== 'word' && token.kind !== 'string') ||
+      isWord(token, 'and') ||
+      isWord(token, 'or')
+    ) {
+      fail(`Expected a value for ${field} but found ${describe(token)}`);
+    }
+    // Bare values run over several words, so country = United States works
+    let text;
+    if (token.kind === 'string') {
+      text = next().text;
+    } else {
+      const words = [];
+      while (
+        peek() &&
+        peek().kind === 'word' &&
+        !isWord(peek(), 'and') &&
+        !isWord(peek(), 'or')
+      ) {
+        words.push(next().text);
+      }
+      text = words.join(' ');
+    }
+
+    const type = QUERY_FIELDS[field];
+    if (type === 'number') {
+      const value = parseAmount(text);
+      if (value === null) fail(`'${text}' is not a number`, token);
+      return value;
+    }
+    if (type === 'date') {
+      const value = parseDateValue(text);
+      if (!value) fail(`Dates are written YYYY, YYYY-MM or YYYY-MM-DD, not '${text}'`, token);
+      return value;
+    }
+    return text;
+  }
+
+  function parseCondition() {
+    const fieldToken = next();
+    const field = findField(fieldToken.text);
+    if (!field) fail(`Unknown field '${fieldToken.text}'`, fieldToken);
+    const type = QUERY_FIELDS[field];
+
+    const token = peek();
+    if (isWord(token, 'is')) {
+      next();
+      const negate = isWord(peek(), 'not');
+      if (negate) next();
+      if (!isWord(peek(), 'null')) fail(`Expected 'null' but found ${describe(peek())}`);
+      next();
+      return { type: 'null', field, negate };
+    }
+
+    const negate = isWord(token, 'not');
+    if (negate) {
+      next();
+      if (!isWord(peek(), 'in')) fail(`Expected 'in' after 'not' but found ${describe(peek())}`);
+    }
+    if (isWord(peek(), 'in')) {
+      next();
+      if (!peek() || peek().kind !== '(') fail(`Expected '(' after 'in' but found ${describe(peek())}`);
+      next();
+      const values = [parseValue(field)];
+      while (peek() && peek().kind === ',') {
+        next();
+        values.push(parseValue(field));
+      }
+      if (!peek() || peek().kind !== ')') fail(`Expected ',' or ')' but found ${describe(peek())}`);
+      next();
+      return { type: 'in', field, values, negate };
+    }
+
+    if (isWord(token, 'contains')) {
+      if (type !== 'text') fail(`'contains' only applies to text fields`, token);
+      next();
+      return { type: 'contains', field, value: parseValue(field) };
+    }
+
+    if (!token || token.kind !== 'op') {
+      fail(`Expected an operator such as = or > after ${field} but found ${describe(token)}`);
+    }
+    if (type === 'text' && token.text !== '=' && token.text !== '!=') {
+      fail(`'${token.text}' does not apply to ${field}; use =, !=, in or contains`, token);
+    }
+    next();
+    return { type: 'compare', field, op: token.text, value: parseValue(field) };
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (token && token.kind === '(') {
+      next();
+      const expression = parseOr();
+      if (!peek() || peek().kind !== ')') fail(`Expected ')' but found ${describe(peek())}`);
+      next();
+      return expression;
+    }
+    if (!token || token.kind !== 'word' || KEYWORDS.includes(token.text.toLowerCase())) {
+      fail(`Expected a field name but found ${describe(token)}`);
+    }
+    return parseCondition();
+  }
+
+  function parseNot() {
+    if (isWord(peek(), 'not')) {
+      next();
+      return { type: 'not', operand: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parseAnd() {
+    let left = parseNot();
+    while (isWord(peek(), 'and')) {
+      next();
+      left = { type: 'and', left, right: parseNot() };
+    }
+    return left;
+  }
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isWord(peek(), 'or')) {
+      next();
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  const expression = parseOr();
+  if (peek()) fail(`Unexpected ${describe(peek())}`);
+  return expression;
+}
+
+/**
+ * Parse a query
+ * @param {string} text
+ * @returns {Object} { expression, error }: the syntax tree, or null for a
+ *   blank query; error is { message, position } when the text is invalid
+ */
+export function parseQuery(text) {
+  if (!text.trim()) return { expression: null, error: null };
+  try {
+    return { expression: parseTokens(tokenize(text), text.length), error: null };
+  } catch (err) {
+    if (err.position === undefined) throw err;
+    return {
+      expression: null,
+      error: { message: err.message, position: err.position },
+    };
+  }
+}
+
+// Test of a present value against one condition value
+function valueTest(field, op, value) {
+  const type = QUERY_FIELDS[field];
+  if (type === 'text') {
+    const lower = value.toLowerCase();
+    return op === '=' ? (v) => v.toLowerCase() === lower : (v) => v.toLowerCase() !== lower;
+  }
+  if (type === 'date') {
+    const { start, end } = value;
+    return {
+      '=': (v) => v >= start && v < end,
+      '!=': (v) => v < start || v >= end,
+      '>': (v) => v >= end,
+      '>=': (v) => v >= start,
+      '<': (v) => v < start,
+      '<=': (v) => v < end,
+    }[op];
+  }
+  return {
+    '=': (v) => v === value,
+    '!=': (v) => v !== value,
+    '>': (v) => v > value,
+    '>=': (v) => v >= value,
+    '<': (v) => v < value,
+    '<=': (v) => v <= value,
+  }[op];
+}
+
+function compile(node) {
+  switch (node.type) {
+    case 'and': {
+      const [left, right] = [compile(node.left), compile(node.right)];
+      return (d) => left(d) && right(d);
+    }
+    case 'or': {
+      const [left, right] = [compile(node.left), compile(node.right)];
+      return (d) => left(d) || right(d);
+    }
+    case 'not': {
+      const operand = compile(node.operand);
+      return (d) => !operand(d);
+    }
+    case 'null':
+      return (d) => (d[node.field] === null) !== node.negate;
+    case 'in': {
+      const tests = node.values.map((value) => valueTest(node.field, '=', value));
+      return (d) =>
+        d[node.field] !== null &&
+        tests.some((test) => test(d[node.field])) !== node.negate;
+    }
+    case 'contains': {
+      const needle = node.value.toLowerCase();
+      return (d) => d[node.field] !== null && d[node.field].toLowerCase().includes(needle);
+    }
+    default: {
+      const test = valueTest(node.field, node.op, node.value);
+      return (d) => d[node.field] !== null && test(d[node.field]);
+    }
+  }
+}
+
+/**
+ * Predicate for the events a query matches
+ * @param {string} text
+ * @returns {Function|null} null for blank or invalid queries
+ */
+export function compileQuery(text) {
+  const { expression } = parseQuery(text);
+  return expression && compile(expression);
+}
+
+// Values are quoted whenever they would not survive as bare words
+const quoteValue = (value) =>
+  /^[^\s(),=!<>"']+$/.test(value) && !KEYWORDS.includes(value.toLowerCase())
+    ? value
+    : `"${value.replace(/"/g, "'")}"`;
+
+/**
+ * Completions for the word being typed: field names, operators, known
+ * values of text fields, or a connective
+ * @param {string} text
+ * @param {number} cursor - caret position in text
+ * @param {Object} values - field -> known values, e.g. { country: [...] }
+ * @returns {Object} { from (start of the replaced text), options: [{ label, insert }] }
+ */
+export function suggestQuery(text, cursor, values = {}) {
+  const before = text.slice(0, cursor);
+
+  // The word being typed; inside an open quote, everything after the quote
+  let from = cursor - /[^\s(),=!<>"']*$/.exec(before)[0].length;
+  const quote = /(["'])([^"']*)$/.exec(before);
+  if (quote && before.slice(0, quote.index).split(quote[1]).length % 2 === 1) {
+    from = quote.index;
+  }
+  const partial = before.slice(from).replace(/^["']/, '').toLowerCase();
+
+  let tokens;
+  try {
+    tokens = tokenize(before.slice(0, from));
+  } catch (err) {
+    return { from, options: [] };
+  }
+
+  // Follow the grammar far enough to know what comes next
+  let expect = 'field';
+  let field = null;
+  let inList = false;
+  tokens.forEach((token) => {
+    const word = token.kind === 'word' ? token.text.toLowerCase() : null;
+    switch (expect) {
+      case 'field':
+        if (word === 'not' || token.kind === '(') return;
+        field = findField(token.text);
+        expect = 'operator';
+        return;
+      case 'operator':
+        if (word === 'is') expect = 'null';
+        else if (word === 'in') expect = 'list';
+        else if (word !== 'not') expect = 'value';
+        return;
+      case 'list':
+        if (token.kind === '(') {
+          inList = true;
+          expect = 'value';
+        }
+        return;
+      case 'null':
+        if (word === 'null') expect = 'connective';
+        return;
+      case 'value':
+        expect = inList ? 'listed' : 'connective';
+        return;
+      case 'listed':
+        if (token.kind === ',') expect = 'value';
+        if (token.kind === ')') {
+          inList = false;
+          expect = 'connective';
+        }
+        return;
+      default:
+        if (word === 'and' || word === 'or') {
+          expect = 'field';
+          field = null;
+        }
+    }
+  });
+
+  let labels = [];
+  let insert = (label) => label;
+  if (expect === 'field') {
+    labels = Object.keys(QUERY_FIELDS);
+  } else if (expect === 'operator' && field) {
+    labels = OPERATORS[QUERY_FIELDS[field]];
+  } else if (expect === 'null') {
+    labels = ['null', 'not null'];
+  } else if (expect === 'value' && field) {
+    labels = values[field] || [];
+    insert = quoteValue;
+  } else if (expect === 'connective') {
+    labels = ['and', 'or'];
+  }
+
+  const options = labels
+    .filter((label) => String(label).toLowerCase().includes(partial))
+    .sort(
+      (a, b) =>
+        !String(a).toLowerCase().startsWith(partial) -
+        !String(b).toLowerCase().startsWith(partial)
+    )
+    .slice(0, MAX_SUGGESTIONS)
+    .map((label) => ({ label: String(label), insert: insert(String(label)) }));
+  return { from, options };
+}
@@ -0,0 +1,119 @@
+import { compileQuery, parseQuery, suggestQuery } from './query';
+import { parseDisasterRow } from './parseDisasters';
+
+// Events go through the dataset parser, so missing values are null as in
+// the dashboard
+const event = (fields) =>
+  parseDisasterRow({
+    date: '2021-03-15',
+    country: 'Chile',
+    disaster_type: 'Flood',
+    ...fields,
+  });
+
+const matches = (query, fields) => compileQuery(query)(event(fields));
+
+describe('parseQuery', () => {
+  it('gives no expression and no error for a blank query', () => {
+    expect(parseQuery('  ')).toEqual({ expression: null, error: null });
+  });
+
+  it('binds and tighter than or', () => {
+    const { expression } = parseQuery('year = 2020 or year = 2021 and month = 3');
+    expect(expression.type).toBe('or');
+    expect(expression.right.type).toBe('and');
+  });
+
+  it('reads bare values over several words', () => {
+    const { expression } = parseQuery('country = United States and year = 2020');
+    expect(expression.left).toEqual({
+      type: 'compare',
+      field: 'country',
+      op: '=',
+      value: 'United States',
+    });
+  });
+
+  it('matches field names without regard to case', () => {
+    expect(parseQuery('Casualties > 5').expression.field).toBe('casualties');
+  });
+
+  it('reports the position of a syntax error', () => {
+    expect(parseQuery('casualties >').error).toEqual({
+      message: 'Expected a value for casualties but found the end of the query',
+      position: 12,
+    });
+    expect(parseQuery('colour = red').error.position).toBe(0);
+    expect(parseQuery('country = "Chile').error.message).toBe('Unclosed quote');
+  });
+
+  it('rejects operators that do not apply to a field', () => {
+    expect(parseQuery('country > Chile').error.message).toMatch(/does not apply/);
+    expect(parseQuery('casualties contains 5').error.message).toMatch(/only applies/);
+    expect(parseQuery('casualties = many').error.message).toMatch(/not a number/);
+    expect(parseQuery('date = 2021-13').error.message).toMatch(/YYYY-MM/);
+  });
+});
+
+describe('compileQuery', () => {
+  it('gives null for blank and invalid queries', () => {
+    expect(compileQuery('')).toBeNull();
+    expect(compileQuery('casualties >')).toBeNull();
+  });
+
+  it('compares numbers, with k, M and B suffixes', () => {
+    expect(matches('casualties > 100', { casualties: 150 })).toBe(true);
+    expect(matches('casualties > 100', { casualties: 100 })).toBe(false);
+    expect(matches('economic_loss_usd >= 2.5M', { economic_loss_usd: 2.5e6 })).toBe(true);
+  });
+
+  it('matches missing values only with is null', () => {
+    expect(matches('casualties < 10', {})).toBe(false);
+    expect(matches('casualties != 10', {})).toBe(false);
+    expect(matches('casualties is null', {})).toBe(true);
+    expect(matches('casualties is not null', {})).toBe(false);
+  });
+
+  it('compares text without regard to case', () => {
+    expect(matches('country = chile', {})).toBe(true);
+    expect(matches('country != CHILE', {})).toBe(false);
+    expect(matches('country contains il', {})).toBe(true);
+  });
+
+  it('matches lists, negated lists and not', () => {
+    expect(matches('disaster_type in (Storm, flood)', {})).toBe(true);
+    expect(matches('disaster_type not in (Storm, Flood)', {})).toBe(false);
+    expect(matches('not country = Chile', {})).toBe(false);
+    expect(matches('not (country = Peru or year = 2020)', {})).toBe(true);
+  });
+
+  it('treats dates as whole years, months or days', () => {
+    expect(matches('date = 2021-03', {})).toBe(true);
+    expect(matches('date = 2021-03-16', {})).toBe(false);
+    expect(matches('date > 2020', {})).toBe(true);
+    expect(matches('date > 2021', {})).toBe(false);
+    expect(matches('date <= 2021', {})).toBe(true);
+  });
+});
+
+describe('suggestQuery', () => {
+  const labels = (text, values) =>
+    suggestQuery(text, text.length, values).options.map((o) => o.label);
+
+  it('suggests fields, then operators, then connectives', () => {
+    expect(labels('disaster_t')).toEqual(['disaster_type']);
+    expect(labels('country ')).toContain('contains');
+    expect(labels('country ')).not.toContain('>');
+    expect(labels('casualties > 5 ')).toEqual(['and', 'or']);
+  });
+
+  it('suggests known values and quotes them where needed', () => {
+    const { from, options } = suggestQuery('country = uni', 13, {
+      country: ['Chile', 'United States'],
+    });
+    expect(from).toBe(10);
+    expect(options).toEqual([
+      { label: 'United States', insert: '"United States"' },
+    ]);
+  });
+});
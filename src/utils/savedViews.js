@@ -0,0 +1,147 @@
+/**
+ * Named views: snapshots of the whole dashboard state, kept in localStorage
+ * so analysts can switch between standing views. A view stores the state as
+ * the URL query string from serializeState, so it is validated against the
+ * loaded data by parseState when applied, like a shared link.
+ */
+
+export const VIEWS_STORAGE_KEY = 'disaster-dashboard:views';
+
+export const EMPTY_VIEW_STORE = { views: [], defaultId: null };
+
+// Marks files written by exportViews, so other JSON is rejected on import
+const VIEWS_FILE_FORMAT = 'disaster-dashboard-views';
+
+const isView = (view) =>
+  view !== null &&
+  typeof view === 'object' &&
+  typeof view.name === 'string' &&
+  typeof view.state === 'string';
+
+/**
+ * Whether a value read from storage is a usable view store
+ * @param {*} store
+ * @returns {boolean}
+ */
+export function isViewStore(store) {
+  return (
+    store !== null &&
+    typeof store === 'object' &&
+    Array.isArray(store.views) &&
+    store.views.every((view) => isView(view) && typeof view.id === 'string') &&
+    (store.defaultId === null || typeof store.defaultId === 'string')
+  );
+}
+
+const newId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * A name not yet used by any view, numbering copies as "Name (2)"
+ * @param {string} name
+ * @param {Object[]} views
+ * @returns {string}
+ */
+export function uniqueViewName(name, views) {
+  const taken = new Set(views.map((view) => view.name));
+  const base = name.replace(/ \(\d+\)$/, '');
+  if (!taken.has(name)) return name;
+  let n = 2;
+  while (taken.has(`${base} (${n})`)) n++;
+  return `${base} (${n})`;
+}
+
+/**
+ * Add a view to the store
+ * @param {Object} store - { views, defaultId }
+ * @param {string} name
+ * @param {string} state - serialized dashboard state
+ * @returns {Object} { store, view } with the new view
+ */
+export function addView(store, name, state) {
+  const view = { id: newId(), name: uniqueViewName(name, store.views), state };
+  return { store: { ...store, views: [...store.views, view] }, view };
+}
+
+/**
+ * Change some fields of one view
+ * @param {Object} store
+ * @param {string} id
+ * @param {Object} changes - { name } and/or { state }
+ * @returns {Object} store
+ */
+export function updateView(store, id, changes) {
+  return {
+    ...store,
+    views: store.views.map((view) => {
+      if (view.id !== id) return view;
+      const others = store.views.filter((other) => other.id !== id);
+      return {
+        ...view,
+        ...changes,
+        name: changes.name ? uniqueViewName(changes.name, others) : view.name,
+      };
+    }),
+  };
+}
+
+/**
+ * Remove a view, and the default if it was that view
+ * @param {Object} store
+ * @param {string} id
+ * @returns {Object} store
+ */
+export function removeView(store, id) {
+  return {
+    views: store.views.filter((view) => view.id !== id),
+    defaultId: store.defaultId === id ? null : store.defaultId,
+  };
+}
+
+/**
+ * JSON file contents for sharing views between browsers
+ * @param {Object} store
+ * @returns {string}
+ */
+export function exportViews(store) {
+  const defaultView = store.views.find((view) => view.id === store.defaultId);
+  return JSON.stringify(
+    {
+      format: VIEWS_FILE_FORMAT,
+      views: store.views.map(({ name, state }) => ({ name, state })),
+      default: defaultView ? defaultView.name : null,
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Add the views of an exported file to the store. Imported views are
+ * renamed when their names are taken; the file's default only applies when
+ * no default is set yet.
+ * @param {Object} store
+ * @param {string} text - contents of a file written by exportViews
+ * @returns {Object} { store, count } with the number of views added
+ */
+export function importViews(store, text) {
+  const parsed = JSON.parse(text);
+  if (
+    parsed === null ||
+    parsed.format !== VIEWS_FILE_FORMAT ||
+    !Array.isArray(parsed.views) ||
+    !parsed.views.every(isView)
+  ) {
+    throw new Error('Not a views file exported from this dashboard');
+  }
+
+  let next = store;
+  parsed.views.forEach(({ name, state }) => {
+    const { store: added, view } = addView(next, name, state);
+    next =
+      name === parsed.default && next.defaultId === null
+        ? { ...added, defaultId: view.id }
+        : added;
+  });
+  return { store: next, count: parsed.views.length };
+}
@@ -0,0 +1,98 @@
+import {
+  EMPTY_VIEW_STORE,
+  addView,
+  exportViews,
+  importViews,
+  isViewStore,
+  removeView,
+  uniqueViewName,
+  updateView,
+} from './savedViews';
+
+const storeWith = (...names) =>
+  names.reduce(
+    (store, name) => addView(store, name, `q=${name}`).store,
+    EMPTY_VIEW_STORE
+  );
+
+describe('uniqueViewName', () => {
+  it('numbers copies of a taken name', () => {
+    const views = [{ name: 'Floods' }, { name: 'Floods (2)' }];
+    expect(uniqueViewName('Storms', views)).toBe('Storms');
+    expect(uniqueViewName('Floods', views)).toBe('Floods (3)');
+    expect(uniqueViewName('Floods (2)', views)).toBe('Floods (3)');
+  });
+});
+
+describe('view store', () => {
+  it('adds views with their own ids and names', () => {
+    const { views } = storeWith('Floods', 'Floods');
+    expect(views.map((view) => view.name)).toEqual(['Floods', 'Floods (2)']);
+    expect(views[0].id).not.toBe(views[1].id);
+    expect(isViewStore({ views, defaultId: null })).toBe(true);
+  });
+
+  it('renames a view without clashing with the others', () => {
+    const store = storeWith('Floods', 'Storms');
+    const [floods, storms] = store.views;
+    const renamed = updateView(store, storms.id, { name: 'Floods' });
+    expect(renamed.views[1]).toEqual({ ...storms, name: 'Floods (2)' });
+    expect(renamed.views[0]).toBe(floods);
+    expect(updateView(store, floods.id, { name: 'Floods' }).views[0].name).toBe(
+      'Floods'
+    );
+  });
+
+  it('clears the default when its view is removed', () => {
+    const store = storeWith('Floods', 'Storms');
+    const [floods, storms] = store.views;
+    const withDefault = { ...store, defaultId: floods.id };
+    expect(removeView(withDefault, storms.id).defaultId).toBe(floods.id);
+    expect(removeView(withDefault, floods.id)).toEqual({
+      views: [storms],
+      defaultId: null,
+    });
+  });
+
+  it('rejects malformed stores', () => {
+    expect(isViewStore(null)).toBe(false);
+    expect(isViewStore({ views: [{ name: 'x', state: '' }], defaultId: null })).toBe(
+      false
+    );
+    expect(isViewStore({ views: [], defaultId: 3 })).toBe(false);
+  });
+});
+
+describe('exportViews and importViews', () => {
+  it('carry views and the default between stores', () => {
+    const source = storeWith('Floods', 'Storms');
+    const file = exportViews({ ...source, defaultId: source.views[1].id });
+
+    const { store, count } = importViews(storeWith('Floods'), file);
+    expect(count).toBe(2);
+    expect(store.views.map(({ name, state }) => [name, state])).toEqual([
+      ['Floods', 'q=Floods'],
+      ['Floods (2)', 'q=Floods'],
+      ['Storms', 'q=Storms'],
+    ]);
+    expect(store.defaultId).toBe(store.views[2].id);
+  });
+
+  it("keep the store's own default", () => {
+    const source = storeWith('Storms');
+    const file = exportViews({ ...source, defaultId: source.views[0].id });
+    const target = storeWith('Floods');
+    const withDefault = { ...target, defaultId: target.views[0].id };
+    expect(importViews(withDefault, file).store.defaultId).toBe(
+      target.views[0].id
+    );
+  });
+
+  it('reject files that are not exported views', () => {
+    expect(() => importViews(EMPTY_VIEW_STORE, '{"views": []}')).toThrow(
+      'Not a views file exported from this dashboard'
+    );
+    expect(() => importViews(EMPTY_VIEW_STORE, 'null')).toThrow();
+    expect(() => importViews(EMPTY_VIEW_STORE, 'not json')).toThrow(SyntaxError);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Helpers for multi-value filter selections. A selection is either null,
+ * meaning no filter (every value matches), or a Set of the selected values.
+ * An empty Set matches nothing.
+ */
+
+/**
+ * Collapse a selection covering every option back to "no filter"
+ * @param {Set} selection - selected values
+ * @param {string[]} options - all possible values
+ * @returns {Set|null}
+ */
+export function normalizeSelection(selection, options) {
+  if (
+    selection &&
+    selection.size === options.length &&
+    options.every((option) => selection.has(option))
+  ) {
+    return null;
+  }
+  return selection;
+}
+
+/**
+ * Whether a value passes the selection
+ * @param {Set|null} selection
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function matchesSelection(selection, value) {
+  return selection === null || selection.has(value);
+}
+
+/**
+ * Add or remove a single value
+ * @param {Set|null} selection
+ * @param {string} value
+ * @param {string[]} options - all possible values
+ * @returns {Set|null}
+ */
+export function toggleValue(selection, value, options) {
+  const next = new Set(selection === null ? options : selection);
+  if (next.has(value)) {
+    next.delete(value);
+  } else {
+    next.add(value);
+  }
+  return normalizeSelection(next, options);
+}
+
+/**
+ * Add several values at once, or remove them if all are already selected,
+ * as when ticking a group of options
+ * @param {Set|null} selection
+ * @param {string[]} values
+ * @param {string[]} options - all possible values
+ * @returns {Set|null}
+ */
+export function toggleValues(selection, values, options) {
+  const next = new Set(selection === null ? options : selection);
+  if (values.every((value) => next.has(value))) {
+    values.forEach((value) => next.delete(value));
+  } else {
+    values.forEach((value) => next.add(value));
+  }
+  return normalizeSelection(next, options);
+}
+
+/**
+ * Select only the given value, or clear the filter if it already is the
+ * only selected value
+ * @param {Set|null} selection
+ * @param {string} value
+ * @returns {Set|null}
+ */
+export function selectOnly(selection, value) {
+  if (selection && selection.size === 1 && selection.has(value)) {
+    return null;
+  }
+  return new Set([value]);
+}
+
+/**
+ * Select every option that is currently not selected
+ * @param {Set|null} selection
+ * @param {string[]} options - all possible values
+ * @returns {Set|null}
+ */
+export function invertSelection(selection, options) {
+  if (selection === null) return new Set();
+  return normalizeSelection(
+    new Set(options.filter((option) => !selection.has(option))),
+    options
+  );
+}
+
+/**
+ * Short human-readable description of a selection
+ * @param {Set|null} selection
+ * @param {number} optionCount - number of possible values
+ * @param {string} noun - plural name of the values, e.g. "types"
+ * @returns {string}
+ */
+export function describeSelection(selection, optionCount, noun) {
+  if (selection === null) return `All ${noun}`;
+  if (selection.size === 0) return `No ${noun}`;
+  if (selection.size <= 2) return [...selection].sort().join(', ');
+  return `${selection.size} of ${optionCount} ${noun}`;
+}
+
+/**
+ * Whether a click should add to the selection instead of replacing it
+ * @param {Event} event - DOM mouse event
+ * @returns {boolean}
+ */
+export function isAdditiveClick(event) {
+  return event.shiftKey || event.ctrlKey || event.metaKey;
+}
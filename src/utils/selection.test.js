@@ -0,0 +1,65 @@
+import {
+  describeSelection,
+  invertSelection,
+  isAdditiveClick,
+  matchesSelection,
+  normalizeSelection,
+  selectOnly,
+  toggleValue,
+  toggleValues,
+} from './selection';
+
+const options = ['Earthquake', 'Flood', 'Storm'];
+
+describe('selection helpers', () => {
+  it('treats a selection of every option as no filter', () => {
+    expect(normalizeSelection(new Set(options), options)).toBeNull();
+    expect(normalizeSelection(new Set(['Flood']), options)).toEqual(
+      new Set(['Flood'])
+    );
+    expect(matchesSelection(null, 'Flood')).toBe(true);
+    expect(matchesSelection(new Set(), 'Flood')).toBe(false);
+  });
+
+  it('toggles single values starting from no filter', () => {
+    const withoutFlood = toggleValue(null, 'Flood', options);
+    expect(withoutFlood).toEqual(new Set(['Earthquake', 'Storm']));
+    expect(toggleValue(withoutFlood, 'Flood', options)).toBeNull();
+  });
+
+  it('adds a group unless all of it is selected, then removes it', () => {
+    const group = ['Flood', 'Storm'];
+    expect(toggleValues(new Set(['Flood']), group, options)).toEqual(
+      new Set(['Flood', 'Storm'])
+    );
+    expect(toggleValues(new Set(group), group, options)).toEqual(new Set());
+  });
+
+  it('selects only one value, or clears the filter when it already is', () => {
+    expect(selectOnly(null, 'Storm')).toEqual(new Set(['Storm']));
+    expect(selectOnly(new Set(['Storm']), 'Storm')).toBeNull();
+  });
+
+  it('inverts selections', () => {
+    expect(invertSelection(null, options)).toEqual(new Set());
+    expect(invertSelection(new Set(), options)).toBeNull();
+    expect(invertSelection(new Set(['Flood']), options)).toEqual(
+      new Set(['Earthquake', 'Storm'])
+    );
+  });
+
+  it('describes selections by size', () => {
+    expect(describeSelection(null, 3, 'types')).toBe('All types');
+    expect(describeSelection(new Set(), 3, 'types')).toBe('No types');
+    expect(describeSelection(new Set(['Storm', 'Flood']), 3, 'types')).toBe(
+      'Flood, Storm'
+    );
+    expect(describeSelection(new Set(options), 5, 'types')).toBe('3 of 5 types');
+  });
+
+  it('adds to the selection on shift, ctrl or cmd clicks', () => {
+    const click = { shiftKey: false, ctrlKey: false, metaKey: false };
+    expect(isAdditiveClick(click)).toBe(false);
+    expect(isAdditiveClick({ ...click, metaKey: true })).toBe(true);
+  });
+});
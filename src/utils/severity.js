@@ -0,0 +1,54 @@
+/**
+ * Severity bands: named ranges of severity_index separated by editable
+ * thresholds. Three ascending thresholds split the index into four bands.
+ */
+
+export const SEVERITY_BANDS = ['Low', 'Moderate', 'High', 'Extreme'];
+export const DEFAULT_SEVERITY_THRESHOLDS = [3, 5, 7];
+
+/**
+ * Band an event's severity falls in
+ * @param {number|null} value - severity_index
+ * @param {number[]} thresholds - ascending band boundaries
+ * @returns {string|null} band name, or null when the severity is missing
+ */
+export function severityBand(value, thresholds) {
+  if (value === null) return null;
+  const index = thresholds.findIndex((threshold) => value < threshold);
+  return SEVERITY_BANDS[index === -1 ? thresholds.length : index];
+}
+
+/**
+ * Range covered by a band, such as "5–7" or "≥ 7"
+ * @param {string} band - band name
+ * @param {number[]} thresholds
+ * @returns {string}
+ */
+export function describeBandRange(band, thresholds) {
+  const index = SEVERITY_BANDS.indexOf(band);
+  if (index === 0) return `< ${thresholds[0]}`;
+  if (index === thresholds.length) return `≥ ${thresholds[index - 1]}`;
+  return `${thresholds[index - 1]}–${thresholds[index]}`;
+}
+
+/**
+ * Whether thresholds can be used: one per band boundary, finite and
+ * strictly ascending
+ * @param {number[]} thresholds
+ * @returns {boolean}
+ */
+export function isValidThresholds(thresholds) {
+  return (
+    thresholds.length === SEVERITY_BANDS.length - 1 &&
+    thresholds.every(Number.isFinite) &&
+    thresholds.every((threshold, i) => i === 0 || threshold > thresholds[i - 1])
+  );
+}
+
+/**
+ * Weight accessor for severity-weighted aggregates. Events without a
+ * severity carry no weight.
+ * @param {Object} d - parsed event
+ * @returns {number}
+ */
+export const severityWeight = (d) => d.severity_index ?? 0;
@@ -0,0 +1,415 @@
+import * as d3 from 'd3';
+
+/**
+ * Summary statistics that d3-array does not provide. Inputs are plain
+ * number arrays with missing values already removed.
+ */
+
+/**
+ * Five-number summary with Tukey whiskers
+ * @param {number[]} values
+ * @returns {Object|null} { n, q1, median, q3, whiskerLow, whiskerHigh, outliers }
+ */
+export function boxStats(values) {
+  if (!values.length) return null;
+  const sorted = Float64Array.from(values).sort();
+  const q1 = d3.quantileSorted(sorted, 0.25);
+  const median = d3.quantileSorted(sorted, 0.5);
+  const q3 = d3.quantileSorted(sorted, 0.75);
+  const lowFence = q1 - 1.5 * (q3 - q1);
+  const highFence = q3 + 1.5 * (q3 - q1);
+
+  // Whiskers reach the most extreme values still inside the fences
+  const inside = sorted.filter((v) => v >= lowFence && v <= highFence);
+  return {
+    n: sorted.length,
+    q1,
+    median,
+    q3,
+    whiskerLow: inside[0],
+    whiskerHigh: inside[inside.length - 1],
+    outliers: Array.from(sorted.filter((v) => v < lowFence || v > highFence)),
+  };
+}
+
+/**
+ * Ranks starting at 1, with tied values sharing their average rank
+ * @param {number[]} values
+ * @returns {number[]} rank of each value, in input order
+ */
+export function rank(values) {
+  const order = d3.range(values.length).sort((a, b) => values[a] - values[b]);
+  const ranks = new Array(values.length);
+  for (let i = 0; i < order.length; ) {
+    let j = i;
+    while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+    const shared = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k]] = shared;
+    i = j + 1;
+  }
+  return ranks;
+}
+
+/**
+ * Pearson correlation coefficient
+ * @param {number[]} xs
+ * @param {number[]} ys - same length as xs
+ * @returns {number|null} null when either variable is constant or n < 3
+ */
+export function pearson(xs, ys) {
+  if (xs.length < 3) return null;
+  const meanX = d3.mean(xs);
+  const meanY = d3.mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  xs.forEach((x, i) => {
+    sxy += (x - meanX) * (ys[i] - meanY);
+    sxx += (x - meanX) ** 2;
+    syy += (ys[i] - meanY) ** 2;
+  });
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+/**
+ * Spearman rank correlation, robust to the skew of counts and durations
+ * @param {number[]} xs
+ * @param {number[]} ys - same length as xs
+ * @returns {number|null}
+ */
+export function spearman(xs, ys) {
+  return pearson(rank(xs), rank(ys));
+}
+
+/**
+ * Share of values still above each observed value: an empirical survival
+ * curve, starting at (0, 1)
+ * @param {number[]} values - e.g. recovery durations
+ * @returns {number[][]} [value, share remaining] steps
+ */
+export function survivalCurve(values) {
+  const sorted = Float64Array.from(values).sort();
+  const n = sorted.length;
+  const steps = [[0, 1]];
+  for (let i = 0; i < n; ) {
+    let j = i;
+    while (j < n && sorted[j] === sorted[i]) j++;
+    steps.push([sorted[i], (n - j) / n]);
+    i = j;
+  }
+  return steps;
+}
+
+// Summary statistics the dashboard's aggregates can be switched between
+export const STATISTICS = ['mean', 'median', 'sum', 'p90', 'trimmed'];
+
+// Short names for axis labels and tooltips, e.g. "Median Casualties"
+export const STATISTIC_LABELS = {
+  mean: 'Mean',
+  median: 'Median',
+  sum: 'Total',
+  p90: 'P90',
+  trimmed: 'Trimmed Mean',
+};
+
+// Share of the weight cut from each end for the trimmed mean
+const TRIM_SHARE = 0.1;
+
+// Groups with fewer values than this give an unstable statistic, so charts
+// print their n
+export const SMALL_SAMPLE = 10;
+
+/**
+ * Quantile of weighted values: the smallest value at which the cumulative
+ * weight reaches the given share of the total
+ * @param {number[][]} sorted - [value, weight] pairs in ascending value order
+ * @param {number} p - between 0 and 1
+ * @param {number} total - sum of the weights
+ * @returns {number}
+ */
+function weightedQuantileSorted(sorted, p, total) {
+  let cumulative = 0;
+  for (const [value, weight] of sorted) {
+    cumulative += weight;
+    if (cumulative >= p * total) return value;
+  }
+  return sorted[sorted.length - 1][0];
+}
+
+/**
+ * Mean of the values left after trimming a share of the weight from each
+ * end. A value straddling a cut point keeps only its inner part of the weight.
+ * @param {number[][]} sorted - [value, weight] pairs in ascending value order
+ * @param {number} total - sum of the weights
+ * @returns {number}
+ */
+function trimmedMeanSorted(sorted, total) {
+  const low = TRIM_SHARE * total;
+  const high = (1 - TRIM_SHARE) * total;
+  let cumulative = 0;
+  let sum = 0;
+  let kept = 0;
+  sorted.forEach(([value, weight]) => {
+    const inner =
+      Math.min(cumulative + weight, high) - Math.max(cumulative, low);
+    cumulative += weight;
+    if (inner <= 0) return;
+    sum += inner * value;
+    kept += inner;
+  });
+  return sum / kept;
+}
+
+/**
+ * One of the STATISTICS over a set of values
+ * @param {number[]} values
+ * @param {string} statistic - one of STATISTICS
+ * @param {number[]} [weights] - per-value weights; unweighted when omitted
+ * @returns {number|undefined} undefined when there is no value, or no weight
+ */
+export function summarize(values, statistic, weights) {
+  if (!weights) {
+    if (!values.length) return undefined;
+    if (statistic === 'sum') return d3.sum(values);
+    if (statistic === 'mean') return d3.mean(values);
+    if (statistic === 'median') return d3.quantile(values, 0.5);
+    if (statistic === 'p90') return d3.quantile(values, 0.9);
+    const sorted = Float64Array.from(values).sort();
+    return trimmedMeanSorted(
+      Array.from(sorted, (value) => [value, 1]),
+      sorted.length
+    );
+  }
+
+  // Values without weight do not count towards weighted statistics
+  const pairs = values
+    .map((value, i) => [value, weights[i]])
+    .filter(([, weight]) => weight > 0)
+    .sort((a, b) => a[0] - b[0]);
+  return summarizeSorted(pairs, statistic);
+}
+
+// summarize() for [value, weight] pairs in ascending value order
+function summarizeSorted(sorted, statistic) {
+  // Plain loops: the bootstrap calls this hundreds of times per group
+  let total = 0;
+  let sum = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    total += sorted[i][1];
+    sum += sorted[i][0] * sorted[i][1];
+  }
+  if (!total) return undefined;
+  if (statistic === 'sum') return sum;
+  if (statistic === 'mean') return sum / total;
+  if (statistic === 'median') return weightedQuantileSorted(sorted, 0.5, total);
+  if (statistic === 'p90') return weightedQuantileSorted(sorted, 0.9, total);
+  return trimmedMeanSorted(sorted, total);
+}
+
+// Scales the median absolute deviation to the standard deviation of
+// normally distributed values
+const MAD_SCALE = 0.6745;
+// Same for the mean absolute deviation, used when over half the values tie
+const MEAN_AD_SCALE = 0.7979;
+
+/**
+ * Robust z-scores: distances from the median in units of the scaled median
+ * absolute deviation, so a few extreme values cannot mask each other
+ * @param {number[]} values
+ * @returns {number[]|null} z-score of each value, in input order, or null
+ *   when all values are equal
+ */
+export function robustZScores(values) {
+  if (!values.length) return null;
+  const median = d3.median(values);
+  const deviations = values.map((v) => Math.abs(v - median));
+  const mad = d3.median(deviations);
+  if (mad > 0) return values.map((v) => (MAD_SCALE * (v - median)) / mad);
+  const meanAd = d3.mean(deviations);
+  if (meanAd > 0) return values.map((v) => (MEAN_AD_SCALE * (v - median)) / meanAd);
+  return null;
+}
+
+// Confidence level of the intervals drawn as error bars
+export const CONFIDENCE = 0.95;
+const BOOTSTRAP_SAMPLES = 200;
+// Fixed so the error bars do not jitter between identical queries
+const BOOTSTRAP_SEED = 0.4242;
+
+// Two-sided 97.5% quantiles of Student's t for 1 to 30 degrees of freedom
+const T_QUANTILES = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086, 2.08,
+  2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+// Beyond the table a Cornish-Fisher expansion around the normal quantile is
+// accurate to a few thousandths
+function tQuantile(df) {
+  if (df <= T_QUANTILES.length) return T_QUANTILES[Math.max(1, df) - 1];
+  const z = 1.959964;
+  return z + (z ** 3 + z) / (4 * df);
+}
+
+/**
+ * Interval method actually used for a statistic: t intervals only exist for
+ * means, so other statistics fall back to the bootstrap
+ * @param {string} method - 'none', 't' or 'bootstrap'
+ * @param {string} statistic - one of STATISTICS
+ * @returns {string}
+ */
+export function resolveIntervalMethod(method, statistic) {
+  return method === 't' && statistic !== 'mean' ? 'bootstrap' : method;
+}
+
+/**
+ * t-based confidence interval for a mean. Weighted values use Kish's
+ * effective sample size.
+ * @param {number[]} values
+ * @param {number[]} [weights]
+ * @returns {number[]|null} [low, high], or null with fewer than two values
+ */
+export function tInterval(values, weights) {
+  const w = weights || values.map(() => 1);
+  const total = d3.sum(w);
+  const n = total ** 2 / d3.sum(w, (x) => x * x);
+  if (!(n > 1)) return null;
+  const mean = d3.sum(values, (v, i) => v * w[i]) / total;
+  const variance =
+    (d3.sum(values, (v, i) => w[i] * (v - mean) ** 2) / total) * (n / (n - 1));
+  const margin = tQuantile(Math.floor(n - 1)) * Math.sqrt(variance / n);
+  return [mean - margin, mean + margin];
+}
+
+/**
+ * Percentile bootstrap confidence interval for any of the STATISTICS.
+ * Each resample is held as per-value counts over the values sorted once, so
+ * no resample needs sorting.
+ * @param {number[]} values
+ * @param {string} statistic
+ * @param {number[]} [weights]
+ * @returns {number[]|null} [low, high], or null with fewer than two values
+ */
+export function bootstrapInterval(values, statistic, weights) {
+  const n = values.length;
+  if (n < 2) return null;
+  const sorted = values
+    .map((value, i) => [value, weights ? weights[i] : 1])
+    .sort((a, b) => a[0] - b[0]);
+  const resample = sorted.map(([value]) => [value, 0]);
+  const counts = new Uint32Array(n);
+  const random = d3.randomLcg(BOOTSTRAP_SEED);
+  const estimates = [];
+  for (let b = 0; b < BOOTSTRAP_SAMPLES; b++) {
+    counts.fill(0);
+    for (let i = 0; i < n; i++) counts[Math.floor(random() * n)]++;
+    for (let i = 0; i < n; i++) resample[i][1] = sorted[i][1] * counts[i];
+    const estimate = summarizeSorted(resample, statistic);
+    if (estimate !== undefined) estimates.push(estimate);
+  }
+  if (!estimates.length) return null;
+  const tail = (1 - CONFIDENCE) / 2;
+  return [d3.quantile(estimates, tail), d3.quantile(estimates, 1 - tail)];
+}
+
+/**
+ * Ordinary least squares fit of ys on the columns of a design matrix
+ * @param {number[][]} rows - predictor values per observation, including a
+ *   column of ones for the intercept
+ * @param {number[]} ys
+ * @returns {Object|null} { coefficients, variance (of the residuals),
+ *   inverse ((XᵀX)⁻¹), df }, or null when the predictors are collinear or
+ *   there are no residual degrees of freedom
+ */
+export function leastSquares(rows, ys) {
+  const k = rows[0]?.length || 0;
+  const df = rows.length - k;
+  if (!k || df < 1) return null;
+
+  // Normal equations XᵀX β = Xᵀy, with XᵀX inverted by Gauss-Jordan
+  // elimination on [XᵀX | I]
+  const m = d3.range(k).map((i) => {
+    const row = new Array(2 * k).fill(0);
+    rows.forEach((x) => {
+      for (let j = 0; j < k; j++) row[j] += x[i] * x[j];
+    });
+    row[k + i] = 1;
+    return row;
+  });
+  for (let c = 0; c < k; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < k; r++) {
+      if (Math.abs(m[r][c]) > Math.abs(m[pivot][c])) pivot = r;
+    }
+    if (Math.abs(m[pivot][c]) < 1e-10) return null;
+    [m[c], m[pivot]] = [m[pivot], m[c]];
+    const scale = m[c][c];
+    for (let j = 0; j < 2 * k; j++) m[c][j] /= scale;
+    for (let r = 0; r < k; r++) {
+      if (r === c || !m[r][c]) continue;
+      const factor = m[r][c];
+      for (let j = 0; j < 2 * k; j++) m[r][j] -= factor * m[c][j];
+    }
+  }
+  const inverse = m.map((row) => row.slice(k));
+
+  const xty = d3.range(k).map((j) => d3.sum(rows, (x, i) => x[j] * ys[i]));
+  const coefficients = inverse.map((row) => d3.sum(row, (v, j) => v * xty[j]));
+  const predict = (x) => d3.sum(x, (v, j) => v * coefficients[j]);
+  const variance = d3.sum(rows, (x, i) => (ys[i] - predict(x)) ** 2) / df;
+  return { coefficients, variance, inverse, df };
+}
+
+// Months of history needed before month-of-year effects are estimated
+const SEASONAL_MIN_MONTHS = 24;
+
+/**
+ * Linear trend plus month-of-year effects fitted to a monthly series. With
+ * under two years of data the seasonal terms are left out.
+ * @param {number[]} values - consecutive monthly values
+ * @param {number} firstMonth - month of the first value, 0 for January
+ * @returns {Object|null} { slope (per month), interval ([low, high] of the
+ *   slope), direction ('increase', 'decrease' or null when not significant),
+ *   seasonal, predict(i) -> { value, low, high } for month index i }, or null
+ *   with too few values
+ */
+export function fitSeasonalTrend(values, firstMonth) {
+  const seasonal = values.length >= SEASONAL_MIN_MONTHS;
+  // Intercept, month index and one indicator per month after January
+  const design = (i) => {
+    const x = [1, i];
+    if (seasonal) {
+      const month = (firstMonth + i) % 12;
+      for (let k = 1; k < 12; k++) x.push(month === k ? 1 : 0);
+    }
+    return x;
+  };
+  const fit = leastSquares(values.map((v, i) => design(i)), values);
+  if (!fit) return null;
+
+  const { coefficients, variance, inverse, df } = fit;
+  const t = tQuantile(df);
+  const slope = coefficients[1];
+  const margin = t * Math.sqrt(variance * inverse[1][1]);
+  let direction = null;
+  if (slope - margin > 0) direction = 'increase';
+  else if (slope + margin < 0) direction = 'decrease';
+
+  // Prediction intervals cover both the fit's uncertainty and the scatter
+  // of individual months around it
+  const predict = (i) => {
+    const x = design(i);
+    const value = d3.sum(x, (v, j) => v * coefficients[j]);
+    const leverage = d3.sum(x, (v, j) => v * d3.sum(x, (w, l) => w * inverse[j][l]));
+    const spread = t * Math.sqrt(variance * (1 + leverage));
+    return { value, low: value - spread, high: value + spread };
+  };
+
+  return {
+    slope,
+    interval: [slope - margin, slope + margin],
+    direction,
+    seasonal,
+    predict,
+  };
+}
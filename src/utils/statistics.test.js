@@ -0,0 +1,183 @@
+import {
+  bootstrapInterval,
+  boxStats,
+  fitSeasonalTrend,
+  leastSquares,
+  pearson,
+  rank,
+  resolveIntervalMethod,
+  spearman,
+  summarize,
+  survivalCurve,
+  tInterval,
+} from './statistics';
+
+describe('boxStats', () => {
+  it('puts values beyond the Tukey fences outside the whiskers', () => {
+    expect(boxStats([1, 2, 3, 4, 5, 6, 7, 8, 9, 100])).toEqual({
+      n: 10,
+      q1: 3.25,
+      median: 5.5,
+      q3: 7.75,
+      whiskerLow: 1,
+      whiskerHigh: 9,
+      outliers: [100],
+    });
+  });
+
+  it('gives null without values', () => {
+    expect(boxStats([])).toBeNull();
+  });
+});
+
+describe('rank correlation', () => {
+  it('shares the average rank between ties', () => {
+    expect(rank([10, 20, 10, 30])).toEqual([1.5, 3, 1.5, 4]);
+  });
+
+  it('gives 1 for any increasing relation', () => {
+    expect(spearman([1, 2, 3, 4], [1, 4, 9, 16])).toBe(1);
+  });
+
+  it('gives null for constant variables and fewer than three values', () => {
+    expect(pearson([1, 2, 3], [5, 5, 5])).toBeNull();
+    expect(pearson([1, 2], [1, 2])).toBeNull();
+  });
+});
+
+describe('survivalCurve', () => {
+  it('steps down at each distinct value', () => {
+    expect(survivalCurve([3, 1, 3, 5])).toEqual([
+      [0, 1],
+      [1, 0.75],
+      [3, 0.25],
+      [5, 0],
+    ]);
+  });
+});
+
+describe('summarize', () => {
+  const values = [1, 2, 3, 4, 100];
+
+  it('computes every statistic of unweighted values', () => {
+    expect(summarize(values, 'mean')).toBe(22);
+    expect(summarize(values, 'median')).toBe(3);
+    expect(summarize(values, 'sum')).toBe(110);
+    expect(summarize(values, 'p90')).toBeCloseTo(61.6);
+    // 10% of the weight is cut from each end: half of 1 and half of 100
+    expect(summarize(values, 'trimmed')).toBeCloseTo(14.875);
+  });
+
+  it('weights values, ignoring those without weight', () => {
+    const weights = [1, 0, 3];
+    expect(summarize([1, 2, 3], 'mean', weights)).toBe(2.5);
+    expect(summarize([1, 2, 3], 'median', weights)).toBe(3);
+    expect(summarize([1, 2, 3], 'sum', weights)).toBe(10);
+  });
+
+  it('agrees with the unweighted statistics under unit weights', () => {
+    const ones = values.map(() => 1);
+    ['mean', 'sum', 'trimmed'].forEach((statistic) =>
+      expect(summarize(values, statistic, ones)).toBeCloseTo(
+        summarize(values, statistic)
+      )
+    );
+  });
+
+  it('gives undefined without values or weight', () => {
+    expect(summarize([], 'mean')).toBeUndefined();
+    expect(summarize([1, 2], 'mean', [0, 0])).toBeUndefined();
+  });
+});
+
+describe('confidence intervals', () => {
+  it('falls back to the bootstrap for statistics other than the mean', () => {
+    expect(resolveIntervalMethod('t', 'mean')).toBe('t');
+    expect(resolveIntervalMethod('t', 'median')).toBe('bootstrap');
+    expect(resolveIntervalMethod('none', 'median')).toBe('none');
+  });
+
+  it('computes t intervals, with weights setting the effective sample size', () => {
+    const [low, high] = tInterval([1, 2, 3]);
+    // Mean 2, standard error 1/√3, t quantile 4.303 for 2 degrees of freedom
+    expect(low).toBeCloseTo(2 - 4.303 / Math.sqrt(3));
+    expect(high).toBeCloseTo(2 + 4.303 / Math.sqrt(3));
+    expect(tInterval([1, 2, 3], [2, 2, 2])).toEqual(tInterval([1, 2, 3]));
+    expect(tInterval([5])).toBeNull();
+  });
+
+  it('gives the same bootstrap interval for the same values', () => {
+    const values = [3, 8, 1, 9, 4, 7, 2, 6, 5, 10];
+    const interval = bootstrapInterval(values, 'median');
+    expect(bootstrapInterval(values, 'median')).toEqual(interval);
+    expect(interval[0]).toBeLessThanOrEqual(5.5);
+    expect(interval[1]).toBeGreaterThanOrEqual(5.5);
+    expect(interval[0]).toBeGreaterThanOrEqual(1);
+    expect(interval[1]).toBeLessThanOrEqual(10);
+    expect(bootstrapInterval([5], 'median')).toBeNull();
+  });
+});
+
+describe('leastSquares', () => {
+  it('recovers the coefficients of an exact linear relation', () => {
+    const fit = leastSquares([[1, 0], [1, 1], [1, 2], [1, 3]], [2, 5, 8, 11]);
+    expect(fit.coefficients[0]).toBeCloseTo(2);
+    expect(fit.coefficients[1]).toBeCloseTo(3);
+    expect(fit.variance).toBeCloseTo(0);
+    expect(fit.df).toBe(2);
+  });
+
+  it('gives null for collinear predictors or no residual freedom', () => {
+    expect(leastSquares([[1, 1], [1, 1], [1, 1]], [1, 2, 3])).toBeNull();
+    expect(leastSquares([[1, 0], [1, 1]], [1, 2])).toBeNull();
+  });
+});
+
+describe('fitSeasonalTrend', () => {
+  // Alternating noise keeps the residual variance above zero
+  const noise = (i) => (i % 2 ? 0.5 : -0.5);
+
+  it('finds significant increases and decreases', () => {
+    const rising = fitSeasonalTrend(
+      Array.from({ length: 12 }, (_, i) => 10 + 2 * i + noise(i)),
+      0
+    );
+    expect(rising.slope).toBeCloseTo(2, 0);
+    expect(rising.direction).toBe('increase');
+    expect(rising.seasonal).toBe(false);
+
+    const falling = fitSeasonalTrend(
+      Array.from({ length: 12 }, (_, i) => 30 - i + noise(i)),
+      0
+    );
+    expect(falling.direction).toBe('decrease');
+    expect(falling.interval[1]).toBeLessThan(0);
+  });
+
+  it('fits month-of-year effects from two years of data', () => {
+    // Flat apart from a July peak, starting in March
+    const values = Array.from({ length: 36 }, (_, i) =>
+      (2 + i) % 12 === 6 ? 15 : 10
+    );
+    const fit = fitSeasonalTrend(values, 2);
+    expect(fit.seasonal).toBe(true);
+    expect(fit.slope).toBeCloseTo(0);
+    expect(fit.direction).toBeNull();
+    // Month 40 is a July, month 41 an August
+    expect(fit.predict(40).value).toBeCloseTo(15);
+    expect(fit.predict(41).value).toBeCloseTo(10);
+  });
+
+  it('widens prediction intervals beyond the fitted range', () => {
+    const fit = fitSeasonalTrend(
+      Array.from({ length: 12 }, (_, i) => 10 + i + noise(i)),
+      0
+    );
+    const width = (i) => fit.predict(i).high - fit.predict(i).low;
+    expect(width(23)).toBeGreaterThan(width(6));
+  });
+
+  it('gives null with too few months', () => {
+    expect(fitSeasonalTrend([1, 2], 0)).toBeNull();
+  });
+});
@@ -0,0 +1,115 @@
+/* eslint-disable no-restricted-globals */
+// `self` is the worker's global scope here, not a confusable browser global
+
+import * as d3 from 'd3';
+import { NUMERIC_COLUMNS, parseDisasterData } from '../utils/parseDisasters';
+import { countOutliers, mergeQualityReports } from '../utils/dataQuality';
+import { applyColumnMapping, readDatasetFile } from '../utils/datasetFile';
+import { aggregateAll, filterIndices } from '../utils/aggregations';
+
+/**
+ * Data worker: owns the full dataset and does all parsing, filtering and
+ * aggregation off the main thread. Every request carries an id that is
+ * echoed back with either a result or an error message.
+ */
+
+// Current dataset and its quality report
+let data = [];
+let quality = null;
+
+// User file read but not yet committed, waiting for a column mapping
+let pending = null;
+
+// Outliers depend on the whole dataset, so they are recounted on every change
+function withOutliers(report, events) {
+  return {
+    ...report,
+    outliers: Object.fromEntries(
+      NUMERIC_COLUMNS.map((column) => [column, countOutliers(events, column)])
+    ),
+  };
+}
+
+function setDataset(events, report) {
+  data = events;
+  quality = withOutliers(report, events);
+  return { data, quality };
+}
+
+const handlers = {
+  // Fetch and parse the bundled CSV
+  async loadUrl({ url, source }) {
+    const rawData = await d3.csv(url);
+    const parsed = parseDisasterData(rawData, source);
+    return setDataset(parsed.data, parsed.quality);
+  },
+
+  // Read a user-supplied file and keep its rows until a mapping is chosen
+  async readFile({ file }) {
+    const { rows, columns, format } = await readDatasetFile(file);
+    pending = { rows, source: file.name, parsed: null };
+    return { columns, format, rowCount: rows.length };
+  },
+
+  // Schema check of the pending file under a column mapping
+  previewMapping({ mapping }) {
+    pending.parsed = parseDisasterData(
+      applyColumnMapping(pending.rows, mapping),
+      pending.source
+    );
+    return {
+      validCount: pending.parsed.data.length,
+      droppedCount: pending.parsed.droppedCount,
+    };
+  },
+
+  // Replace the dataset with the pending file, or append it
+  commitPending({ mode }) {
+    // Kept pending on failure, so the load can be retried
+    if (!pending?.parsed) {
+      throw new Error('The file has not been checked against a column mapping');
+    }
+    const { parsed } = pending;
+    pending = null;
+    if (mode === 'append') {
+      return setDataset(
+        data.concat(parsed.data),
+        mergeQualityReports(quality, parsed.quality)
+      );
+    }
+    return setDataset(parsed.data, parsed.quality);
+  },
+
+  discardPending() {
+    pending = null;
+    return null;
+  },
+
+  // Filter the dataset and compute the aggregates the shown charts need
+  query({ filters }) {
+    const indices = filterIndices(data, filters);
+    const pick = (index) => Array.from(index, (i) => data[i]);
+    return {
+      indices,
+      aggregates: aggregateAll(
+        pick(indices.timeline),
+        pick(indices.filtered),
+        filters
+      ),
+    };
+  },
+};
+
+self.addEventListener('message', async (event) => {
+  const { id, type, payload } = event.data;
+  try {
+    const result = await handlers[type](payload);
+    // Index arrays are transferred rather than copied
+    const transfer = result?.indices
+      ? Object.values(result.indices).map((index) => index.buffer)
+      : [];
+    self.postMessage({ id, result }, transfer);
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+});
@@ -0,0 +1,40 @@
+/**
+ * Promise-based access to the data worker. A single worker instance is
+ * shared by the whole app since it owns the dataset.
+ */
+
+let worker = null;
+let nextId = 0;
+const callbacks = new Map();
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('./disasterData.worker.js', import.meta.url));
+    worker.addEventListener('message', (event) => {
+      const { id, result, error } = event.data;
+      const callback = callbacks.get(id);
+      if (!callback) return;
+      callbacks.delete(id);
+      if (error) {
+        callback.reject(new Error(error));
+      } else {
+        callback.resolve(result);
+      }
+    });
+  }
+  return worker;
+}
+
+/**
+ * Send a request to the data worker
+ * @param {string} type - handler name, e.g. 'query'
+ * @param {Object} payload - handler arguments
+ * @returns {Promise<*>} the handler's result
+ */
+export function requestWorker(type, payload = {}) {
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    callbacks.set(id, { resolve, reject });
+    getWorker().postMessage({ id, type, payload });
+  });
+}